@@ -2,13 +2,32 @@
   質問受付予約Web - app.js
   アプリケーションのロジックを管理。
   - ルーティング（URLハッシュベース）
-  - データ管理（Firebase Realtime Database + localStorage フォールバック）
-  - 生徒・先生ログイン機能
-  - 生徒管理機能（先生用）
-  - 生徒画面の入力・保存・送信処理
+  - データ管理（ストレージバックエンド: Firebase / localStorage / メモリ / REST）
+  - オフライン時の書き込みキューと自動再送
+  - 生徒・先生ログイン機能（先生は個別アカウント・ハッシュ化パスワード・有効期限付きセッション）
+  - 生徒ログインの試行制限・ロック、生徒ごとの PIN、QR ログインカード
+  - 同時に受付中にできる質問数の制限（トランザクションで枠を確保し、サーバー側のルールでも検証）
+  - 生徒の認証情報はハッシュ化して別ノードに保存（Firebase では database.rules.json で照合・保護）
+  - 先生アカウント管理（管理者用）
+  - ロール別の権限（管理者・先生・アシスタント）
+  - 生徒管理機能（先生用）。名簿の CSV 取り込み（取り込み前に追加・更新・競合を確認）と書き出し
+  - 生徒ごとのプロフィール（質問の一覧・教科の内訳・平均待ち時間・事前に考えたことの傾向・先生用メモ）
+  - 生徒画面の入力・保存・送信処理（入力内容は下書きとして端末とサーバーに自動保存）
+  - 生徒マイページでの待ち順と待ち時間の目安（ticketQueue を購読してリアルタイム更新）
   - 先生画面の一覧・詳細・完了処理
+  - チケットの状態遷移（下書き・対応待ち・対応中・呼び出し中・再開・対応完了・取り下げ）
+  - 質問1件ごとの取り消し（生徒）・削除（先生）。削除記録を残し、添付画像も削除
+  - 質問ごとの変更履歴（誰が・いつ・何を変えたか）を追記のみで記録し、先生の詳細画面に表示
+  - 先生による削除はゴミ箱に移し、保存期間内は復元できる（一括削除の前にはスナップショットを保存）
+  - 全データの JSON バックアップの保存と、内容を確認してからの復元（追加・上書き / 置き換え）
+  - クラス・教科（バッジの色）・事前に考えたことの選択肢を設定画面で編集（並び順・アーカイブ）し、全ての選択欄に反映
+  - 呼び出し時の生徒端末への通知（音・振動・全画面表示・システム通知、生徒の確認）
+  - チケットごとの先生と生徒のやりとり（テキスト・画像、リアルタイム更新、未読表示）
+  - 予約枠（先生が教科・日時・定員ごとに公開し、生徒が質問ごとに予約。先生用の日ごとのタイムライン）
+  - 集計（期間ごとの件数・完了までの時間・曜日×時間帯・完了した人の割合、CSV 書き出し）
   - トースト通知
-  - 複数画像の添付対応
+  - 複数画像の添付対応（画像は Blob ストアに保存し、チケットは参照のみ保持）
+  - サービスワーカーの登録（オフラインでのアプリ起動、新しいバージョンの案内）
 */
 
 // ============================================
@@ -16,2043 +35,8821 @@
 // ============================================
 const STORAGE_KEY = 'question_tickets_v1';
 const STUDENTS_KEY = 'question_students_v1';
+const SETTINGS_KEY = 'question_settings_v1';
 const USER_PREFS_KEY = 'question_user_prefs';
 const STUDENT_SESSION_KEY = 'question_student_session';
 const TEACHER_SESSION_KEY = 'question_teacher_session';
 const TEACHER_PASSWORD_KEY = 'question_teacher_password';
+const TEACHER_SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const PASSWORD_HASH_ITERATIONS = 100000;
+const QR_TOKEN_HASH_ITERATIONS = 1000;
+const MIN_TEACHER_PASSWORD_LENGTH = 8;
+const STUDENT_PIN_LENGTH = 6;
+const MAX_STUDENT_LOGIN_FAILURES = 5;
+const STUDENT_LOGIN_THROTTLE_MS = 1000;
+const STUDENT_LOCKOUT_MS = 15 * 60 * 1000;
+
+// 先生アカウントのロールと権限（表示順）
+const TEACHER_ROLES = {
+  admin: {
+    label: '管理者',
+    permissions: ['tickets.complete', 'tickets.memo', 'tickets.reply', 'students.view', 'students.edit', 'students.delete', 'slots.manage', 'tickets.delete', 'trash.manage', 'data.delete', 'data.backup', 'options.manage', 'accounts.manage']
+  },
+  teacher: {
+    label: '先生',
+    permissions: ['tickets.complete', 'tickets.memo', 'tickets.reply', 'students.view', 'students.edit', 'students.delete', 'slots.manage', 'tickets.delete', 'trash.manage']
+  },
+  assistant: {
+    label: 'アシスタント',
+    permissions: ['tickets.complete', 'tickets.memo', 'tickets.reply', 'students.view']
+  }
+};
+
+// ページごとに必要な権限（記載のない先生用ページはログインのみで表示できる）
+const PAGE_PERMISSIONS = {
+  'teacher-students': 'students.view',
+  'teacher-student-profile': 'students.view',
+  'teacher-accounts': 'accounts.manage',
+  'teacher-trash': 'trash.manage',
+  'teacher-options': 'options.manage'
+};
+
+// チケットの状態（表示順）。label は先生側、studentLabel は生徒側の表示
+const TICKET_STATUSES = {
+  draft: { label: '下書き', studentLabel: '下書き' },
+  submitted: { label: '対応待ち', studentLabel: '未解決' },
+  reopened: { label: '再開', studentLabel: '再開' },
+  in_progress: { label: '対応中', studentLabel: '対応中' },
+  called: { label: '呼び出し中', studentLabel: '呼び出し中' },
+  done: { label: '対応完了', studentLabel: '解決済み' },
+  cancelled: { label: '取り下げ', studentLabel: '取り下げ' }
+};
+
+// 許可する状態遷移（遷移元 → 遷移先）
+const TICKET_TRANSITIONS = {
+  draft: ['submitted', 'cancelled'],
+  submitted: ['in_progress', 'called', 'done', 'cancelled'],
+  reopened: ['in_progress', 'called', 'done', 'cancelled'],
+  in_progress: ['submitted', 'called', 'done', 'cancelled'],
+  called: ['submitted', 'in_progress', 'done', 'cancelled'],
+  done: ['reopened'],
+  cancelled: ['reopened']
+};
+
+// 先生だけが行える状態遷移（対応中・呼び出し中の質問を対応待ちに戻す）
+const TEACHER_ONLY_TICKET_TRANSITIONS = {
+  in_progress: ['submitted'],
+  called: ['submitted']
+};
+
+// 受付中として扱う状態（同時に質問できる件数に数える）
+const ACTIVE_TICKET_STATUSES = ['submitted', 'reopened', 'in_progress', 'called'];
+
+// 生徒が詳細画面から編集できる状態
+const EDITABLE_TICKET_STATUSES = ['draft', 'submitted', 'reopened'];
+
+// 状態ごとに遷移時刻を記録するフィールド
+const TICKET_STATUS_TIMESTAMPS = {
+  submitted: 'submittedAt',
+  reopened: 'reopenedAt',
+  in_progress: 'startedAt',
+  called: 'calledAt',
+  done: 'doneAt',
+  cancelled: 'cancelledAt'
+};
+
+// 変更履歴の操作の表示名
+const TICKET_HISTORY_ACTIONS = {
+  create: '質問を作成',
+  edit: '内容を編集',
+  status: '状態を変更',
+  memo: '先生用メモを更新',
+  slot: '予約を変更',
+  call: 'もう一度呼び出し',
+  acknowledge: '呼び出しを確認',
+  images: '画像を移行',
+  delete: '質問を削除',
+  restore: '質問を復元'
+};
+
+// 変更履歴に表示するフィールド名（内容の編集のとき）
+const TICKET_FIELD_LABELS = {
+  subject: '教科',
+  purpose: '目的',
+  checkedMaterials: '確認したこと',
+  questionReason: '質問内容',
+  questionImages: '問題画像',
+  answerImages: '解答画像',
+  myAnswerImages: '自分の答案',
+  slotId: '予約',
+  teacherMemo: '先生用メモ'
+};
+
+// 既読・やりとりの時刻など、変更履歴に記録しないフィールド
+const TICKET_HISTORY_IGNORED_FIELDS = ['updatedAt', 'studentReadAt', 'teacherReadAt', 'lastMessageAt', 'lastMessageBy'];
+
+// 設定画面で編集できる選択肢（ルート名 → 設定）。データベースに1件もなければ defaults を表示順に使う
+const OPTION_LISTS = {
+  classOptions: {
+    label: 'クラス',
+    maxLength: 20,
+    defaults: ['4S', '5S', '6S', '1A', '2A', '3A', '4H', '5H', '6H', 'その他']
+  },
+  subjectOptions: {
+    label: '教科',
+    maxLength: 20,
+    hasColor: true,
+    defaults: ['英語', '算数/数学', '国語', '理科', '社会', 'その他'],
+    defaultColors: ['#ec4899', '#3b82f6', '#f97316', '#22c55e', '#eab308', '#94a3b8']
+  },
+  materialOptions: {
+    label: '事前に考えたこと',
+    maxLength: 100,
+    defaults: ['解説を読んだ', 'ノートを見直した', 'テキストを見て考えた']
+  }
+};
+const DEFAULT_SUBJECT_COLOR = '#94a3b8';
+
+// 名簿 CSV の列（見出しとして受け付ける名前。先頭が書き出し時の見出し）
+const STUDENT_CSV_COLUMNS = {
+  id: ['ID'],
+  className: ['クラス', 'class'],
+  initials: ['イニシャル', 'initials'],
+  birthday: ['誕生日', 'birthday']
+};
+
+// database.rules.json の activeTickets/$studentId（numChildren）と合わせる
 const MAX_TICKETS_PER_STUDENT = 3;
+const WAIT_ESTIMATE_SAMPLE_SIZE = 20;
+const WAIT_ESTIMATE_WINDOW_MS = 14 * 24 * 60 * 60 * 1000;
+const MAX_TIME_SLOT_CAPACITY = 20;
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_OPTIONS = [7, 30, 90, 365];
+const TRASH_TYPES = { ticket: '質問', student: '生徒', snapshot: '一括削除' };
+const DEFAULT_ANALYTICS_RANGE_DAYS = 30;
+const ANALYTICS_STUDENT_LIMIT = 20;
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+const BACKUP_FORMAT = 'question-reservation-backup';
+const BACKUP_VERSION = 1;
 const DEFAULT_TEACHER_PASSWORD = '066';
+const DEFAULT_REST_POLL_INTERVAL = 5000;
+const APP_DB_NAME = 'question_reservation';
+const APP_DB_VERSION = 3;
+const WRITE_QUEUE_STORE = 'writeQueue';
+const IMAGES_STORE = 'images';
+const FORM_DRAFTS_STORE = 'formDrafts';
+const FORM_DRAFT_SAVE_DELAY_MS = 1000;
+const REMOTE_DRAFT_SAVE_DELAY_MS = 10000;
+const IMAGE_REF_PREFIX = 'image:';
+const DEFAULT_IMAGE_MAX_SIZE = 1600;
+const DEFAULT_IMAGE_QUALITY = 0.8;
+const DEFAULT_IMAGE_FORMAT = 'image/jpeg';
+const WRITE_TIMEOUT_MS = 10000;
+const WRITE_RETRY_INTERVAL_MS = 15000;
+const MAX_WRITE_ATTEMPTS = 5;
+const MAX_TRANSACTION_ATTEMPTS = 25;
 
 // ============================================
-// Firebase Data Cache
+// Storage Backends
 // ============================================
-let ticketsCache = [];
-let studentsCache = [];
-let firebaseReady = false;
-let dataLoadedCallbacks = [];
+/*
+  全てのバックエンドは同じインターフェースを持つ（パスは 'tickets/<id>' 形式）。
+  - init()                        : 初期化。使用可能なら true を返す
+  - get(path, query)              : 値を1回だけ取得（query で子を絞り込み可）
+  - set(path, value)              : 値を書き込む（null で削除）
+  - update(path, values)          : 複数の子パスをまとめて書き込む
+  - remove(path)                  : 値を削除
+  - transaction(path, updateFn)   : 現在の値から新しい値を計算して原子的に書き込む
+                                    （updateFn が undefined を返すと中止。{ committed, value } を返す）
+  - subscribe(path, onValue, onError) : 変更を購読。購読解除関数を返す
+  - subscribeChildren(path, query, handlers, onError)
+                                  : 子単位の追加・変更・削除を購読（handlers: added / changed / removed）
+  query は { orderBy: '<子のキー>', equalTo: <値> } の形式。
+*/
 
 /**
- * Firebase初期化とリアルタイムリスナー設定
+ * パスを区切りごとの配列に分解
  */
-function initializeFirebaseData() {
-  const loadingScreen = document.getElementById('loading-screen');
-  
-  if (!isFirebaseConfigured()) {
-    console.warn('Firebase not configured. Using localStorage fallback.');
-    ticketsCache = loadTicketsFromLocal();
-    studentsCache = loadStudentsFromLocal();
-    firebaseReady = true;
-    if (loadingScreen) loadingScreen.classList.add('hidden');
-    triggerDataLoadedCallbacks();
-    return;
-  }
-  
-  if (!initFirebase()) {
-    console.error('Firebase initialization failed. Using localStorage fallback.');
-    ticketsCache = loadTicketsFromLocal();
-    studentsCache = loadStudentsFromLocal();
-    firebaseReady = true;
-    if (loadingScreen) loadingScreen.classList.add('hidden');
-    triggerDataLoadedCallbacks();
-    return;
+function splitStoragePath(path) {
+  return String(path || '').split('/').filter(Boolean);
+}
+
+/**
+ * 2つのパスが親子関係（または同一）にあるか
+ */
+function storagePathsOverlap(a, b) {
+  const segA = splitStoragePath(a);
+  const segB = splitStoragePath(b);
+  const length = Math.min(segA.length, segB.length);
+  for (let i = 0; i < length; i++) {
+    if (segA[i] !== segB[i]) return false;
   }
-  
-  // チケットのリアルタイムリスナー
-  database.ref('tickets').on('value', (snapshot) => {
-    const data = snapshot.val();
-    ticketsCache = data ? Object.values(data) : [];
-    console.log('Tickets synced:', ticketsCache.length);
-    if (firebaseReady) {
-      refreshCurrentView();
-    }
-  }, (error) => {
-    console.error('Tickets sync error:', error);
-  });
-  
-  // 生徒のリアルタイムリスナー
-  database.ref('students').on('value', (snapshot) => {
-    const data = snapshot.val();
-    studentsCache = data ? Object.values(data) : [];
-    console.log('Students synced:', studentsCache.length);
-    if (firebaseReady) {
-      refreshCurrentView();
-    }
-  }, (error) => {
-    console.error('Students sync error:', error);
-  });
-  
-  // 先生パスワードの同期
-  loadTeacherPasswordFromFirebase();
-  
-  // 初回データ読み込み完了を待つ
-  Promise.all([
-    database.ref('tickets').once('value'),
-    database.ref('students').once('value')
-  ]).then(() => {
-    firebaseReady = true;
-    console.log('Firebase data loaded');
-    if (loadingScreen) loadingScreen.classList.add('hidden');
-    triggerDataLoadedCallbacks();
-  }).catch((error) => {
-    console.error('Firebase data load error:', error);
-    ticketsCache = loadTicketsFromLocal();
-    studentsCache = loadStudentsFromLocal();
-    firebaseReady = true;
-    if (loadingScreen) loadingScreen.classList.add('hidden');
-    triggerDataLoadedCallbacks();
-  });
+  return true;
 }
 
 /**
- * データ読み込み完了時のコールバック実行
+ * 値を複製（バックエンド内部のツリーを外部から書き換えられないようにする）
  */
-function triggerDataLoadedCallbacks() {
-  dataLoadedCallbacks.forEach(cb => cb());
-  dataLoadedCallbacks = [];
+function cloneStorageValue(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
 }
 
 /**
- * データ読み込み完了を待つ
+ * 保存された値として同じか（Firebase と同様に null・空のオブジェクト・空の配列は「値なし」として扱う）
  */
-function waitForData(callback) {
-  if (firebaseReady) {
-    callback();
-  } else {
-    dataLoadedCallbacks.push(callback);
+function storageValuesEqual(a, b) {
+  const isEmpty = v => v === null || v === undefined ||
+    (typeof v === 'object' && Object.keys(v).every(key => isEmpty(v[key])));
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b);
+  if (typeof a !== 'object' || typeof b !== 'object') return a === b;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return Array.from(keys).every(key => storageValuesEqual(a[key], b[key]));
+}
+
+/**
+ * ツリーからパスの値を取得
+ */
+function getValueAtPath(tree, segments) {
+  let node = tree;
+  for (const key of segments) {
+    if (node === null || typeof node !== 'object' || !(key in node)) return null;
+    node = node[key];
   }
+  return node === undefined ? null : node;
 }
 
 /**
- * 現在の画面を更新（リアルタイム同期用）
+ * ツリーのパスに値を設定（null の場合は削除し、空になった親も削除）
  */
-function refreshCurrentView() {
-  const hash = location.hash || '#';
-  if (hash === '#student-mypage') {
-    renderStudentMyPage();
-  } else if (hash === '#teacher') {
-    renderTeacherTickets();
-  } else if (hash.startsWith('#teacher-detail')) {
-    const id = new URLSearchParams(hash.split('?')[1]).get('id');
-    if (id) renderTeacherDetail(id);
-  } else if (hash === '#teacher-students') {
-    renderTeacherStudentsList();
+function setValueAtPath(tree, segments, value) {
+  if (segments.length === 0) return;
+  const [key, ...rest] = segments;
+  if (rest.length === 0) {
+    if (value === null || value === undefined) {
+      delete tree[key];
+    } else {
+      tree[key] = cloneStorageValue(value);
+    }
+    return;
+  }
+  if (tree[key] === null || typeof tree[key] !== 'object') {
+    if (value === null || value === undefined) return;
+    tree[key] = {};
+  }
+  setValueAtPath(tree[key], rest, value);
+  if (Object.keys(tree[key]).length === 0) {
+    delete tree[key];
   }
 }
 
-// ============================================
-// Data Management - Tickets
-// ============================================
+/**
+ * 配列形式の旧データを ID をキーにしたオブジェクトへ変換
+ */
+function normalizeCollection(data) {
+  if (!Array.isArray(data)) return data;
+  const map = {};
+  data.forEach(item => {
+    if (item && item.id) map[item.id] = item;
+  });
+  return map;
+}
 
 /**
- * localStorageからチケット読み込み（フォールバック用）
+ * query に一致する子だけを残す
  */
-function loadTicketsFromLocal() {
-  try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : [];
-  } catch (e) {
-    console.error('Failed to load tickets from localStorage:', e);
-    return [];
-  }
+function filterByQuery(data, query) {
+  if (!data || !query) return data;
+  const result = {};
+  Object.keys(data).forEach(key => {
+    if (data[key] && data[key][query.orderBy] === query.equalTo) {
+      result[key] = data[key];
+    }
+  });
+  return result;
 }
 
 /**
- * チケット一覧を取得（キャッシュから）
+ * 値の購読から子単位の変更を検出して通知する（Firebase 以外のバックエンド用）
  */
-function loadTickets() {
-  return ticketsCache;
+function subscribeChildrenByDiff(backend, path, query, handlers, onError) {
+  let previous = {};
+  return backend.subscribe(path, (data) => {
+    const next = filterByQuery(data || {}, query);
+    Object.keys(next).forEach(key => {
+      if (!(key in previous)) {
+        handlers.added(key, next[key]);
+      } else if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+        handlers.changed(key, next[key]);
+      }
+    });
+    Object.keys(previous).forEach(key => {
+      if (!(key in next)) handlers.removed(key);
+    });
+    previous = next;
+  }, onError, query);
 }
 
 /**
- * チケットを追加または更新する
+ * メモリ上のツリーを使うバックエンドを作成（localStorage / メモリ共通）
+ * persistence を渡すとルート単位で読み書きを委譲する
  */
-async function upsertTicket(ticket) {
-  const now = Date.now();
-  const existingIndex = ticketsCache.findIndex(t => t.id === ticket.id);
+function createTreeBackend(name, persistence = null) {
+  const tree = {};
+  const loadedRoots = new Set();
+  const listeners = [];
   
-  if (existingIndex >= 0) {
-    ticket = { ...ticketsCache[existingIndex], ...ticket, updatedAt: now };
-  } else {
-    ticket = { ...ticket, createdAt: now, updatedAt: now };
+  function ensureRoot(root) {
+    if (!root || loadedRoots.has(root)) return;
+    loadedRoots.add(root);
+    if (persistence) {
+      const value = persistence.read(root);
+      if (value !== null && value !== undefined) tree[root] = value;
+    }
   }
   
-  if (isFirebaseConfigured() && database) {
-    try {
-      await database.ref('tickets/' + ticket.id).set(ticket);
-    } catch (error) {
-      console.error('Failed to save ticket to Firebase:', error);
-      showToast('保存に失敗しました', 'error');
-      throw error;
-    }
-  } else {
-    if (existingIndex >= 0) {
-      ticketsCache[existingIndex] = ticket;
-    } else {
-      ticketsCache.push(ticket);
+  function persistRoot(root) {
+    if (persistence) persistence.write(root, tree[root] === undefined ? null : tree[root]);
+  }
+  
+  function notify(changedPath) {
+    listeners
+      .filter(l => storagePathsOverlap(l.path, changedPath))
+      .forEach(l => {
+        try {
+          l.onValue(cloneStorageValue(getValueAtPath(tree, splitStoragePath(l.path))));
+        } catch (error) {
+          if (l.onError) l.onError(error);
+          else console.error(`${name} listener error:`, error);
+        }
+      });
+  }
+  
+  function write(path, value) {
+    const segments = splitStoragePath(path);
+    if (segments.length === 0) {
+      Object.keys(tree).forEach(root => {
+        delete tree[root];
+        persistRoot(root);
+      });
+      return;
     }
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(ticketsCache));
+    ensureRoot(segments[0]);
+    setValueAtPath(tree, segments, value);
+    persistRoot(segments[0]);
   }
   
-  return ticket;
+  const backend = {
+    name,
+    
+    async init() {
+      return true;
+    },
+    
+    async get(path, query = null) {
+      const segments = splitStoragePath(path);
+      ensureRoot(segments[0]);
+      return filterByQuery(cloneStorageValue(getValueAtPath(tree, segments)), query);
+    },
+    
+    async set(path, value) {
+      write(path, value);
+      notify(path);
+    },
+    
+    async update(path, values) {
+      Object.keys(values).forEach(key => {
+        write(`${path}/${key}`, values[key]);
+      });
+      notify(path);
+    },
+    
+    async remove(path) {
+      write(path, null);
+      notify(path);
+    },
+    
+    async transaction(path, updateFn) {
+      const segments = splitStoragePath(path);
+      // 別タブの書き込みを取りこぼさないよう、保存先から読み直してから判定する
+      if (persistence) {
+        loadedRoots.delete(segments[0]);
+        delete tree[segments[0]];
+      }
+      ensureRoot(segments[0]);
+      const next = updateFn(cloneStorageValue(getValueAtPath(tree, segments)));
+      if (next === undefined) {
+        return { committed: false, value: cloneStorageValue(getValueAtPath(tree, segments)) };
+      }
+      write(path, next);
+      notify(path);
+      return { committed: true, value: cloneStorageValue(next) };
+    },
+    
+    subscribe(path, onValue, onError) {
+      ensureRoot(splitStoragePath(path)[0]);
+      const listener = { path, onValue, onError };
+      listeners.push(listener);
+      Promise.resolve().then(() => {
+        if (listeners.includes(listener)) {
+          onValue(cloneStorageValue(getValueAtPath(tree, splitStoragePath(path))));
+        }
+      });
+      return () => {
+        const index = listeners.indexOf(listener);
+        if (index >= 0) listeners.splice(index, 1);
+      };
+    },
+    
+    subscribeChildren(path, query, handlers, onError) {
+      return subscribeChildrenByDiff(backend, path, query, handlers, onError);
+    },
+    
+    /**
+     * 外部（別タブなど）でルートが書き換えられたときに再読み込みする
+     */
+    reloadRoot(root) {
+      loadedRoots.delete(root);
+      delete tree[root];
+      ensureRoot(root);
+      notify(root);
+    }
+  };
+  
+  return backend;
 }
 
 /**
- * IDでチケットを取得する
+ * localStorage のキー名を取得（既存データと互換のキーを使う）
  */
-function getTicketById(id) {
-  return ticketsCache.find(t => t.id === id) || null;
+function getLocalStorageKeyForRoot(root) {
+  const keys = {
+    tickets: STORAGE_KEY,
+    students: STUDENTS_KEY,
+    settings: SETTINGS_KEY
+  };
+  return keys[root] || `question_${root}_v1`;
 }
 
 /**
- * 簡易UUID生成
+ * localStorage のキー名からルート名を取得（getLocalStorageKeyForRoot の逆引き、該当しなければ null）
  */
-function generateUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
+function getRootForLocalStorageKey(key) {
+  const match = /^question_(.+)_v1$/.exec(key || '');
+  return match && getLocalStorageKeyForRoot(match[1]) === key ? match[1] : null;
 }
 
 /**
- * 生徒の未完了チケット数を取得
+ * localStorage バックエンドを作成
  */
-function getActiveTicketCount(studentId, excludeId = null) {
-  return ticketsCache.filter(t => 
-    t.studentId === studentId && 
-    t.status === 'submitted' &&
-    t.id !== excludeId
-  ).length;
+function createLocalStorageBackend() {
+  const backend = createTreeBackend('local', {
+    read(root) {
+      try {
+        const data = localStorage.getItem(getLocalStorageKeyForRoot(root));
+        return data ? normalizeCollection(JSON.parse(data)) : null;
+      } catch (e) {
+        console.error(`Failed to load ${root} from localStorage:`, e);
+        return null;
+      }
+    },
+    write(root, value) {
+      const key = getLocalStorageKeyForRoot(root);
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, JSON.stringify(value));
+      }
+    }
+  });
+  
+  // 別タブでの変更を反映
+  window.addEventListener('storage', (event) => {
+    const root = getRootForLocalStorageKey(event.key);
+    if (root) backend.reloadRoot(root);
+  });
+  
+  return backend;
 }
 
-// ============================================
-// Data Management - Students
-// ============================================
+/**
+ * メモリ上のみのバックエンドを作成（デモ・テスト用）
+ */
+function createMemoryBackend(initialData = {}) {
+  const backend = createTreeBackend('memory');
+  Object.keys(initialData).forEach(root => {
+    backend.set(root, normalizeCollection(initialData[root]));
+  });
+  return backend;
+}
 
 /**
- * localStorageから生徒読み込み（フォールバック用）
+ * Firebase Realtime Database バックエンドを作成
  */
-function loadStudentsFromLocal() {
-  try {
-    const data = localStorage.getItem(STUDENTS_KEY);
-    return data ? JSON.parse(data) : [];
-  } catch (e) {
-    console.error('Failed to load students from localStorage:', e);
-    return [];
-  }
+function createFirebaseBackend() {
+  return {
+    name: 'firebase',
+    
+    async init() {
+      if (!isFirebaseConfigured() || !initFirebase()) return false;
+      // ルールはログイン中のユーザーで評価されるため、認証状態の復元を待ってから読み込む
+      if (firebaseAuth) {
+        await new Promise(resolve => {
+          const unsubscribe = firebaseAuth.onAuthStateChanged(() => {
+            unsubscribe();
+            resolve();
+          });
+        });
+      }
+      return true;
+    },
+    
+    async get(path, query = null) {
+      const snapshot = await firebaseQueryRef(path, query).once('value');
+      return snapshot.val();
+    },
+    
+    async set(path, value) {
+      await database.ref(path).set(value);
+    },
+    
+    async update(path, values) {
+      await database.ref(path).update(values);
+    },
+    
+    async remove(path) {
+      await database.ref(path).remove();
+    },
+    
+    async transaction(path, updateFn) {
+      // ローカルの推測値で画面を書き換えないよう applyLocally は false にする
+      const result = await database.ref(path).transaction(updateFn, undefined, false);
+      return { committed: result.committed, value: result.snapshot.val() };
+    },
+    
+    subscribe(path, onValue, onError) {
+      const ref = database.ref(path);
+      const callback = (snapshot) => onValue(snapshot.val());
+      ref.on('value', callback, onError);
+      return () => ref.off('value', callback);
+    },
+    
+    subscribeChildren(path, query, handlers, onError) {
+      const ref = firebaseQueryRef(path, query);
+      const callbacks = {
+        child_added: (snapshot) => handlers.added(snapshot.key, snapshot.val()),
+        child_changed: (snapshot) => handlers.changed(snapshot.key, snapshot.val()),
+        child_removed: (snapshot) => handlers.removed(snapshot.key)
+      };
+      Object.keys(callbacks).forEach(event => ref.on(event, callbacks[event], onError));
+      return () => Object.keys(callbacks).forEach(event => ref.off(event, callbacks[event]));
+    }
+  };
 }
 
 /**
- * 生徒一覧を取得（キャッシュから）
+ * query を適用した Firebase の参照を取得
+ * （絞り込むキーには database.rules.json で .indexOn を設定すること）
  */
-function loadStudents() {
-  return studentsCache;
+function firebaseQueryRef(path, query) {
+  const ref = database.ref(path);
+  return query ? ref.orderByChild(query.orderBy).equalTo(query.equalTo) : ref;
 }
 
 /**
- * 生徒を追加または更新する
+ * REST/JSON バックエンドを作成
+ * Firebase の REST API と同じ形式（GET/PUT/PATCH/DELETE {baseUrl}/{path}.json）で通信し、
+ * 購読はポーリングで実現する。
  */
-async function upsertStudent(student) {
-  const existingIndex = studentsCache.findIndex(s => s.id === student.id);
+function createRestBackend(baseUrl, pollInterval = DEFAULT_REST_POLL_INTERVAL) {
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+  const subscriptions = [];
   
-  if (existingIndex < 0 && !student.id) {
-    student.id = generateUUID();
+  function buildUrl(path, query = null) {
+    let url = `${base}/${splitStoragePath(path).map(encodeURIComponent).join('/')}.json`;
+    if (query) {
+      url += `?orderBy=${encodeURIComponent(JSON.stringify(query.orderBy))}&equalTo=${encodeURIComponent(JSON.stringify(query.equalTo))}`;
+    }
+    return url;
   }
   
-  if (isFirebaseConfigured() && database) {
-    try {
-      await database.ref('students/' + student.id).set(student);
-    } catch (error) {
-      console.error('Failed to save student to Firebase:', error);
-      showToast('保存に失敗しました', 'error');
-      throw error;
+  async function request(method, path, body, query = null) {
+    const options = { method, headers: { 'Content-Type': 'application/json' } };
+    if (body !== undefined) options.body = JSON.stringify(body);
+    const response = await fetch(buildUrl(path, query), options);
+    if (!response.ok) {
+      throw createRestError(method, path, response);
     }
-  } else {
-    if (existingIndex >= 0) {
-      studentsCache[existingIndex] = { ...studentsCache[existingIndex], ...student };
-    } else {
-      studentsCache.push(student);
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+  
+  /**
+   * ETag 付きで読み書きする（条件付き書き込みが競合した場合は 412 と最新の値が返る）
+   */
+  async function requestWithETag(method, path, body, etag = null) {
+    const headers = { 'Content-Type': 'application/json', 'X-Firebase-ETag': 'true' };
+    if (etag) headers['if-match'] = etag;
+    const options = { method, headers };
+    if (body !== undefined) options.body = JSON.stringify(body);
+    const response = await fetch(buildUrl(path), options);
+    if (!response.ok && response.status !== 412) {
+      throw createRestError(method, path, response);
     }
-    localStorage.setItem(STUDENTS_KEY, JSON.stringify(studentsCache));
+    const text = await response.text();
+    return {
+      conflict: response.status === 412,
+      value: text ? JSON.parse(text) : null,
+      etag: response.headers.get('ETag')
+    };
   }
   
-  return student;
-}
-
-/**
- * 生徒を削除する
- */
-async function deleteStudent(studentId) {
-  if (isFirebaseConfigured() && database) {
+  /**
+   * 失敗した応答のエラーを作成（認証・権限のエラーは Firebase と同じコードにする）
+   */
+  function createRestError(method, path, response) {
+    const error = new Error(`REST ${method} ${path} failed: ${response.status}`);
+    if (response.status === 401 || response.status === 403) error.code = 'PERMISSION_DENIED';
+    return error;
+  }
+  
+  async function poll(subscription) {
     try {
-      await database.ref('students/' + studentId).remove();
+      const value = filterByQuery(await request('GET', subscription.path, undefined, subscription.query), subscription.query);
+      const serialized = JSON.stringify(value);
+      if (serialized !== subscription.last) {
+        subscription.last = serialized;
+        subscription.onValue(value);
+      }
     } catch (error) {
-      console.error('Failed to delete student from Firebase:', error);
-      showToast('削除に失敗しました', 'error');
-      throw error;
+      if (subscription.onError) subscription.onError(error);
     }
-  } else {
-    studentsCache = studentsCache.filter(s => s.id !== studentId);
-    localStorage.setItem(STUDENTS_KEY, JSON.stringify(studentsCache));
   }
+  
+  function refreshAffected(path) {
+    subscriptions
+      .filter(s => storagePathsOverlap(s.path, path))
+      .forEach(poll);
+  }
+  
+  return {
+    name: 'rest',
+    
+    async init() {
+      if (!base) return false;
+      await request('GET', 'settings');
+      return true;
+    },
+    
+    async get(path, query = null) {
+      return filterByQuery(await request('GET', path, undefined, query), query);
+    },
+    
+    async set(path, value) {
+      await request('PUT', path, value);
+      refreshAffected(path);
+    },
+    
+    async update(path, values) {
+      await request('PATCH', path, values);
+      refreshAffected(path);
+    },
+    
+    async remove(path) {
+      await request('DELETE', path);
+      refreshAffected(path);
+    },
+    
+    async transaction(path, updateFn) {
+      let current = await requestWithETag('GET', path);
+      for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt++) {
+        const next = updateFn(cloneStorageValue(current.value));
+        if (next === undefined) return { committed: false, value: current.value };
+        const result = await requestWithETag('PUT', path, next, current.etag);
+        if (!result.conflict) {
+          refreshAffected(path);
+          return { committed: true, value: result.value };
+        }
+        current = result;
+      }
+      throw new Error(`REST transaction ${path} failed: too many conflicts`);
+    },
+    
+    subscribe(path, onValue, onError, query = null) {
+      const subscription = { path, query, onValue, onError, last: undefined };
+      subscriptions.push(subscription);
+      poll(subscription);
+      const timer = setInterval(() => poll(subscription), pollInterval);
+      return () => {
+        clearInterval(timer);
+        const index = subscriptions.indexOf(subscription);
+        if (index >= 0) subscriptions.splice(index, 1);
+      };
+    },
+    
+    subscribeChildren(path, query, handlers, onError) {
+      return subscribeChildrenByDiff(this, path, query, handlers, onError);
+    }
+  };
 }
 
 /**
- * IDで生徒を取得する
- */
-function getStudentById(id) {
-  return studentsCache.find(s => s.id === id) || null;
-}
-
-/**
- * クラス・イニシャル・誕生日で生徒を検索
+ * 設定からストレージバックエンドを作成
+ * storageConfig.backend: 'auto' | 'firebase' | 'local' | 'memory' | 'rest'
  */
-function findStudent(className, initials, birthday) {
-  return studentsCache.find(s => 
-    s.className === className && 
-    s.initials.toUpperCase() === initials.toUpperCase() && 
-    s.birthday === birthday
-  ) || null;
+function createStorageBackend() {
+  const config = typeof storageConfig !== 'undefined' ? storageConfig : {};
+  const type = config.backend || 'auto';
+  
+  switch (type) {
+    case 'firebase':
+      return createFirebaseBackend();
+    case 'local':
+      return createLocalStorageBackend();
+    case 'memory':
+      return createMemoryBackend(config.initialData || {});
+    case 'rest':
+      return createRestBackend(config.restBaseUrl, config.pollInterval || DEFAULT_REST_POLL_INTERVAL);
+    default:
+      return isFirebaseConfigured() ? createFirebaseBackend() : createLocalStorageBackend();
+  }
 }
 
 // ============================================
-// User Preferences
+// Data Cache
 // ============================================
+let storage = null;
+let ticketsCache = [];
+let studentsCache = [];
+let teachersCache = [];
+let ticketQueueCache = [];
+let timeSlotsCache = [];
+let classOptionsCache = [];
+let subjectOptionsCache = [];
+let materialOptionsCache = [];
+let studentLoginAttemptsCache = [];
+let dataReady = false;
+let dataLoadedCallbacks = [];
+let dataUnsubscribers = [];
+let scopedUnsubscribers = [];
+let syncScopeKey = null;
+let syncedData = { tickets: null, students: null, teachers: null, ticketQueue: null, timeSlots: null, classOptions: null, subjectOptions: null, materialOptions: null, studentLoginAttempts: null };
+let pendingViewChanges = createPendingViewChanges();
+let viewUpdateTimer = null;
 
 /**
- * ユーザー設定を読み込む
+ * ストレージ初期化とリアルタイムリスナー設定
  */
-function loadUserPrefs() {
+async function initializeData() {
+  const loadingScreen = document.getElementById('loading-screen');
+  
+  storage = createStorageBackend();
+  let initialized = false;
   try {
-    const data = localStorage.getItem(USER_PREFS_KEY);
-    return data ? JSON.parse(data) : {};
-  } catch (e) {
-    return {};
+    initialized = await storage.init();
+  } catch (error) {
+    console.error(`Storage backend "${storage.name}" initialization failed:`, error);
+  }
+  
+  if (!initialized) {
+    console.warn(`Storage backend "${storage.name}" unavailable. Using localStorage fallback.`);
+    storage = createLocalStorageBackend();
+    await storage.init();
+  }
+  
+  blobStore = createBlobStore();
+  teacherAuthProvider = createTeacherAuthProvider();
+  studentAuthProvider = createStudentAuthProvider();
+  await restoreTeacherSession();
+  
+  // 未送信の書き込みを先に読み込み、キャッシュに反映できるようにする
+  await loadWriteQueue();
+  
+  // 初回データ読み込み完了を待つ
+  try {
+    await loadInitialData();
+    console.log(`Data loaded (${storage.name})`);
+  } catch (error) {
+    console.error('Data load error:', error);
+    storage = createLocalStorageBackend();
+    await storage.init();
+    await loadInitialData();
+  }
+  
+  subscribeDataCaches();
+  
+  dataReady = true;
+  if (loadingScreen) loadingScreen.classList.add('hidden');
+  triggerDataLoadedCallbacks();
+  
+  // 前回送信できなかった書き込みを再送
+  replayWriteQueue();
+  
+  // 旧形式のデータを移行（先生のみ実行）
+  if (getTeacherSession()) {
+    runTeacherMigrations();
   }
 }
 
 /**
- * ユーザー設定を保存する
+ * 旧形式のデータを移行（先生ログイン中のみ。生徒は書き込み権限がないため）
  */
-function saveUserPrefs(prefs) {
-  try {
-    localStorage.setItem(USER_PREFS_KEY, JSON.stringify(prefs));
-  } catch (e) {
-    console.error('Failed to save user prefs:', e);
-  }
+async function runTeacherMigrations() {
+  await migrateStudentCredentials();
+  await migrateInlineImages();
+  await rebuildTicketQueue();
 }
 
-// ============================================
-// Teacher Password Management
-// ============================================
-
-let teacherPasswordCache = null;
+/**
+ * チケット・生徒・先生アカウント・ログイン試行の記録・待ち行列・予約枠・選択肢を1回だけ読み込む
+ */
+async function loadInitialData() {
+  const scope = getTicketSyncScope();
+  const [tickets, students, teachers, studentLoginAttempts, ticketQueue, timeSlots, ...options] = await Promise.all([
+    scope ? storage.get('tickets', scope.query) : null,
+    storage.get('students'),
+    getTeacherSession() ? storage.get('teachers') : null,
+    getTeacherSession() ? storage.get('studentLoginAttempts') : null,
+    isTicketQueueSynced() ? storage.get('ticketQueue') : null,
+    isTimeSlotSynced() ? storage.get('timeSlots') : null,
+    ...Object.keys(OPTION_LISTS).map(root => storage.get(root))
+  ]);
+  syncedData = { tickets: tickets || {}, students: students || {}, teachers: teachers || {}, studentLoginAttempts: studentLoginAttempts || {}, ticketQueue: ticketQueue || {}, timeSlots: timeSlots || {} };
+  Object.keys(OPTION_LISTS).forEach((root, index) => { syncedData[root] = options[index] || {}; });
+  rebuildDataCaches();
+  enforceTeacherAccountState();
+}
 
 /**
- * 先生パスワードを取得
+ * チケットの同期範囲を取得
+ * 先生は全件、生徒は自分のチケットのみ、未ログイン時は同期しない（null）
  */
-function getTeacherPassword() {
-  if (teacherPasswordCache !== null) {
-    return teacherPasswordCache;
-  }
-  
-  // Firebaseから取得を試みる（キャッシュがない場合はlocalStorageから）
-  const localPassword = localStorage.getItem(TEACHER_PASSWORD_KEY);
-  teacherPasswordCache = localPassword || DEFAULT_TEACHER_PASSWORD;
-  return teacherPasswordCache;
+function getTicketSyncScope() {
+  if (getTeacherSession()) return { query: null };
+  const session = getStudentSession();
+  if (session) return { query: { orderBy: 'studentId', equalTo: session.id } };
+  return null;
 }
 
 /**
- * 先生パスワードを設定
+ * 待ち行列を同期するか（生徒ログイン中のみ。先生は全チケットから計算する）
  */
-async function setTeacherPassword(newPassword) {
-  if (isFirebaseConfigured() && database) {
-    try {
-      await database.ref('settings/teacherPassword').set(newPassword);
-    } catch (error) {
-      console.error('Failed to save password to Firebase:', error);
-    }
-  }
-  localStorage.setItem(TEACHER_PASSWORD_KEY, newPassword);
-  teacherPasswordCache = newPassword;
+function isTicketQueueSynced() {
+  return !getTeacherSession() && !!getStudentSession();
 }
 
 /**
- * Firebaseから先生パスワードを読み込む
+ * 予約枠を同期するか（先生・生徒のどちらかでログイン中）
  */
-function loadTeacherPasswordFromFirebase() {
-  if (isFirebaseConfigured() && database) {
-    database.ref('settings/teacherPassword').on('value', (snapshot) => {
-      const password = snapshot.val();
-      if (password) {
-        teacherPasswordCache = password;
-        localStorage.setItem(TEACHER_PASSWORD_KEY, password);
-      }
-    });
-  }
+function isTimeSlotSynced() {
+  return !!getTeacherSession() || !!getStudentSession();
 }
 
 /**
- * パスワード変更モーダルを表示
+ * 同期済みデータに未送信の書き込みを重ねてキャッシュを作り直す
  */
-function showPasswordChangeModal() {
-  document.getElementById('current-password').value = '';
-  document.getElementById('new-password').value = '';
-  document.getElementById('confirm-password').value = '';
-  document.getElementById('password-change-modal').classList.remove('hidden');
+function rebuildDataCaches() {
+  ticketsCache = Object.values(applyPendingWrites('tickets', syncedData.tickets) || {});
+  studentsCache = Object.values(applyPendingWrites('students', syncedData.students) || {});
+  teachersCache = Object.values(applyPendingWrites('teachers', syncedData.teachers) || {});
+  studentLoginAttemptsCache = Object.values(applyPendingWrites('studentLoginAttempts', syncedData.studentLoginAttempts) || {});
+  ticketQueueCache = Object.values(applyPendingWrites('ticketQueue', syncedData.ticketQueue) || {});
+  timeSlotsCache = Object.values(applyPendingWrites('timeSlots', syncedData.timeSlots) || {});
+  classOptionsCache = Object.values(applyPendingWrites('classOptions', syncedData.classOptions) || {});
+  subjectOptionsCache = Object.values(applyPendingWrites('subjectOptions', syncedData.subjectOptions) || {});
+  materialOptionsCache = Object.values(applyPendingWrites('materialOptions', syncedData.materialOptions) || {});
 }
 
 /**
- * パスワード変更モーダルを閉じる
+ * ルート名に対応するキャッシュを取得
  */
-function closePasswordChangeModal() {
-  document.getElementById('password-change-modal').classList.add('hidden');
+function getDataCache(root) {
+  switch (root) {
+    case 'tickets': return ticketsCache;
+    case 'students': return studentsCache;
+    case 'teachers': return teachersCache;
+    case 'studentLoginAttempts': return studentLoginAttemptsCache;
+    case 'ticketQueue': return ticketQueueCache;
+    case 'timeSlots': return timeSlotsCache;
+    case 'classOptions': return classOptionsCache;
+    case 'subjectOptions': return subjectOptionsCache;
+    case 'materialOptions': return materialOptionsCache;
+    default: return null;
+  }
 }
 
 /**
- * 先生パスワードを変更
+ * キャッシュの1件だけを同期済みデータと未送信の書き込みから更新する
  */
-async function changeTeacherPassword() {
-  const currentPassword = document.getElementById('current-password').value;
-  const newPassword = document.getElementById('new-password').value;
-  const confirmPassword = document.getElementById('confirm-password').value;
-  
-  if (currentPassword !== getTeacherPassword()) {
-    showToast('現在のパスワードが違います', 'error');
-    return;
-  }
-  
-  if (!newPassword) {
-    showToast('新しいパスワードを入力してください', 'error');
-    return;
-  }
+function patchCacheEntry(root, id) {
+  const cache = getDataCache(root);
+  const synced = (syncedData[root] || {})[id] || null;
+  const value = applyPendingWrites(`${root}/${id}`, synced);
+  const index = cache.findIndex(item => item.id === id);
   
-  if (newPassword !== confirmPassword) {
-    showToast('新しいパスワードが一致しません', 'error');
-    return;
+  if (value) {
+    if (index >= 0) {
+      cache[index] = value;
+    } else {
+      cache.push(value);
+    }
+  } else if (index >= 0) {
+    cache.splice(index, 1);
   }
-  
-  await setTeacherPassword(newPassword);
-  closePasswordChangeModal();
-  showToast('パスワードを変更しました');
 }
 
-// ============================================
-// Session Management
-// ============================================
-
 /**
- * 生徒セッションを取得
+ * 書き込んだパスに応じてキャッシュを更新
  */
-function getStudentSession() {
-  try {
-    const data = sessionStorage.getItem(STUDENT_SESSION_KEY);
-    return data ? JSON.parse(data) : null;
-  } catch (e) {
-    return null;
+function refreshCachesForPath(path) {
+  const [root, id] = splitStoragePath(path);
+  if (!root || (getDataCache(root) && !id)) {
+    rebuildDataCaches();
+  } else if (id && getDataCache(root)) {
+    patchCacheEntry(root, id);
   }
 }
 
 /**
- * 生徒セッションを保存
+ * キャッシュ更新用のリアルタイムリスナーを設定（子単位で同期）
  */
-function setStudentSession(session) {
-  sessionStorage.setItem(STUDENT_SESSION_KEY, JSON.stringify(session));
+function subscribeDataCaches() {
+  subscribeScopedData();
+  
+  // 生徒のリアルタイムリスナー
+  dataUnsubscribers.push(storage.subscribeChildren('students', null, {
+    added: (id, value) => applySyncedChild('students', id, value),
+    changed: (id, value) => applySyncedChild('students', id, value),
+    removed: (id) => applySyncedChild('students', id, null)
+  }, (error) => {
+    console.error('Students sync error:', error);
+  }));
+  
+  // 選択肢のリアルタイムリスナー（ログイン画面でも使うため常に同期）
+  Object.keys(OPTION_LISTS).forEach(root => {
+    dataUnsubscribers.push(storage.subscribeChildren(root, null, {
+      added: (id, value) => applySyncedChild(root, id, value),
+      changed: (id, value) => applySyncedChild(root, id, value),
+      removed: (id) => applySyncedChild(root, id, null)
+    }, (error) => {
+      console.error('Options sync error:', error);
+    }));
+  });
+  
+  // 先生パスワードの同期
+  dataUnsubscribers.push(loadTeacherPasswordFromStorage());
 }
 
 /**
- * 生徒セッションを削除
+ * 現在の同期範囲を表すキー（ログイン状態が変わると変化する）
  */
-function clearStudentSession() {
-  sessionStorage.removeItem(STUDENT_SESSION_KEY);
+function getSyncScopeKey() {
+  return JSON.stringify({ tickets: getTicketSyncScope(), teachers: !!getTeacherSession(), ticketQueue: isTicketQueueSynced(), timeSlots: isTimeSlotSynced() });
 }
 
 /**
- * 先生セッションを取得
+ * ログイン状態に応じたリアルタイムリスナーを設定
+ * チケットは同期範囲で絞り込み、先生アカウントと生徒のログイン試行の記録は先生ログイン中のみ同期する
  */
-function getTeacherSession() {
-  return sessionStorage.getItem(TEACHER_SESSION_KEY) === 'true';
+function subscribeScopedData() {
+  const scope = getTicketSyncScope();
+  syncScopeKey = getSyncScopeKey();
+  
+  if (scope) {
+    scopedUnsubscribers.push(storage.subscribeChildren('tickets', scope.query, {
+      added: (id, value) => applySyncedChild('tickets', id, value),
+      changed: (id, value) => applySyncedChild('tickets', id, value),
+      removed: (id) => applySyncedChild('tickets', id, null)
+    }, (error) => {
+      console.error('Tickets sync error:', error);
+    }));
+  }
+  
+  if (getTeacherSession()) {
+    scopedUnsubscribers.push(storage.subscribeChildren('teachers', null, {
+      added: (id, value) => applySyncedChild('teachers', id, value),
+      changed: (id, value) => applySyncedChild('teachers', id, value),
+      removed: (id) => applySyncedChild('teachers', id, null)
+    }, (error) => {
+      console.error('Teachers sync error:', error);
+    }));
+    
+    scopedUnsubscribers.push(storage.subscribeChildren('studentLoginAttempts', null, {
+      added: (id, value) => applySyncedChild('studentLoginAttempts', id, value),
+      changed: (id, value) => applySyncedChild('studentLoginAttempts', id, value),
+      removed: (id) => applySyncedChild('studentLoginAttempts', id, null)
+    }, (error) => {
+      console.error('Login attempts sync error:', error);
+    }));
+  }
+  
+  if (isTicketQueueSynced()) {
+    scopedUnsubscribers.push(storage.subscribeChildren('ticketQueue', null, {
+      added: (id, value) => applySyncedChild('ticketQueue', id, value),
+      changed: (id, value) => applySyncedChild('ticketQueue', id, value),
+      removed: (id) => applySyncedChild('ticketQueue', id, null)
+    }, (error) => {
+      console.error('Ticket queue sync error:', error);
+    }));
+  }
+  
+  if (isTimeSlotSynced()) {
+    scopedUnsubscribers.push(storage.subscribeChildren('timeSlots', null, {
+      added: (id, value) => applySyncedChild('timeSlots', id, value),
+      changed: (id, value) => applySyncedChild('timeSlots', id, value),
+      removed: (id) => applySyncedChild('timeSlots', id, null)
+    }, (error) => {
+      console.error('Time slots sync error:', error);
+    }));
+  }
 }
 
 /**
- * 先生セッションを保存
+ * ログイン状態が変わったら同期範囲を切り替える
  */
-function setTeacherSession(loggedIn) {
-  if (loggedIn) {
-    sessionStorage.setItem(TEACHER_SESSION_KEY, 'true');
-  } else {
-    sessionStorage.removeItem(TEACHER_SESSION_KEY);
-  }
+function updateSyncScope() {
+  if (!dataReady || getSyncScopeKey() === syncScopeKey) return;
+  
+  scopedUnsubscribers.forEach(unsubscribe => unsubscribe());
+  scopedUnsubscribers = [];
+  syncedData.tickets = {};
+  syncedData.teachers = {};
+  syncedData.studentLoginAttempts = {};
+  syncedData.ticketQueue = {};
+  syncedData.timeSlots = {};
+  rebuildDataCaches();
+  subscribeScopedData();
 }
 
-// ============================================
-// Routing
-// ============================================
-
 /**
- * ページ遷移
+ * 子単位の変更をキャッシュに反映
  */
-function navigateTo(page, params = {}) {
-  let hash = page ? `#${page}` : '';
+function applySyncedChild(root, id, value) {
+  if (!syncedData[root]) syncedData[root] = {};
+  if (value === null) {
+    delete syncedData[root][id];
+  } else {
+    syncedData[root][id] = value;
+  }
+  patchCacheEntry(root, id);
   
-  if (params.id) {
-    hash += `?id=${params.id}`;
+  if (root === 'teachers') {
+    enforceTeacherAccountState(id);
   }
   
-  window.location.hash = hash;
+  if (dataReady) {
+    scheduleViewUpdate(root, id);
+  }
 }
 
 /**
- * ハッシュからページとパラメータを解析
+ * 画面に反映していない変更（ルートごとの変更ID）の入れ物を作成
  */
-function parseHash() {
-  const hash = window.location.hash.slice(1);
-  const [page, queryString] = hash.split('?');
-  const params = {};
-  
-  if (queryString) {
-    queryString.split('&').forEach(pair => {
-      const [key, value] = pair.split('=');
-      params[key] = decodeURIComponent(value);
-    });
-  }
-  
-  return { page: page || '', params };
+function createPendingViewChanges() {
+  return { tickets: new Set(), students: new Set(), teachers: new Set(), studentLoginAttempts: new Set(), ticketQueue: new Set(), timeSlots: new Set(), classOptions: new Set(), subjectOptions: new Set(), materialOptions: new Set() };
 }
 
 /**
- * ルーティング処理
+ * 変更のあったIDをまとめて画面に反映する
  */
-function handleRouting() {
-  const { page, params } = parseHash();
+function scheduleViewUpdate(root, id) {
+  pendingViewChanges[root].add(id);
+  if (viewUpdateTimer) return;
   
-  document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
-  
-  switch (page) {
-    case 'student-login':
-      document.getElementById('page-student-login').classList.remove('hidden');
-      initStudentLoginPage();
-      break;
-    case 'student-mypage':
-      if (!getStudentSession()) {
-        navigateTo('student-login');
-        return;
-      }
-      document.getElementById('page-student-mypage').classList.remove('hidden');
-      renderStudentMyPage();
-      break;
-    case 'student-detail':
-      if (!getStudentSession()) {
-        navigateTo('student-login');
-        return;
-      }
-      document.getElementById('page-student-detail').classList.remove('hidden');
-      renderStudentDetail(params.id);
-      break;
-    case 'student':
-      if (!getStudentSession()) {
-        navigateTo('student-login');
-        return;
-      }
-      document.getElementById('page-student').classList.remove('hidden');
-      initStudentPage();
-      break;
-    case 'teacher-login':
-      document.getElementById('page-teacher-login').classList.remove('hidden');
-      break;
-    case 'teacher-settings':
-      if (!getTeacherSession()) {
-        navigateTo('teacher-login');
-        return;
-      }
-      document.getElementById('page-teacher-settings').classList.remove('hidden');
-      break;
-    case 'teacher-students':
-      if (!getTeacherSession()) {
-        navigateTo('teacher-login');
-        return;
-      }
-      document.getElementById('page-teacher-students').classList.remove('hidden');
-      renderStudentList();
-      break;
-    case 'teacher':
-      if (!getTeacherSession()) {
-        navigateTo('teacher-login');
-        return;
-      }
-      document.getElementById('page-teacher').classList.remove('hidden');
-      renderTeacherList();
-      break;
-    case 'teacher-detail':
-      if (!getTeacherSession()) {
-        navigateTo('teacher-login');
-        return;
-      }
-      document.getElementById('page-teacher-detail').classList.remove('hidden');
-      renderTeacherDetail(params.id);
-      break;
-    default:
-      document.getElementById('page-top').classList.remove('hidden');
-      break;
-  }
+  viewUpdateTimer = setTimeout(() => {
+    const changes = pendingViewChanges;
+    pendingViewChanges = createPendingViewChanges();
+    viewUpdateTimer = null;
+    refreshCurrentView(changes);
+  }, 0);
 }
 
-// ============================================
-// Toast Notification
-// ============================================
-
 /**
- * トースト表示
+ * キャッシュ更新用のリスナーを解除
  */
-function showToast(message, type = 'success') {
-  const container = document.getElementById('toast-container');
-  const toast = document.createElement('div');
-  toast.className = `toast toast-${type}`;
-  toast.textContent = message;
-  container.appendChild(toast);
-  
-  setTimeout(() => {
-    toast.remove();
-  }, 3000);
+function unsubscribeDataCaches() {
+  scopedUnsubscribers.forEach(unsubscribe => unsubscribe());
+  scopedUnsubscribers = [];
+  dataUnsubscribers.forEach(unsubscribe => unsubscribe());
+  dataUnsubscribers = [];
 }
 
-// ============================================
-// Date Formatting
-// ============================================
-
 /**
- * 日時フォーマット
+ * データ読み込み完了時のコールバック実行
  */
-function formatDateTime(timestamp) {
-  if (!timestamp) return '-';
-  const d = new Date(timestamp);
-  const year = d.getFullYear();
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  const hours = String(d.getHours()).padStart(2, '0');
-  const minutes = String(d.getMinutes()).padStart(2, '0');
-  return `${year}/${month}/${day} ${hours}:${minutes}`;
+function triggerDataLoadedCallbacks() {
+  dataLoadedCallbacks.forEach(cb => cb());
+  dataLoadedCallbacks = [];
 }
 
-// ============================================
-// Student Login
-// ============================================
-
 /**
- * 生徒ログインページ初期化
+ * データ読み込み完了を待つ
  */
-function initStudentLoginPage() {
-  const prefs = loadUserPrefs();
-  const classSelect = document.getElementById('login-className');
-  const initialsSelect = document.getElementById('login-initials');
-  
-  // クラス変更時にイニシャル一覧を更新
-  classSelect.onchange = function() {
-    updateInitialsSelect(this.value);
-  };
-  
-  if (prefs.className) {
-    classSelect.value = prefs.className;
-    updateInitialsSelect(prefs.className, prefs.initials);
+function waitForData(callback) {
+  if (dataReady) {
+    callback();
   } else {
-    initialsSelect.innerHTML = '<option value="">先にクラスを選択</option>';
+    dataLoadedCallbacks.push(callback);
   }
-  
-  document.getElementById('login-birthday').value = '';
 }
 
 /**
- * イニシャル選択肢を更新
+ * 現在の画面を更新（リアルタイム同期用）
+ * changes を渡すと、変更のあったチケットに関係する部分だけを更新する
  */
-function updateInitialsSelect(className, selectedInitials = '') {
-  const initialsSelect = document.getElementById('login-initials');
+function refreshCurrentView(changes = null) {
+  const { page, params } = parseHash();
   
-  if (!className) {
-    initialsSelect.innerHTML = '<option value="">先にクラスを選択</option>';
+  // 自分のロールが変わった場合は権限に合わせてページごと表示し直す
+  const session = getTeacherSession();
+  if (changes && session && changes.teachers.has(session.teacherId)) {
+    handleRouting();
     return;
   }
   
-  const students = loadStudents().filter(s => s.className === className);
-  
-  if (students.length === 0) {
-    initialsSelect.innerHTML = '<option value="">該当する生徒がいません</option>';
+  // 選択肢が変わった場合は、選択欄を描き直してから画面全体を更新する（教科の色・並び順が変わるため）
+  if (changes && Object.keys(OPTION_LISTS).some(root => changes[root].size > 0)) {
+    renderOptionSelects();
+    refreshCurrentView();
     return;
   }
   
-  // イニシャル順にソート
-  students.sort((a, b) => a.initials.localeCompare(b.initials));
+  const ticketIds = changes ? changes.tickets : null;
+  const ticketsChanged = !changes || ticketIds.size > 0;
+  const studentsChanged = !changes || changes.students.size > 0 || changes.studentLoginAttempts.size > 0;
   
-  initialsSelect.innerHTML = '<option value="">選択してください</option>' +
-    students.map(s => `<option value="${escapeHtml(s.initials)}">${escapeHtml(s.initials)}</option>`).join('');
+  if (page === 'student-mypage') {
+    // 他の人のチケットが進むと自分の待ち順も変わるため、受付中のカードを描き直す
+    if (changes && changes.ticketQueue.size > 0) {
+      loadTickets().filter(isActiveTicket).forEach(t => ticketIds.add(t.id));
+    }
+    if (!changes || ticketIds.size > 0) renderStudentTicketList(ticketIds);
+  } else if (page === 'student-detail') {
+    if (!changes || ticketIds.has(params.id)) renderStudentDetail(params.id);
+  } else if (page === 'student') {
+    // 他の生徒の予約で空きが変わるため、選択中の枠を残して選択肢を描き直す
+    if (!changes || changes.timeSlots.size > 0) renderTimeSlotOptions(document.getElementById('input-slot').value || null);
+  } else if (page === 'teacher') {
+    if (ticketsChanged) renderTeacherList(ticketIds);
+  } else if (page === 'teacher-detail') {
+    // メモ入力中は書き換えない
+    const memoInput = document.getElementById('input-teacherMemo');
+    const editingMemo = memoInput && document.activeElement === memoInput;
+    if ((!changes || ticketIds.has(params.id)) && !editingMemo) renderTeacherDetail(params.id);
+  } else if (page === 'teacher-students') {
+    if (studentsChanged) renderStudentList();
+  } else if (page === 'teacher-student-profile') {
+    // メモ入力中は書き換えない
+    const noteInput = document.getElementById('input-student-note');
+    const editingNote = noteInput && document.activeElement === noteInput;
+    if ((ticketsChanged || studentsChanged) && !editingNote) renderStudentProfile(params.id);
+  } else if (page === 'teacher-accounts') {
+    if (!changes || changes.teachers.size > 0) renderTeacherAccountList();
+  } else if (page === 'teacher-slots') {
+    if (ticketsChanged || changes.timeSlots.size > 0) renderTimeSlotTimeline();
+  } else if (page === 'teacher-analytics') {
+    if (ticketsChanged) renderAnalytics();
+  } else if (page === 'teacher-options') {
+    if (!changes) renderOptionSettings();
+  }
   
-  if (selectedInitials) {
-    initialsSelect.value = selectedInitials;
+  if (ticketsChanged) checkTicketCalls();
+}
+
+// ============================================
+// Offline Write Queue
+// ============================================
+/*
+  書き込みは全て IndexedDB のキューに保存してから順番に送信する。
+  送信に失敗した書き込みはキューに残り、接続回復時に自動で再送される。
+  一定回数失敗した書き込みは 'failed' となり、ユーザーが再試行か破棄を選ぶまで後続を止める。
+  権限がなく拒否された書き込みは再送しても通らないため、すぐにキューから外して画面を元に戻す。
+  ただしタイムアウトした書き込みは届いていることがあるため、再送が拒否されても保存先が同じ値なら送信済みとして扱う。
+*/
+
+let writeQueue = [];
+let writeQueueReplayPromise = null;
+let writeQueueRetryTimer = null;
+let syncState = 'idle'; // 'idle' | 'pending' | 'syncing' | 'failed'
+let appDbPromise = null;
+
+/**
+ * アプリ用の IndexedDB を開く
+ */
+function openAppDb() {
+  if (!appDbPromise) {
+    appDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+      const request = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(WRITE_QUEUE_STORE)) {
+          db.createObjectStore(WRITE_QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+          db.createObjectStore(IMAGES_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(FORM_DRAFTS_STORE)) {
+          db.createObjectStore(FORM_DRAFTS_STORE, { keyPath: 'studentId' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
   }
+  return appDbPromise;
 }
 
 /**
- * 生徒ログイン
+ * IndexedDB のストアに対してリクエストを実行
  */
-function studentLogin() {
-  const className = document.getElementById('login-className').value;
-  const initials = document.getElementById('login-initials').value;
-  const birthday = document.getElementById('login-birthday').value.trim();
-  
-  if (!className) {
-    showToast('クラスを選択してください', 'error');
-    return;
+async function runAppDbRequest(storeName, mode, createRequest) {
+  const db = await openAppDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = createRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * 保存済みの書き込みキューを読み込む
+ */
+async function loadWriteQueue() {
+  try {
+    const entries = await runAppDbRequest(WRITE_QUEUE_STORE, 'readonly', store => store.getAll());
+    writeQueue = (entries || []).sort((a, b) => a.seq - b.seq);
+  } catch (error) {
+    console.error('Failed to load write queue:', error);
+    writeQueue = [];
   }
-  
-  if (!initials) {
-    showToast('イニシャルを選択してください', 'error');
-    return;
+  updateSyncIndicator();
+}
+
+/**
+ * 書き込みキューのエントリを保存（新規の場合は seq を採番）
+ */
+async function persistWriteQueueEntry(entry) {
+  try {
+    const seq = await runAppDbRequest(WRITE_QUEUE_STORE, 'readwrite', store => store.put(entry));
+    entry.seq = seq;
+  } catch (error) {
+    // IndexedDB が使えない環境ではメモリ上のキューのみで動作する
+    console.error('Failed to persist write queue entry:', error);
+    if (entry.seq === undefined) {
+      entry.seq = writeQueue.reduce((max, e) => Math.max(max, e.seq), 0) + 1;
+    }
   }
-  
-  if (!birthday || !/^\d{4}$/.test(birthday)) {
-    showToast('誕生日は4桁の数字で入力してください', 'error');
-    return;
+}
+
+/**
+ * 書き込みキューのエントリを削除
+ */
+async function deleteWriteQueueEntry(entry) {
+  writeQueue = writeQueue.filter(e => e !== entry);
+  try {
+    await runAppDbRequest(WRITE_QUEUE_STORE, 'readwrite', store => store.delete(entry.seq));
+  } catch (error) {
+    console.error('Failed to delete write queue entry:', error);
   }
+}
+
+/**
+ * ストレージへ書き込む（全ての書き込みはここを通す）
+ * 送信できた場合は true、キューに保留された場合は false を返す
+ * 権限がなく拒否された場合は例外を投げる（呼び出し元は成功の表示をしない）
+ */
+async function writeToStorage(method, path, value = null) {
+  const entry = {
+    method,
+    path,
+    value,
+    createdAt: Date.now(),
+    attempts: 0,
+    status: 'pending',
+    lastError: null
+  };
+  await persistWriteQueueEntry(entry);
+  writeQueue.push(entry);
+  refreshCachesForPath(path);
   
-  // 生徒を検索
-  const student = findStudent(className, initials, birthday);
+  await replayWriteQueue();
   
-  if (!student) {
-    showToast('パスワードが正しくありません', 'error');
-    return;
+  if (entry.status === 'rejected') {
+    const error = new Error(entry.lastError);
+    error.code = 'PERMISSION_DENIED';
+    throw error;
   }
   
-  // セッション保存
-  setStudentSession({
-    id: student.id,
-    className: student.className,
-    initials: student.initials
+  const sent = !writeQueue.includes(entry);
+  if (!sent) {
+    showToast('オフラインのため端末に保存しました。接続が戻ると自動で送信します', 'warning');
+  }
+  return sent;
+}
+
+/**
+ * 1件の書き込みを実行（応答がない場合はタイムアウト）
+ */
+function runQueuedWrite(entry) {
+  let operation;
+  if (entry.method === 'update') {
+    operation = storage.update(entry.path, entry.value);
+  } else if (entry.method === 'remove') {
+    operation = storage.remove(entry.path);
+  } else {
+    operation = storage.set(entry.path, entry.value);
+  }
+  return withWriteTimeout(operation);
+}
+
+/**
+ * 書き込みの Promise に応答待ちのタイムアウトを付ける
+ */
+function withWriteTimeout(operation) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error('Write timed out');
+      error.code = 'timeout';
+      reject(error);
+    }, WRITE_TIMEOUT_MS);
   });
+  return Promise.race([operation, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 枠を確保する書き込みに応答待ちのタイムアウトを付ける
+ * タイムアウトの後で書き込みが届いた場合は、getReleaseWrites(結果) が返す書き込み（null なら何もしない）で枠を外す
+ */
+async function withReservationTimeout(operation, getReleaseWrites) {
+  try {
+    return await withWriteTimeout(operation);
+  } catch (error) {
+    if (error.code === 'timeout') {
+      operation.then(result => {
+        const writes = getReleaseWrites(result);
+        if (!writes) return;
+        writeToStorage('update', '', writes).catch(releaseError => {
+          console.error('Failed to release late reservation:', releaseError);
+        });
+      }, () => {});
+    }
+    throw error;
+  }
+}
+
+/**
+ * 書き込みキューを先頭から順に送信する
+ */
+function replayWriteQueue() {
+  if (writeQueueReplayPromise) return writeQueueReplayPromise;
   
-  // プリファレンス保存
-  saveUserPrefs({ className, initials });
+  writeQueueReplayPromise = (async () => {
+    clearTimeout(writeQueueRetryTimer);
+    while (writeQueue.length > 0) {
+      const entry = writeQueue[0];
+      if (entry.status === 'failed') break;
+      
+      setSyncState('syncing');
+      try {
+        await runQueuedWrite(entry);
+        await deleteWriteQueueEntry(entry);
+        refreshCachesForPath(entry.path);
+      } catch (error) {
+        console.warn('Queued write failed:', entry.path, error);
+        if (isPermissionDeniedError(error)) {
+          // 前回タイムアウトした書き込みが届いていた場合、追記のみのパスでは再送が拒否される
+          if (entry.timedOut && await isQueuedWriteApplied(entry)) {
+            await deleteWriteQueueEntry(entry);
+            refreshCachesForPath(entry.path);
+            continue;
+          }
+          entry.lastError = error.message || String(error);
+          await rejectQueuedWrite(entry);
+          continue;
+        }
+        // オフラインやタイムアウトは失敗回数に数えない
+        if (error.code === 'timeout') entry.timedOut = true;
+        const offline = !navigator.onLine || error.code === 'timeout';
+        if (!offline) entry.attempts++;
+        entry.lastError = error.message || String(error);
+        if (entry.attempts >= MAX_WRITE_ATTEMPTS) entry.status = 'failed';
+        await persistWriteQueueEntry(entry);
+        if (entry.status !== 'failed') scheduleWriteQueueRetry();
+        break;
+      }
+    }
+  })().finally(() => {
+    writeQueueReplayPromise = null;
+    updateSyncIndicator();
+  });
   
-  showToast('ログインしました');
-  navigateTo('student-mypage');
+  return writeQueueReplayPromise;
 }
 
 /**
- * 生徒ログアウト
+ * キューの書き込みが既に保存先に反映されているか（保存先の値が書き込む値と同じなら反映済みとみなす）
+ * Firebase の SDK はタイムアウトの後も自身のキューで送信を続けるため、応答がなくても届いていることがある
  */
-function studentLogout() {
-  clearStudentSession();
-  navigateTo('');
+async function isQueuedWriteApplied(entry) {
+  const values = entry.method === 'update'
+    ? entry.value || {}
+    : { '': entry.method === 'remove' ? null : entry.value };
+  try {
+    const results = await withWriteTimeout(Promise.all(Object.keys(values).map(async key => {
+      const path = [entry.path, key].filter(Boolean).join('/');
+      return storageValuesEqual(await storage.get(path), values[key]);
+    })));
+    return results.every(Boolean);
+  } catch (error) {
+    console.warn('Failed to check queued write:', entry.path, error);
+    return false;
+  }
+}
+
+/**
+ * 権限がなく拒否されたエラーか（Firebase は PERMISSION_DENIED、REST は 401/403 をこのコードにする）
+ */
+function isPermissionDeniedError(error) {
+  return !!error && error.code === 'PERMISSION_DENIED';
+}
+
+/**
+ * 拒否された書き込みをキューから外し、キャッシュと画面を書き込み前に戻す
+ */
+async function rejectQueuedWrite(entry) {
+  entry.status = 'rejected';
+  await deleteWriteQueueEntry(entry);
+  refreshCachesForPath(entry.path);
+  refreshCurrentView();
+  showToast(`権限がないため保存できませんでした（${describeQueuedWrite(entry)}）`, 'error');
+}
+
+/**
+ * 一定時間後にキューの再送を予約
+ */
+function scheduleWriteQueueRetry() {
+  clearTimeout(writeQueueRetryTimer);
+  writeQueueRetryTimer = setTimeout(() => replayWriteQueue(), WRITE_RETRY_INTERVAL_MS);
+}
+
+/**
+ * 指定パスのデータに未送信の書き込みを重ねる
+ */
+function applyPendingWrites(path, data) {
+  const target = splitStoragePath(path);
+  const tree = {};
+  setValueAtPath(tree, target, data);
+  writeQueue
+    .filter(entry => storagePathsOverlap(entry.path, path))
+    .forEach(entry => {
+      const segments = splitStoragePath(entry.path);
+      if (entry.method === 'update') {
+        Object.keys(entry.value || {}).forEach(key => {
+          setValueAtPath(tree, [...segments, ...splitStoragePath(key)], entry.value[key]);
+        });
+      } else {
+        setValueAtPath(tree, segments, entry.method === 'remove' ? null : entry.value);
+      }
+    });
+  return getValueAtPath(tree, target);
 }
 
 // ============================================
-// Student My Page
+// Sync Indicator
 // ============================================
 
-let studentTicketFilter = 'all';
+/**
+ * 同期状態を設定
+ */
+function setSyncState(state) {
+  syncState = state;
+  updateSyncIndicator();
+}
 
 /**
- * 生徒マイページを描画
+ * 同期インジケーターを更新
  */
-function renderStudentMyPage() {
-  const session = getStudentSession();
-  if (!session) return;
+function updateSyncIndicator() {
+  const indicator = document.getElementById('sync-indicator');
+  if (!indicator) return;
   
-  // ユーザー情報表示
-  document.getElementById('mypage-user-info').textContent = 
-    `${session.className} / ${session.initials}`;
+  if (writeQueue.length === 0) {
+    syncState = 'idle';
+  } else if (writeQueue.some(e => e.status === 'failed')) {
+    syncState = 'failed';
+  } else if (!writeQueueReplayPromise) {
+    syncState = 'pending';
+  }
   
-  // フィルタタブをリセット
-  studentTicketFilter = 'all';
-  document.querySelectorAll('#student-filter-tabs .filter-tab').forEach(tab => {
-    tab.classList.toggle('active', tab.dataset.filter === 'all');
-  });
+  const labels = {
+    pending: `未送信 ${writeQueue.length}件`,
+    syncing: '同期中...',
+    failed: `送信失敗 ${writeQueue.length}件`
+  };
   
-  renderStudentTicketList();
+  indicator.className = `sync-indicator sync-${syncState}`;
+  indicator.classList.toggle('hidden', syncState === 'idle');
+  indicator.textContent = labels[syncState] || '';
+  
+  const modal = document.getElementById('sync-queue-modal');
+  if (modal && !modal.classList.contains('hidden')) {
+    renderSyncQueueList();
+  }
 }
 
 /**
- * 生徒の質問一覧フィルタ
+ * 書き込みの内容を表示用の文字列にする
  */
-function filterStudentTickets(filter) {
-  studentTicketFilter = filter;
+function describeQueuedWrite(entry) {
+  // ルートへの複数パスの書き込みは、最初のパスの書き込みとして表示する
+  if (!entry.path && entry.method === 'update' && entry.value && Object.keys(entry.value).length > 0) {
+    const [path] = Object.keys(entry.value);
+    const value = entry.value[path];
+    return describeQueuedWrite({ ...entry, path, value, method: value === null ? 'remove' : 'set' });
+  }
   
-  // タブのアクティブ状態を更新
-  document.querySelectorAll('#student-filter-tabs .filter-tab').forEach(tab => {
-    tab.classList.toggle('active', tab.dataset.filter === filter);
-  });
+  const [root, id] = splitStoragePath(entry.path);
+  const rootLabels = { tickets: '質問', students: '生徒', studentLoginAttempts: 'ログインの試行記録', settings: '設定', teacherSessions: '先生のログイン記録', ticketMessages: 'メッセージ', timeSlots: '予約枠', deletedTickets: '削除記録', ticketHistory: '変更履歴', trash: 'ゴミ箱', studentNotes: '生徒メモ', classOptions: 'クラスの選択肢', subjectOptions: '教科の選択肢', materialOptions: '事前に考えたことの選択肢' };
+  const methodLabels = { set: '保存', update: '更新', remove: '削除' };
+  const label = rootLabels[root] || entry.path || '全データ';
   
-  renderStudentTicketList();
+  let target = '';
+  if (root === 'tickets' && entry.value && entry.value.subject) {
+    target = ` ${entry.value.className || ''} ${entry.value.initials || ''} ${entry.value.subject}`;
+  } else if (root === 'students' && entry.value && entry.value.initials) {
+    target = ` ${entry.value.className || ''} ${entry.value.initials}`;
+  } else if (id) {
+    target = ` ${id.slice(0, 8)}`;
+  }
+  return `${label}の${methodLabels[entry.method] || entry.method}${target}`;
 }
 
 /**
- * 生徒の質問一覧を描画
+ * 未送信一覧モーダルを表示
  */
-function renderStudentTicketList() {
-  const session = getStudentSession();
-  if (!session) return;
-  
-  // 自分のチケット一覧を取得
-  let tickets = loadTickets().filter(t => t.studentId === session.id);
+function showSyncQueueModal() {
+  renderSyncQueueList();
+  document.getElementById('sync-queue-modal').classList.remove('hidden');
+}
+
+/**
+ * 未送信一覧モーダルを閉じる
+ */
+function closeSyncQueueModal() {
+  document.getElementById('sync-queue-modal').classList.add('hidden');
+}
+
+/**
+ * 未送信一覧を描画
+ */
+function renderSyncQueueList() {
+  const container = document.getElementById('sync-queue-list');
+  if (!container) return;
   
-  // フィルタ適用
-  if (studentTicketFilter !== 'all') {
-    tickets = tickets.filter(t => t.status === studentTicketFilter);
+  if (writeQueue.length === 0) {
+    container.innerHTML = '<p class="sync-queue-empty">未送信のデータはありません</p>';
+    return;
   }
   
-  // 新しい順にソート
-  tickets.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  container.innerHTML = writeQueue.map(entry => `
+    <div class="sync-queue-item ${entry.status === 'failed' ? 'failed' : ''}">
+      <div class="sync-queue-item-title">${escapeHtml(describeQueuedWrite(entry))}</div>
+      <div class="sync-queue-item-meta">
+        ${formatDateTime(entry.createdAt)} / ${entry.status === 'failed' ? '送信失敗' : '送信待ち'}
+        ${entry.lastError ? `<br>${escapeHtml(entry.lastError)}` : ''}
+      </div>
+      ${entry.status === 'failed' ? `
+      <div class="sync-queue-item-actions">
+        <button class="btn btn-outline" onclick="discardQueuedWrite(${entry.seq})">破棄</button>
+        <button class="btn btn-primary" onclick="retryQueuedWrite(${entry.seq})">再試行</button>
+      </div>
+      ` : ''}
+    </div>
+  `).join('');
+}
+
+/**
+ * 失敗した書き込みを再試行
+ */
+async function retryQueuedWrite(seq) {
+  const entry = writeQueue.find(e => e.seq === seq);
+  if (!entry) return;
   
-  const container = document.getElementById('student-ticket-list');
+  entry.status = 'pending';
+  entry.attempts = 0;
+  await persistWriteQueueEntry(entry);
+  await replayWriteQueue();
   
-  if (tickets.length === 0) {
-    const emptyMessage = studentTicketFilter === 'done' ? '解決済みの質問はありません' :
-                         studentTicketFilter === 'submitted' ? '未解決の質問はありません' :
-                         'まだ質問がありません';
-    container.innerHTML = `
-      <div class="empty-list">
-        <div class="empty-list-icon">-</div>
-        <p>${emptyMessage}</p>
-      </div>
-    `;
-    return;
+  if (entry.status === 'rejected') return;
+  if (writeQueue.includes(entry)) {
+    showToast('まだ送信できません', 'error');
+  } else {
+    showToast('送信しました');
   }
+}
+
+/**
+ * 失敗した書き込みを破棄
+ */
+async function discardQueuedWrite(seq) {
+  const entry = writeQueue.find(e => e.seq === seq);
+  if (!entry) return;
   
-  container.innerHTML = tickets.map(ticket => {
-    const purposeClass = ticket.purpose === 'grading' ? 'badge-grading' : 'badge-question';
-    const purposeIcon = ticket.purpose === 'grading' 
-      ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/></svg>'
-      : '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r="0.5" fill="currentColor"/></svg>';
-    const purposeText = ticket.purpose === 'grading' ? '採点' : '質問';
-    const statusClass = `badge-${ticket.status}`;
-    const statusText = { submitted: '未解決', done: '解決済み' }[ticket.status] || ticket.status;
-    const hasAnswer = ticket.status === 'done';
-    const subjectClass = `subject-${ticket.subject}`;
-    const questionImages = ticket.questionImages || [];
-    const hasImages = questionImages.length > 0;
-    
-    return `
-      <div class="ticket-card" onclick="navigateTo('student-detail', { id: '${ticket.id}' })">
-        <div class="${hasImages ? 'ticket-card-with-image' : ''}">
-          <div class="ticket-card-content">
-            <div class="ticket-card-header">
-              <span class="subject-badge ${subjectClass}">${escapeHtml(ticket.subject)}</span>
-              <span class="purpose-badge ${purposeClass}">${purposeIcon}${purposeText}</span>
-              <span class="ticket-badge ${statusClass}">${statusText}</span>
-            </div>
-            <div class="ticket-meta">
-              <span>${formatDateTime(ticket.createdAt)}</span>
-            </div>
-            <div class="ticket-reason">${escapeHtml(ticket.questionReason || (ticket.purpose === 'grading' ? '採点依頼' : ''))}</div>
-          </div>
-          ${hasImages ? `
-          <div class="ticket-card-thumbnail">
-            <img src="${questionImages[0]}" alt="問題画像">
-            ${questionImages.length > 1 ? `<div class="thumbnail-more">+${questionImages.length - 1}</div>` : ''}
-          </div>
-          ` : ''}
-        </div>
-      </div>
-    `;
-  }).join('');
+  if (!confirm('この変更を破棄しますか？\n破棄した内容は送信されません。')) return;
+  
+  await deleteWriteQueueEntry(entry);
+  refreshCachesForPath(entry.path);
+  refreshCurrentView();
+  updateSyncIndicator();
+  showToast('変更を破棄しました');
+  replayWriteQueue();
 }
 
 // ============================================
-// Student Detail
+// Image Blob Store
 // ============================================
+/*
+  添付画像はチケットとは別の Blob ストアに保存し、チケットには参照（'image:<id>'）だけを持たせる。
+  - Firebase 使用時: Firebase Storage（images/<id>）
+  - REST 使用時: 同じサーバーの {restBaseUrl}/images/<id>（PUT で保存、GET で画像を返し、DELETE で削除）
+  - それ以外: この端末の IndexedDB
+  アップロードできなかった画像は従来どおり data URL のまま保存し、後で移行する。
+*/
 
-let currentStudentDetailTicketId = null;
+const LAZY_IMAGE_PLACEHOLDER = 'data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+const TICKET_IMAGE_FIELDS = ['questionImages', 'answerImages', 'myAnswerImages'];
+
+let blobStore = null;
+let lazyImageObserver = null;
+let imageMigrationRunning = false;
 
 /**
- * 生徒用質問詳細を描画
+ * Firebase Storage の Blob ストアを作成
  */
-function renderStudentDetail(id) {
-  currentStudentDetailTicketId = id;
-  const session = getStudentSession();
-  if (!session) return;
-  
-  const ticket = getTicketById(id);
+function createFirebaseBlobStore() {
+  const urlCache = new Map();
+  return {
+    name: 'firebase',
+    
+    async put(id, blob) {
+      await firebaseStorage.ref(`images/${id}`).put(blob, { contentType: blob.type });
+    },
+    
+    getUrl(id) {
+      if (!urlCache.has(id)) {
+        const promise = firebaseStorage.ref(`images/${id}`).getDownloadURL();
+        promise.catch(() => urlCache.delete(id));
+        urlCache.set(id, promise);
+      }
+      return urlCache.get(id);
+    },
+    
+    async remove(id) {
+      urlCache.delete(id);
+      await firebaseStorage.ref(`images/${id}`).delete();
+    }
+  };
+}
+
+/**
+ * REST サーバーの Blob ストアを作成（画像の URL をそのまま img 要素に使う）
+ */
+function createRestBlobStore(baseUrl) {
+  const base = `${String(baseUrl || '').replace(/\/+$/, '')}/images`;
+  const buildUrl = (id) => `${base}/${encodeURIComponent(id)}`;
   
-  if (!ticket || ticket.studentId !== session.id) {
-    showToast('質問が見つかりません', 'error');
-    navigateTo('student-mypage');
-    return;
+  async function request(method, id, body) {
+    const options = { method };
+    if (body) {
+      options.headers = { 'Content-Type': body.type };
+      options.body = body;
+    }
+    const response = await fetch(buildUrl(id), options);
+    if (!response.ok) {
+      throw new Error(`REST ${method} images/${id} failed: ${response.status}`);
+    }
   }
   
-  const purposeText = ticket.purpose === 'grading' ? '採点をお願いする' : '質問する';
-  const purposeClass = ticket.purpose === 'grading' ? 'badge-grading' : 'badge-question';
-  const purposeIcon = ticket.purpose === 'grading' 
-    ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/></svg>'
-    : '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r="0.5" fill="currentColor"/></svg>';
-  const statusText = { submitted: '未解決', done: '解決済み' }[ticket.status] || ticket.status;
-  const isDone = ticket.status === 'done';
-  const subjectClass = `subject-${ticket.subject}`;
-  
-  const content = document.getElementById('student-detail-content');
-  content.innerHTML = `
-    <!-- 基本情報 -->
-    <div class="detail-section">
-      <div class="detail-section-title">質問内容</div>
-      <div class="detail-row">
-        <span class="detail-label">教科</span>
-        <span class="subject-badge ${subjectClass}">${escapeHtml(ticket.subject)}</span>
-      </div>
-      <div class="detail-row">
-        <span class="detail-label">目的</span>
-        <span class="purpose-badge ${purposeClass}">${purposeIcon}${purposeText}</span>
-      </div>
-      <div class="detail-row">
-        <span class="detail-label">ステータス</span>
-        <span class="detail-value">${statusText}</span>
-      </div>
-      <div class="detail-row">
-        <span class="detail-label">登録日時</span>
-        <span class="detail-value">${formatDateTime(ticket.createdAt)}</span>
-      </div>
-    </div>
+  return {
+    name: 'rest',
     
-    ${ticket.purpose === 'question' ? `
-    <!-- 質問内容 -->
-    <div class="detail-highlight">
-      <div class="detail-highlight-title">質問内容</div>
-      <div class="detail-checks">
-        ${(ticket.checkedMaterials || []).map(m => `<span class="detail-check-item">${escapeHtml(m)}</span>`).join('')}
-      </div>
-      <div class="detail-highlight-content">${escapeHtml(ticket.questionReason || '')}</div>
-    </div>
-    ` : ''}
+    async put(id, blob) {
+      await request('PUT', id, blob);
+    },
     
-    <!-- 問題画像 -->
-    ${(ticket.questionImages || []).length > 0 ? `
-      <div class="detail-section">
-        <div class="detail-section-title">問題画像（${ticket.questionImages.length}枚）</div>
-        <div class="detail-gallery">
-          ${ticket.questionImages.map(src => `
-            <div class="detail-gallery-item">
-              <img src="${src}" alt="問題画像" data-full="${src}" onclick="openDetailImageModal(this.dataset.full)">
-            </div>
-          `).join('')}
-        </div>
-      </div>
-    ` : ''}
+    async getUrl(id) {
+      return buildUrl(id);
+    },
     
-    <!-- 自分の答案画像 -->
-    ${(ticket.myAnswerImages || []).length > 0 ? `
-      <div class="detail-section">
-        <div class="detail-section-title">自分の答案（${ticket.myAnswerImages.length}枚）</div>
-        <div class="detail-gallery">
-          ${ticket.myAnswerImages.map(src => `
-            <div class="detail-gallery-item">
-              <img src="${src}" alt="自分の答案" data-full="${src}" onclick="openDetailImageModal(this.dataset.full)">
-            </div>
-          `).join('')}
-        </div>
-      </div>
-    ` : ''}
+    async remove(id) {
+      await request('DELETE', id);
+    }
+  };
+}
+
+/**
+ * IndexedDB の Blob ストアを作成（ローカル実行時の代替）
+ */
+function createIndexedDbBlobStore() {
+  const urlCache = new Map();
+  return {
+    name: 'indexeddb',
     
-    <!-- 解答画像 -->
-    ${(ticket.answerImages || []).length > 0 ? `
-      <div class="detail-section">
-        <div class="detail-section-title">解答・解説画像（${ticket.answerImages.length}枚）</div>
-        <div class="detail-gallery">
-          ${ticket.answerImages.map(src => `
-            <div class="detail-gallery-item">
-              <img src="${src}" alt="解答画像" data-full="${src}" onclick="openDetailImageModal(this.dataset.full)">
-            </div>
-          `).join('')}
-        </div>
-      </div>
-    ` : ''}
+    async put(id, blob) {
+      await runAppDbRequest(IMAGES_STORE, 'readwrite', store => store.put({ id, blob, createdAt: Date.now() }));
+    },
     
-    <!-- ステータス -->
-    <div class="teacher-answer-card">
-      <div class="teacher-answer-title">対応状況</div>
-      ${ticket.status === 'done' ? `
-        <div class="teacher-answer-content" style="color: var(--color-success);">対応完了</div>
-      ` : `
-        <div class="teacher-answer-empty">対応待ち</div>
-      `}
-    </div>
-  `;
+    async getUrl(id) {
+      if (!urlCache.has(id)) {
+        const record = await runAppDbRequest(IMAGES_STORE, 'readonly', store => store.get(id));
+        if (!record) throw new Error(`Image not found: ${id}`);
+        urlCache.set(id, URL.createObjectURL(record.blob));
+      }
+      return urlCache.get(id);
+    },
+    
+    async remove(id) {
+      if (urlCache.has(id)) {
+        URL.revokeObjectURL(urlCache.get(id));
+        urlCache.delete(id);
+      }
+      await runAppDbRequest(IMAGES_STORE, 'readwrite', store => store.delete(id));
+    }
+  };
+}
+
+/**
+ * 設定から Blob ストアを作成
+ * storageConfig.imageStore: 'auto' | 'firebase' | 'rest' | 'indexeddb' | 'inline'
+ */
+function createBlobStore() {
+  const config = typeof storageConfig !== 'undefined' ? storageConfig : {};
+  const type = config.imageStore || 'auto';
+  const hasFirebaseStorage = typeof firebaseStorage !== 'undefined' && firebaseStorage;
   
-  // フッター
-  const footer = document.getElementById('student-detail-footer');
-  if (isDone) {
-    footer.innerHTML = `
-      <button class="btn btn-outline btn-block" onclick="navigateTo('student-mypage')">一覧へ戻る</button>
-    `;
-  } else {
-    footer.innerHTML = `
-      <button class="btn btn-outline" onclick="navigateTo('student-mypage')">戻る</button>
-      <button class="btn btn-secondary" onclick="editTicket('${ticket.id}')">編集</button>
-      <button class="btn btn-primary" onclick="showStudentCompleteModal()">解決した</button>
-    `;
+  if (type === 'inline') return null;
+  if (type === 'firebase' || (type === 'auto' && storage.name === 'firebase' && hasFirebaseStorage)) {
+    return createFirebaseBlobStore();
   }
+  // REST では全員が同じサーバーの画像を見るため、端末の IndexedDB には保存しない
+  if (type === 'rest' || (type === 'auto' && storage.name === 'rest')) {
+    return createRestBlobStore(config.restBaseUrl);
+  }
+  return createIndexedDbBlobStore();
 }
 
 /**
- * 生徒用完了確認モーダルを表示
+ * 画像参照かどうか（data URL / URL ではない）
  */
-function showStudentCompleteModal() {
-  if (confirm('この質問を完了しますか？\\n（先生からの回答を確認した場合に押してください）')) {
-    completeStudentTicket();
-  }
+function isImageRef(value) {
+  return typeof value === 'string' && value.startsWith(IMAGE_REF_PREFIX);
 }
 
 /**
- * 生徒が質問を完了する
+ * data URL を Blob ストアにアップロードし、参照を返す
+ * アップロードできない場合は data URL をそのまま返す
  */
-async function completeStudentTicket() {
-  const ticket = getTicketById(currentStudentDetailTicketId);
-  if (!ticket) return;
+async function uploadImage(value) {
+  if (!blobStore || typeof value !== 'string' || !value.startsWith('data:')) return value;
   
-  ticket.status = 'done';
-  ticket.doneAt = Date.now();
-  ticket.completedByStudent = true;
-  
-  await upsertTicket(ticket);
-  showToast('質問を完了しました');
-  navigateTo('student-mypage');
+  try {
+    const blob = await (await fetch(value)).blob();
+    const id = generateUUID();
+    await blobStore.put(id, blob);
+    return IMAGE_REF_PREFIX + id;
+  } catch (error) {
+    console.warn('Image upload failed. Keeping inline data URL:', error);
+    return value;
+  }
 }
 
-// ============================================
-// Student Page (Question Registration)
-// ============================================
+/**
+ * 複数の画像をアップロード
+ */
+function uploadImages(values) {
+  return Promise.all((values || []).map(uploadImage));
+}
 
-let questionImages = [];
-let answerImages = [];
-let myAnswerImages = [];
-let currentEditingTicketId = null;
+/**
+ * 表示用の画像URLを取得
+ */
+async function getImageUrl(value) {
+  if (!isImageRef(value)) return value;
+  if (!blobStore) throw new Error('Image store is not available');
+  return blobStore.getUrl(value.slice(IMAGE_REF_PREFIX.length));
+}
 
 /**
- * 生徒画面初期化
+ * Blob ストアから画像を削除
  */
-function initStudentPage() {
-  const session = getStudentSession();
-  if (!session) return;
-  
-  document.getElementById('student-form').reset();
-  questionImages = [];
-  answerImages = [];
-  myAnswerImages = [];
-  currentEditingTicketId = null;
-  
-  // タイトルをリセット
-  document.getElementById('student-form-title').textContent = '質問登録';
-  
-  document.getElementById('preview-questionImages').innerHTML = '';
-  document.getElementById('preview-answerImages').innerHTML = '';
-  document.getElementById('preview-myAnswerImages').innerHTML = '';
-  updateImageCount('question');
-  updateImageCount('answer');
-  updateImageCount('myAnswer');
-  
-  // ログイン情報を設定
-  document.getElementById('input-studentId').value = session.id;
-  document.getElementById('input-className').value = session.className;
-  document.getElementById('input-initials').value = session.initials;
-  document.getElementById('logged-in-info').innerHTML = 
-    `<div class="logged-in-info-text">${escapeHtml(session.className)} / ${escapeHtml(session.initials)} でログイン中</div>`;
-  
-  document.querySelectorAll('.toggle-btn').forEach(btn => btn.classList.remove('active'));
-  document.querySelector('[data-purpose="question"]').classList.add('active');
-  document.getElementById('input-purpose').value = 'question';
-  updateFormByPurpose('question');
-  
-  document.querySelectorAll('.form-error, .form-warning').forEach(el => el.classList.add('hidden'));
-  
-  setupStudentEventListeners();
+async function deleteImages(values) {
+  if (!blobStore) return;
+  await Promise.all((values || []).filter(isImageRef).map(async value => {
+    try {
+      await blobStore.remove(value.slice(IMAGE_REF_PREFIX.length));
+    } catch (error) {
+      console.warn('Failed to delete image:', value, error);
+    }
+  }));
 }
 
 /**
- * 既存のチケットを編集モードで開く
+ * img 要素の src 属性を生成（参照の場合は遅延読み込み用の属性）
  */
-function editTicket(ticketId) {
-  const ticket = getTicketById(ticketId);
-  if (!ticket) {
-    showToast('質問が見つかりません', 'error');
-    return;
+function imageSrcAttrs(value) {
+  if (isImageRef(value)) {
+    return `src="${LAZY_IMAGE_PLACEHOLDER}" data-image-ref="${escapeHtml(value)}" class="lazy-image"`;
   }
+  return `src="${escapeHtml(value)}"`;
+}
+
+/**
+ * 画面に入った画像参照を読み込む
+ */
+function loadLazyImages(container) {
+  if (!container) return;
+  const images = container.querySelectorAll('img[data-image-ref]');
+  if (images.length === 0) return;
   
-  // フォームページに移動（initStudentPageが呼ばれる）
-  navigateTo('student');
+  if (!lazyImageObserver && 'IntersectionObserver' in window) {
+    lazyImageObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          lazyImageObserver.unobserve(entry.target);
+          resolveLazyImage(entry.target);
+        }
+      });
+    }, { rootMargin: '200px' });
+  }
   
-  // フォームにデータを設定（少し遅延させてDOMの準備を待つ）
-  setTimeout(() => {
-    // 編集モードフラグを設定（initStudentPage後に設定）
-    currentEditingTicketId = ticketId;
-    
-    // タイトルを編集モードに
-    document.getElementById('student-form-title').textContent = '質問を編集';
-    
-    // 教科
-    document.getElementById('input-subject').value = ticket.subject;
-    
-    // 目的
-    document.querySelectorAll('.toggle-btn').forEach(btn => btn.classList.remove('active'));
-    document.querySelector(`[data-purpose="${ticket.purpose}"]`).classList.add('active');
-    document.getElementById('input-purpose').value = ticket.purpose;
-    updateFormByPurpose(ticket.purpose);
-    
-    // チェックボックス
-    document.querySelectorAll('input[name="checkedMaterials"]').forEach(cb => {
-      cb.checked = (ticket.checkedMaterials || []).includes(cb.value);
-    });
-    
-    // 質問内容
-    document.getElementById('input-questionReason').value = ticket.questionReason || '';
-    
-    // 画像を復元
-    questionImages = [...(ticket.questionImages || [])];
-    answerImages = [...(ticket.answerImages || [])];
-    myAnswerImages = [...(ticket.myAnswerImages || [])];
-    
-    renderImagePreviews('question');
-    renderImagePreviews('answer');
-    renderImagePreviews('myAnswer');
-    updateImageCount('question');
-    updateImageCount('answer');
-    updateImageCount('myAnswer');
-  }, 100);
+  images.forEach(img => {
+    if (lazyImageObserver) {
+      lazyImageObserver.observe(img);
+    } else {
+      resolveLazyImage(img);
+    }
+  });
 }
 
 /**
- * 目的に応じてフォーム表示を切り替え
+ * 画像参照を解決して img に設定
  */
-function updateFormByPurpose(purpose) {
-  const checkCard = document.getElementById('card-checkedMaterials');
-  const reasonCard = document.getElementById('card-questionReason');
-  const checkLabel = document.getElementById('label-checkedMaterials');
-  const reasonLabel = document.getElementById('label-questionReason');
-  const myAnswerSection = document.getElementById('myAnswerImages-section');
-  
-  if (purpose === 'grading') {
-    // 採点の場合は任意
-    checkLabel.classList.remove('required');
-    reasonLabel.classList.remove('required');
-    checkCard.style.display = 'none';
-    reasonCard.style.display = 'none';
-    if (myAnswerSection) myAnswerSection.classList.remove('hidden');
-  } else {
-    // 質問の場合は必須
-    checkLabel.classList.add('required');
-    reasonLabel.classList.add('required');
-    checkCard.style.display = 'block';
-    reasonCard.style.display = 'block';
-    if (myAnswerSection) myAnswerSection.classList.add('hidden');
+async function resolveLazyImage(img) {
+  const ref = img.dataset.imageRef;
+  try {
+    img.src = await getImageUrl(ref);
+    img.classList.remove('lazy-image');
+    img.removeAttribute('data-image-ref');
+  } catch (error) {
+    console.warn('Failed to load image:', ref, error);
+    img.classList.add('image-load-error');
   }
 }
 
 /**
- * 生徒画面イベントリスナー設定
+ * チケット内の data URL 画像を Blob ストアへ移行（1回限り）
  */
-function setupStudentEventListeners() {
-  document.querySelectorAll('.toggle-btn').forEach(btn => {
-    btn.onclick = function() {
-      document.querySelectorAll('.toggle-btn').forEach(b => b.classList.remove('active'));
-      this.classList.add('active');
-      document.getElementById('input-purpose').value = this.dataset.purpose;
-      updateFormByPurpose(this.dataset.purpose);
-    };
-  });
+async function migrateInlineImages() {
+  if (!blobStore || imageMigrationRunning) return;
   
-  document.getElementById('input-questionImages').onchange = function(e) {
-    handleImageUpload(e.target.files, 'question');
-    this.value = '';
-  };
+  const targets = loadTickets().filter(ticket =>
+    TICKET_IMAGE_FIELDS.some(field => (ticket[field] || []).some(src => typeof src === 'string' && src.startsWith('data:')))
+  );
+  if (targets.length === 0) return;
   
-  document.getElementById('input-answerImages').onchange = function(e) {
-    handleImageUpload(e.target.files, 'answer');
-    this.value = '';
-  };
+  imageMigrationRunning = true;
+  console.log('Migrating inline images:', targets.length);
+  try {
+    for (const ticket of targets) {
+      const changes = {};
+      for (const field of TICKET_IMAGE_FIELDS) {
+        if (ticket[field]) changes[field] = await uploadImages(ticket[field]);
+      }
+      const migrated = TICKET_IMAGE_FIELDS.every(field => !(changes[field] || []).some(src => src.startsWith('data:')));
+      if (!migrated) {
+        console.warn('Image migration stopped. Will retry next time.');
+        break;
+      }
+      const writes = {};
+      Object.keys(changes).forEach(field => { writes[`tickets/${ticket.id}/${field}`] = changes[field]; });
+      await writeToStorage('update', '', {
+        ...writes,
+        ...ticketHistoryWrite(ticket.id, 'images', { fields: Object.keys(changes) }, SYSTEM_HISTORY_ACTOR)
+      });
+    }
+  } finally {
+    imageMigrationRunning = false;
+  }
+}
+
+// ============================================
+// Data Management - Tickets
+// ============================================
+
+/**
+ * チケット一覧を取得（キャッシュから）
+ */
+function loadTickets() {
+  return ticketsCache;
+}
+
+/**
+ * チケットを追加または更新する（待ち行列の項目も同じ書き込みで更新する）
+ * extraWrites を渡すと、同じ書き込みで他のパスもまとめて更新する
+ */
+async function upsertTicket(ticket, extraWrites = null) {
+  const now = Date.now();
+  const existingIndex = ticketsCache.findIndex(t => t.id === ticket.id);
+  const previous = existingIndex >= 0 ? ticketsCache[existingIndex] : null;
   
-  document.getElementById('input-myAnswerImages').onchange = function(e) {
-    handleImageUpload(e.target.files, 'myAnswer');
-    this.value = '';
-  };
+  if (previous) {
+    ticket = { ...previous, ...ticket, updatedAt: now };
+  } else {
+    ticket = { ...ticket, createdAt: ticket.createdAt || now, updatedAt: now };
+  }
   
-  document.getElementById('input-questionReason').oninput = function() {
-    const warning = document.getElementById('warning-questionReason');
+  await writeToStorage('update', '', {
+    ['tickets/' + ticket.id]: ticket,
+    ['ticketQueue/' + ticket.id]: getTicketQueueEntry(ticket),
+    ...ticketChangeHistoryWrite(previous, ticket),
+    ...extraWrites
+  });
+  
+  return ticket;
+}
+
+/**
+ * IDでチケットを取得する
+ */
+function getTicketById(id) {
+  return ticketsCache.find(t => t.id === id) || null;
+}
+
+/**
+ * 簡易UUID生成
+ */
+function generateUUID() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+/**
+ * 生徒の未完了チケット数を取得
+ */
+function getActiveTicketCount(studentId, excludeId = null) {
+  return ticketsCache.filter(t => 
+    t.studentId === studentId && 
+    isActiveTicket(t) &&
+    t.id !== excludeId
+  ).length;
+}
+
+/**
+ * 受付中（対応待ち・再開・対応中・呼び出し中）のチケットか
+ */
+function isActiveTicket(ticket) {
+  return !!ticket && ACTIVE_TICKET_STATUSES.includes(ticket.status);
+}
+
+/**
+ * 状態の表示名を取得（side: 'student' の場合は生徒向けの表示）
+ */
+function getTicketStatusLabel(status, side = 'teacher') {
+  const definition = TICKET_STATUSES[status];
+  if (!definition) return status || '';
+  return side === 'student' ? definition.studentLabel : definition.label;
+}
+
+/**
+ * 状態を遷移できるか（先生だけが行える遷移は先生ログイン中のみ）
+ */
+function canTransitionTicket(from, to) {
+  if (!(TICKET_TRANSITIONS[from] || []).includes(to)) return false;
+  return !(TEACHER_ONLY_TICKET_TRANSITIONS[from] || []).includes(to) || !!getTeacherSession();
+}
+
+/**
+ * チケットの状態を遷移させる
+ * 遷移時刻を記録し、受付中でなくなる場合は枠を外し、受付中に戻る場合は枠を確保する。
+ * 遷移できなかった場合は null を返す。
+ */
+async function transitionTicket(ticket, status, changes = {}) {
+  if (!canTransitionTicket(ticket.status, status)) {
+    showToast(`「${getTicketStatusLabel(ticket.status)}」から「${getTicketStatusLabel(status)}」には変更できません`, 'error');
+    return null;
+  }
+  
+  const wasActive = isActiveTicket(ticket);
+  const willBeActive = ACTIVE_TICKET_STATUSES.includes(status);
+  if (!wasActive && willBeActive) {
+    let reserved;
+    try {
+      reserved = await reserveActiveTicketSlot(ticket.studentId, ticket.id);
+    } catch (error) {
+      console.error('Failed to reserve ticket slot:', error);
+      showToast('接続できないため変更できませんでした。通信状態を確認してからもう一度お試しください', 'error');
+      return null;
+    }
+    if (!reserved) {
+      showTicketLimitError();
+      return null;
+    }
+  }
+  
+  const now = Date.now();
+  const updated = {
+    ...ticket,
+    ...changes,
+    status,
+    statusChangedAt: now,
+    [TICKET_STATUS_TIMESTAMPS[status]]: now
+  };
+  // 取り下げた質問は予約枠も空ける（対応完了の場合は記録として残す）
+  if (status === 'cancelled') updated.slotId = null;
+  return upsertTicket(updated, {
+    ...(wasActive && !willBeActive ? activeTicketSlotRelease(ticket) : {}),
+    ...(status === 'cancelled' ? timeSlotRelease(ticket) : {})
+  });
+}
+
+/*
+  質問の削除
+  生徒の取り消し・先生の削除では、チケット・やりとり・待ち行列の項目・枠を同じ書き込みで消し、
+  deletedTickets/<チケットID> に誰がいつ消したかの記録を残す。
+  先生の削除はチケットとやりとりをゴミ箱に移し、画像はゴミ箱から完全に削除するときに消す。
+  生徒の取り消しはゴミ箱に入れず、添付画像も書き込みの後ですぐに削除する。
+*/
+
+/**
+ * 削除記録を作成（reason: 'withdrawn' 生徒の取り消し / 'deleted' 先生の削除）
+ */
+function createDeletedTicketRecord(ticket, reason) {
+  const teacher = getTeacherSession();
+  const student = getStudentSession();
+  return {
+    id: ticket.id,
+    studentId: ticket.studentId,
+    className: ticket.className,
+    initials: ticket.initials,
+    subject: ticket.subject,
+    purpose: ticket.purpose,
+    status: ticket.status,
+    createdAt: ticket.createdAt,
+    reason,
+    deletedAt: Date.now(),
+    deletedBy: teacher ? 'teacher' : 'student',
+    deletedById: teacher ? teacher.teacherId : student.id,
+    deletedByName: teacher ? teacher.displayName || '' : student.initials
+  };
+}
+
+/**
+ * チケットを削除して削除記録を残す（reason: 'withdrawn' 生徒の取り消し / 'deleted' 先生の削除）
+ */
+async function deleteTicket(ticket, reason) {
+  const teacher = getTeacherSession();
+  
+  // やりとりの画像も消すため、削除前にメッセージを読んでおく（読めなくても削除は続ける）
+  let messages = null;
+  try {
+    messages = await storage.get(`ticketMessages/${ticket.id}`);
+  } catch (error) {
+    console.warn('Failed to load ticket messages:', error);
+  }
+  
+  const record = createDeletedTicketRecord(ticket, reason);
+  await writeToStorage('update', '', {
+    ['tickets/' + ticket.id]: null,
+    ['ticketQueue/' + ticket.id]: null,
+    ['ticketMessages/' + ticket.id]: null,
+    ['deletedTickets/' + ticket.id]: record,
+    ...ticketHistoryWrite(ticket.id, 'delete', { fromStatus: ticket.status }),
+    ...activeTicketSlotRelease(ticket),
+    ...timeSlotRelease(ticket),
+    ...(teacher ? trashWrite('ticket', `${ticket.className} / ${ticket.initials} ${ticket.subject}の質問`, [
+      { path: 'tickets/' + ticket.id, value: ticket },
+      { path: 'ticketMessages/' + ticket.id, value: messages }
+    ], ticket.id) : {})
+  });
+  
+  if (!teacher) {
+    deleteImages([
+      ...TICKET_IMAGE_FIELDS.flatMap(field => ticket[field] || []),
+      ...Object.values(messages || {}).flatMap(message => message.images || [])
+    ]);
+  }
+  return record;
+}
+
+/*
+  チケットの変更履歴
+  ticketHistory/<チケットID>/<履歴ID> = { id, ticketId, actorType, actorId, actorName, action, fields, fromStatus, toStatus, createdAt }
+  チケットを書き込むときに同じ書き込みで1件追加する（追記のみで、書き換え・削除はしない）。
+  actorType は 'student' / 'teacher'（先生アカウント）/ 'system'（先生ログイン中に行う画像の移行など、操作によらない変更）。
+  ルールは actorType が書き込んだ人の立場と合うことを検証する（生徒は 'student' の履歴しか書けない）。
+  既読・やりとりの時刻だけの更新と、下書きの自動保存は記録しない（TICKET_HISTORY_IGNORED_FIELDS）。
+*/
+
+const SYSTEM_HISTORY_ACTOR = { actorType: 'system', actorId: '', actorName: '' };
+
+/**
+ * 変更した人（ログイン中の先生・生徒）
+ */
+function getHistoryActor() {
+  const teacher = getTeacherSession();
+  if (teacher) return { actorType: 'teacher', actorId: teacher.teacherId, actorName: teacher.displayName || '' };
+  const student = getStudentSession();
+  if (student) return { actorType: 'student', actorId: student.id, actorName: student.initials };
+  return SYSTEM_HISTORY_ACTOR;
+}
+
+/**
+ * 変更履歴を1件追加する書き込みを作成
+ */
+function ticketHistoryWrite(ticketId, action, details = {}, actor = getHistoryActor()) {
+  const id = generateUUID();
+  return {
+    [`ticketHistory/${ticketId}/${id}`]: { id, ticketId, ...actor, action, ...details, createdAt: Date.now() }
+  };
+}
+
+/**
+ * 変更前後のチケットから変わったフィールドを取得
+ */
+function getChangedTicketFields(previous, ticket) {
+  const keys = new Set([...Object.keys(previous || {}), ...Object.keys(ticket)]);
+  return [...keys]
+    .filter(key => !TICKET_HISTORY_IGNORED_FIELDS.includes(key))
+    .filter(key => JSON.stringify((previous || {})[key] || null) !== JSON.stringify(ticket[key] || null))
+    .sort();
+}
+
+/**
+ * チケットの変更を変更履歴に追加する書き込みを作成（記録する変更がなければ空）
+ */
+function ticketChangeHistoryWrite(previous, ticket) {
+  if (!previous) return ticketHistoryWrite(ticket.id, 'create', { toStatus: ticket.status });
+  
+  const fields = getChangedTicketFields(previous, ticket);
+  if (fields.length === 0 || (previous.status === 'draft' && ticket.status === 'draft')) return {};
+  
+  let action = 'edit';
+  if (fields.includes('status')) {
+    action = 'status';
+  } else if (fields.includes('callAcknowledgedAt')) {
+    action = 'acknowledge';
+  } else if (fields.includes('calledAt')) {
+    action = 'call';
+  } else if (fields.every(field => field === 'teacherMemo')) {
+    action = 'memo';
+  } else if (fields.every(field => field === 'slotId')) {
+    action = 'slot';
+  }
+  return ticketHistoryWrite(ticket.id, action, {
+    fields,
+    ...(action === 'status' ? { fromStatus: previous.status, toStatus: ticket.status } : {})
+  });
+}
+
+/*
+  受付中チケットの枠
+  activeTickets/<生徒ID>/<チケットID> = true を受付中（ACTIVE_TICKET_STATUSES）の質問1件につき1つ持つ。
+  送信前に枠を確保する（reserveSlotEntry）。Firebase では1件ずつの書き込みを database.rules.json が枠の数で検証し、
+  他のバックエンドではトランザクションで確認と書き込みをまとめるため、別タブ・別端末から同時に送信しても上限を超えない。
+  生徒が外せるのは受付中でなくなった（または存在しない）チケットの枠だけ。
+  受付中でなくなったチケットの枠は、状態を変える書き込みと同じ書き込みで外す（transitionTicket）。
+*/
+
+/**
+ * チケットの枠を確保する（上限に達している場合は false）
+ * 接続できない場合は例外を投げる。
+ */
+async function reserveActiveTicketSlot(studentId, ticketId) {
+  try {
+    return await reserveSlotEntry(`activeTickets/${studentId}`, (slots) => {
+      const changes = {};
+      // 受付中でなくなったチケットの枠を外し、枠のない受付中チケット（以前のデータ）を加える
+      Object.keys(slots).forEach(id => {
+        const ticket = getTicketById(id);
+        if (ticket && !isActiveTicket(ticket)) changes[id] = null;
+      });
+      ticketsCache
+        .filter(t => t.studentId === studentId && isActiveTicket(t) && !slots[t.id])
+        .forEach(t => { changes[t.id] = true; });
+      
+      const next = { ...slots, ...changes };
+      if (!next[ticketId] && Object.keys(next).filter(id => next[id]).length >= MAX_TICKETS_PER_STUDENT) return null;
+      changes[ticketId] = true;
+      return changes;
+    }, () => {
+      const ticket = getTicketById(ticketId);
+      return ticket && isActiveTicket(ticket) ? null : activeTicketSlotRelease({ studentId, id: ticketId });
+    });
+  } catch (error) {
+    // 別タブ・別端末が先に枠を使い切った
+    if (isPermissionDeniedError(error)) return false;
+    throw error;
+  }
+}
+
+/**
+ * 上限のある一覧（path の子）を確認してから、子の変更を書き込む
+ * plan(現在の値) は書き込む子の変更（{ 子のキー: 値 or null }）を返し、上限などで書き込めない場合は null を返す。
+ * Firebase では生徒が一覧をまとめて書き換えられないため子ごとに書き込み、上限はルールが検証する（超えると例外）。
+ * ルールのない他のバックエンドでは、トランザクションで確認と書き込みをまとめる。
+ * タイムアウトの後で書き込みが届いた場合は getReleaseWrites() が返す書き込みで外す（withReservationTimeout）。
+ * 書き込んだ場合は true、plan が null を返した場合は false を返す。
+ */
+async function reserveSlotEntry(path, plan, getReleaseWrites) {
+  if (storage.name === 'firebase') {
+    const changes = plan((await withWriteTimeout(storage.get(path))) || {});
+    if (!changes) return false;
+    await withReservationTimeout(storage.update(path, changes), () => getReleaseWrites());
+    return true;
+  }
+  
+  const transaction = storage.transaction(path, (current) => {
+    const changes = plan(current || {});
+    if (!changes) return undefined;
+    const next = { ...(current || {}) };
+    Object.keys(changes).forEach(key => {
+      if (changes[key] === null) delete next[key];
+      else next[key] = changes[key];
+    });
+    return Object.keys(next).length > 0 ? next : null;
+  });
+  const result = await withReservationTimeout(transaction, (late) => late.committed ? getReleaseWrites() : null);
+  return result.committed;
+}
+
+/**
+ * チケットの枠を外す書き込み（upsertTicket の extraWrites に渡す）
+ */
+function activeTicketSlotRelease(ticket) {
+  return { [`activeTickets/${ticket.studentId}/${ticket.id}`]: null };
+}
+
+/*
+  待ち行列
+  生徒は他の生徒のチケットを読めないため、待ち順と待ち時間の計算に必要な項目だけを
+  ticketQueue/<チケットID> = { id, subject, status, createdAt, queuedAt, doneAt } に公開する。
+  並び順と待ち時間は、送信・再開のたびに新しくなる queuedAt（getTicketQueuedAt）で数える。
+  受付中のチケットと、直近（WAIT_ESTIMATE_WINDOW_MS 以内）に完了したチケットだけを載せる。
+*/
+
+/**
+ * チケットの待ち行列の項目を作成（載せない場合は null）
+ */
+function getTicketQueueEntry(ticket) {
+  const entry = { id: ticket.id, subject: ticket.subject, status: ticket.status, createdAt: ticket.createdAt, queuedAt: getTicketQueuedAt(ticket) };
+  if (isActiveTicket(ticket)) return entry;
+  if (ticket.status === 'done' && ticket.doneAt && Date.now() - ticket.doneAt < WAIT_ESTIMATE_WINDOW_MS) {
+    return { ...entry, doneAt: ticket.doneAt };
+  }
+  return null;
+}
+
+/**
+ * 待ち行列の項目を全チケットから作り直す（先生のみ。以前のチケットの追加と古い項目の削除）
+ */
+async function rebuildTicketQueue() {
+  const current = (await storage.get('ticketQueue')) || {};
+  const changes = {};
+  loadTickets().forEach(ticket => {
+    const entry = getTicketQueueEntry(ticket);
+    if (JSON.stringify(entry) !== JSON.stringify(current[ticket.id] || null)) {
+      changes[ticket.id] = entry;
+    }
+  });
+  Object.keys(current).forEach(id => {
+    if (!getTicketById(id)) changes[id] = null;
+  });
+  if (Object.keys(changes).length > 0) {
+    await writeToStorage('update', 'ticketQueue', changes);
+  }
+}
+
+/**
+ * 待ち行列に並んだ日時（最後に送信・再開した日時。待ち行列の項目は queuedAt、以前のデータは作成日時）
+ */
+function getTicketQueuedAt(ticket) {
+  return ticket.queuedAt || Math.max(ticket.submittedAt || 0, ticket.reopenedAt || 0) || ticket.createdAt || 0;
+}
+
+/**
+ * 待ち行列の並び順（先生一覧と同じ: 状態順、同じ状態の中では並んだ日時順）
+ */
+function compareQueueTickets(a, b, sortOrder = 'asc') {
+  const statusDiff = getTicketStatusOrder(a.status) - getTicketStatusOrder(b.status);
+  if (statusDiff !== 0) return statusDiff;
+  
+  if (sortOrder === 'asc') {
+    return getTicketQueuedAt(a) - getTicketQueuedAt(b); // 古い順
+  } else {
+    return getTicketQueuedAt(b) - getTicketQueuedAt(a); // 新しい順
+  }
+}
+
+/**
+ * 待ち行列の項目を取得（先生は全チケット、生徒は公開された項目から）
+ */
+function getTicketQueueEntries() {
+  return getTeacherSession() ? loadTickets() : ticketQueueCache;
+}
+
+/**
+ * 先生の待ち行列での順番を取得（1始まり。行列にない場合は null）
+ */
+function getQueuePosition(ticketId) {
+  const queue = getTicketQueueEntries().filter(isActiveTicket).sort((a, b) => compareQueueTickets(a, b));
+  const index = queue.findIndex(entry => entry.id === ticketId);
+  return index >= 0 ? index + 1 : null;
+}
+
+/**
+ * 教科ごとの受付から完了までの時間（直近の中央値）から、残りの待ち時間の目安を取得
+ * 完了したチケットがない場合は null
+ */
+function estimateRemainingWait(ticket) {
+  const durations = getTicketQueueEntries()
+    .filter(entry => entry.status === 'done' && entry.subject === ticket.subject && entry.doneAt && getTicketQueuedAt(entry))
+    .sort((a, b) => b.doneAt - a.doneAt)
+    .slice(0, WAIT_ESTIMATE_SAMPLE_SIZE)
+    .map(entry => Math.max(0, entry.doneAt - getTicketQueuedAt(entry)))
+    .sort((a, b) => a - b);
+  if (durations.length === 0) return null;
+  
+  return Math.max(0, getPercentile(durations, 0.5) - (Date.now() - (getTicketQueuedAt(ticket) || Date.now())));
+}
+
+/**
+ * 昇順に並んだ値のパーセンタイル（ratio = 0.5 で中央値。間は線形補間、値がなければ null）
+ */
+function getPercentile(sortedValues, ratio) {
+  if (sortedValues.length === 0) return null;
+  const position = (sortedValues.length - 1) * ratio;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+// ============================================
+// Data Management - Time Slots
+// ============================================
+/*
+  予約枠
+  先生が教科・日付・時間帯・定員ごとに timeSlots/<枠ID> を公開し、生徒は質問ごとに
+  timeSlots/<枠ID>/reservations/<チケットID> = 生徒ID として予約する（チケットには slotId を持つ）。
+  予約は reserveSlotEntry で行い、Firebase では database.rules.json が定員を、他のバックエンドではトランザクションが
+  確認と書き込みをまとめるため、同時に予約しても定員を超えず、同じ生徒が同じ枠を二重に予約することもない。
+  生徒が書けるのは保存済みの自分の質問の予約だけで、ルールはチケットの slotId に予約があることも検証する。
+*/
+
+/**
+ * 予約枠一覧を取得（キャッシュから）
+ */
+function loadTimeSlots() {
+  return timeSlotsCache;
+}
+
+/**
+ * IDで予約枠を取得する
+ */
+function getTimeSlotById(id) {
+  return timeSlotsCache.find(slot => slot.id === id) || null;
+}
+
+/**
+ * 予約枠の開始日時（ミリ秒）
+ */
+function getTimeSlotStart(slot) {
+  return new Date(`${slot.date}T${slot.startTime}`).getTime();
+}
+
+/**
+ * 予約枠の予約数
+ */
+function getTimeSlotReservationCount(slot) {
+  return Object.keys(slot.reservations || {}).length;
+}
+
+/**
+ * 予約枠の並び順（日付・開始時刻順）
+ */
+function compareTimeSlots(a, b) {
+  return `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`);
+}
+
+/**
+ * 生徒が予約できる枠か（まだ始まっておらず、空きがあり、同じ生徒の予約がない）
+ */
+function isTimeSlotOpen(slot, studentId) {
+  const reservations = slot.reservations || {};
+  return getTimeSlotStart(slot) > Date.now() &&
+    getTimeSlotReservationCount(slot) < slot.capacity &&
+    !Object.values(reservations).includes(studentId);
+}
+
+/**
+ * 教科ごとに予約できる枠を取得（ticketId を渡すと、その質問が予約中の枠も含める）
+ */
+function getAvailableTimeSlots(subject, studentId, ticketId = null) {
+  const ticket = ticketId ? getTicketById(ticketId) : null;
+  const currentSlotId = ticket ? ticket.slotId : null;
+  return loadTimeSlots()
+    .filter(slot => slot.subject === subject && (slot.id === currentSlotId || isTimeSlotOpen(slot, studentId)))
+    .sort(compareTimeSlots);
+}
+
+/**
+ * 予約枠の表示（例: 10/20(火) 15:00〜15:30）
+ */
+function formatTimeSlot(slot) {
+  const d = new Date(`${slot.date}T00:00`);
+  const weekday = '日月火水木金土'[d.getDay()];
+  return `${d.getMonth() + 1}/${d.getDate()}(${weekday}) ${slot.startTime}〜${slot.endTime}`;
+}
+
+/**
+ * 質問のために予約枠を確保する
+ * 結果は 'reserved' | 'full'（定員に達している）| 'duplicate'（同じ生徒が別の質問で予約済み）| 'missing'（枠が削除された）
+ * 接続できない場合は例外を投げる。
+ */
+async function reserveTimeSlot(slotId, ticket) {
+  if (!getTimeSlotById(slotId)) return 'missing';
+  
+  let reason = 'full';
+  try {
+    const reserved = await reserveSlotEntry(`timeSlots/${slotId}/reservations`, (reservations) => {
+      const slot = getTimeSlotById(slotId);
+      if (!slot) {
+        reason = 'missing';
+        return null;
+      }
+      if (!reservations[ticket.id]) {
+        if (Object.values(reservations).includes(ticket.studentId)) {
+          reason = 'duplicate';
+          return null;
+        }
+        if (Object.keys(reservations).length >= slot.capacity) {
+          reason = 'full';
+          return null;
+        }
+      }
+      return { [ticket.id]: ticket.studentId };
+    }, () => {
+      const saved = getTicketById(ticket.id);
+      return saved && saved.slotId === slotId ? null : timeSlotRelease({ ...ticket, slotId });
+    });
+    return reserved ? 'reserved' : reason;
+  } catch (error) {
+    // 別の生徒が先に定員を埋めたか、枠が削除された
+    if (isPermissionDeniedError(error)) return getTimeSlotById(slotId) ? 'full' : 'missing';
+    throw error;
+  }
+}
+
+/**
+ * 予約枠を確保し、確保できなかった場合はトーストで理由を表示する（確保できたら true）
+ */
+async function reserveTimeSlotWithFeedback(slotId, ticket) {
+  let result;
+  try {
+    result = await reserveTimeSlot(slotId, ticket);
+  } catch (error) {
+    console.error('Failed to reserve time slot:', error);
+    showToast('接続できないため予約できませんでした。通信状態を確認してからもう一度お試しください', 'error');
+    return false;
+  }
+  
+  const messages = {
+    full: 'この時間は予約がいっぱいです。別の時間を選んでください',
+    duplicate: 'この時間は別の質問で予約しています',
+    missing: 'この時間の予約枠はなくなりました'
+  };
+  if (result !== 'reserved') {
+    showToast(messages[result], 'error');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * チケットの予約を外す書き込み（upsertTicket の extraWrites に渡す）
+ */
+function timeSlotRelease(ticket) {
+  return ticket && ticket.slotId ? { [`timeSlots/${ticket.slotId}/reservations/${ticket.id}`]: null } : {};
+}
+
+/**
+ * 質問の予約枠を変更する（slotId が null の場合は予約を取り消す）
+ * 新しい枠を確保してから、チケットの更新と同じ書き込みで前の枠を外す。変更できたら true。
+ */
+async function changeTicketTimeSlot(ticket, slotId) {
+  if ((ticket.slotId || null) === slotId) return true;
+  if (slotId && !(await reserveTimeSlotWithFeedback(slotId, ticket))) return false;
+  
+  await upsertTicket({ ...ticket, slotId }, timeSlotRelease(ticket));
+  return true;
+}
+
+// ============================================
+// Data Management - Students
+// ============================================
+
+/**
+ * 生徒一覧を取得（キャッシュから）
+ */
+function loadStudents() {
+  return studentsCache;
+}
+
+/**
+ * 生徒を追加または更新する
+ */
+async function upsertStudent(student) {
+  const existingIndex = studentsCache.findIndex(s => s.id === student.id);
+  
+  if (existingIndex < 0 && !student.id) {
+    student.id = generateUUID();
+  }
+  
+  if (existingIndex >= 0) {
+    student = { ...studentsCache[existingIndex], ...student };
+  }
+  
+  await writeToStorage('set', 'students/' + student.id, student);
+  
+  return student;
+}
+
+/**
+ * 生徒を削除する
+ */
+async function deleteStudent(studentId) {
+  const student = getStudentById(studentId);
+  // ログイン情報・先生用メモも復元できるよう、削除前に読んでゴミ箱に入れる（読めない場合は削除しない）
+  const [credential, note] = await withWriteTimeout(Promise.all([
+    storage.get('studentCredentials/' + studentId),
+    storage.get('studentNotes/' + studentId)
+  ]));
+  await writeToStorage('update', '', {
+    ['students/' + studentId]: null,
+    ['studentCredentials/' + studentId]: null,
+    ['studentNotes/' + studentId]: null,
+    ['studentLoginAttempts/' + studentId]: null,
+    ['activeTickets/' + studentId]: null,
+    ...trashWrite('student', `${student.className} / ${student.initials}`, [
+      { path: 'students/' + studentId, value: student },
+      { path: 'studentCredentials/' + studentId, value: credential },
+      { path: 'studentNotes/' + studentId, value: note }
+    ], studentId)
+  });
+}
+
+/**
+ * IDで生徒を取得する
+ */
+function getStudentById(id) {
+  return studentsCache.find(s => s.id === id) || null;
+}
+
+/**
+ * クラス・イニシャルで生徒を検索
+ */
+function findStudent(className, initials) {
+  return studentsCache.find(s => 
+    s.className === className && 
+    s.initials.toUpperCase() === initials.toUpperCase()
+  ) || null;
+}
+
+// ============================================
+// Data Management - Options
+// ============================================
+/*
+  選択肢（クラス・教科・事前に考えたこと）
+  classOptions / subjectOptions / materialOptions/<ID> = { id, name, order, archived, color（教科のみ） } に保存する。
+  生徒・チケット・予約枠には従来どおり名前を保存するため、作成後の名前は変えず、使わなくなったものはアーカイブする。
+  アーカイブしたものは新しく選べなくなるが、既存データの表示・絞り込みには使う。
+  1件も保存されていないときは OPTION_LISTS の defaults を使い、最初に編集したときに defaults ごと書き込む。
+*/
+
+/**
+ * 選択肢の初期値（データベースに1件もないときに使う）
+ */
+function getDefaultOptionEntries(root) {
+  const list = OPTION_LISTS[root];
+  return list.defaults.map((name, index) => ({
+    id: `default-${index}`,
+    name,
+    order: index,
+    archived: false,
+    ...(list.hasColor ? { color: list.defaultColors[index] || DEFAULT_SUBJECT_COLOR } : {})
+  }));
+}
+
+/**
+ * 選択肢の一覧を表示順で取得（アーカイブしたものも含む）
+ */
+function getOptionEntries(root) {
+  const cache = getDataCache(root);
+  const entries = cache.length > 0 ? [...cache] : getDefaultOptionEntries(root);
+  return entries.sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * 選択肢の名前を表示順で取得（includeArchived でアーカイブしたものも含める）
+ */
+function getOptionNames(root, includeArchived = false) {
+  return getOptionEntries(root).filter(entry => includeArchived || !entry.archived).map(entry => entry.name);
+}
+
+/**
+ * 選択肢を保存（まだ1件も保存されていなければ、初期値も一緒に書き込む）
+ */
+async function saveOptionEntries(root, entries) {
+  const writes = {};
+  if (getDataCache(root).length === 0) {
+    getDefaultOptionEntries(root).forEach(entry => { writes[`${root}/${entry.id}`] = entry; });
+  }
+  entries.forEach(entry => { writes[`${root}/${entry.id}`] = entry; });
+  await writeToStorage('update', '', writes);
+}
+
+/**
+ * 教科バッジの色を取得（設定にない教科・不正な値は既定の色）
+ */
+function getSubjectColor(subject) {
+  const entry = getOptionEntries('subjectOptions').find(e => e.name === subject);
+  return entry && /^#[0-9a-fA-F]{6}$/.test(entry.color || '') ? entry.color : DEFAULT_SUBJECT_COLOR;
+}
+
+/**
+ * 教科バッジを描画
+ */
+function renderSubjectBadge(subject) {
+  return `<span class="subject-badge" style="background: ${getSubjectColor(subject)}">${escapeHtml(subject)}</span>`;
+}
+
+// ============================================
+// Option Selects
+// ============================================
+
+/**
+ * 選択肢からセレクトボックスを描画（選択中の値はアーカイブしたものでも残す）
+ */
+function renderOptionSelect(select, root, emptyLabel, includeArchived = false, value = select.value) {
+  const names = getOptionNames(root, includeArchived);
+  if (value && !names.includes(value)) names.push(value);
+  select.innerHTML = `<option value="">${emptyLabel}</option>` +
+    names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+  select.value = value || '';
+}
+
+/**
+ * 事前に考えたことのチェックボックスを描画（チェック中の項目はアーカイブしたものでも残す）
+ */
+function renderMaterialCheckboxes(checked = Array.from(document.querySelectorAll('input[name="checkedMaterials"]:checked')).map(cb => cb.value)) {
+  const names = getOptionNames('materialOptions');
+  checked.filter(name => !names.includes(name)).forEach(name => names.push(name));
+  const container = document.getElementById('checkedMaterials-options');
+  container.innerHTML = names.map(name => `
+    <label class="checkbox-item">
+      <input type="checkbox" name="checkedMaterials" value="${escapeHtml(name)}">
+      <span class="checkbox-text">${escapeHtml(name)}</span>
+    </label>
+  `).join('');
+  // checked属性で描画するとform.reset()で次のチケットにチェックが残るため、プロパティで設定する
+  container.querySelectorAll('input[name="checkedMaterials"]').forEach(input => {
+    input.checked = checked.includes(input.value);
+  });
+}
+
+/**
+ * 全ての選択欄を選択肢の設定から描き直す（入力中の値は残す）
+ * 入力欄はアーカイブしたものを除き、絞り込み欄は既存データのためにアーカイブしたものも含める
+ */
+function renderOptionSelects() {
+  renderOptionSelect(document.getElementById('login-className'), 'classOptions', '選択してください');
+  renderOptionSelect(document.getElementById('edit-student-class'), 'classOptions', '選択してください');
+  renderOptionSelect(document.getElementById('filter-student-class'), 'classOptions', '全クラス', true);
+  renderOptionSelect(document.getElementById('filter-class'), 'classOptions', '全クラス', true);
+  renderOptionSelect(document.getElementById('input-subject'), 'subjectOptions', '選択してください');
+  renderOptionSelect(document.getElementById('time-slot-subject'), 'subjectOptions', '選択してください');
+  renderOptionSelect(document.getElementById('filter-subject'), 'subjectOptions', '全教科', true);
+  renderMaterialCheckboxes();
+}
+
+// ============================================
+// Data Management - Trash
+// ============================================
+/*
+  ゴミ箱
+  先生による削除は、消すデータを trash/<ID> = { id, type, targetId, label, deletedAt, deletedById, deletedByName, records } に移す。
+  records は削除前の値の一覧（[{ path, value }]）で、復元するとその値を書き戻す。
+  - type 'ticket' / 'student': 質問・生徒1件の削除
+  - type 'snapshot': 一括削除の直前のスナップショット。子単位で書き戻すため、削除後に追加されたデータは残る
+  保存期間（settings/trashRetentionDays）を過ぎたものは、先生が設定画面・ゴミ箱を開いたときに完全に削除する。
+*/
+
+let trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+
+/**
+ * ゴミ箱の保存期間（日）を読み込む
+ */
+async function loadTrashRetentionDays() {
+  try {
+    const days = await storage.get('settings/trashRetentionDays');
+    if (days) trashRetentionDays = days;
+  } catch (error) {
+    console.warn('Failed to load trash retention:', error);
+  }
+  return trashRetentionDays;
+}
+
+/**
+ * データをゴミ箱に移す書き込みを作成（値のないパスは入れない）
+ */
+function trashWrite(type, label, records, targetId = null) {
+  const session = getTeacherSession();
+  const id = generateUUID();
+  return {
+    [`trash/${id}`]: {
+      id,
+      type,
+      ...(targetId ? { targetId } : {}),
+      label,
+      deletedAt: Date.now(),
+      deletedById: session.teacherId,
+      deletedByName: session.displayName || '',
+      records: records.filter(record => record.value !== null && record.value !== undefined)
+    }
+  };
+}
+
+/**
+ * 一括削除で消すパスの現在の値を、スナップショットとしてゴミ箱に移す書き込みを作成
+ * 読み込めない場合は例外を投げる（スナップショットなしでは削除しない）
+ */
+async function trashSnapshotWrite(label, writes) {
+  const paths = Object.keys(writes).filter(path => writes[path] === null);
+  const values = await withWriteTimeout(Promise.all(paths.map(path => storage.get(path))));
+  return trashWrite('snapshot', label, paths.map((path, index) => ({ path, value: values[index] })));
+}
+
+/**
+ * ゴミ箱の一覧を取得（新しい順）
+ */
+async function loadTrashItems() {
+  const items = await storage.get('trash');
+  return Object.values(applyPendingWrites('trash', items) || {}).sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * ゴミ箱の項目が完全に削除される日時
+ */
+function getTrashExpiresAt(item) {
+  return item.deletedAt + trashRetentionDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * 値に含まれる画像の参照を集める
+ */
+function collectImageRefs(value, refs = []) {
+  if (typeof value === 'string') {
+    if (isImageRef(value)) refs.push(value);
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(child => collectImageRefs(child, refs));
+  }
+  return refs;
+}
+
+/**
+ * ゴミ箱の項目を完全に削除する
+ * 画像は、質問やゴミ箱の他の項目（復元済みの質問・別のスナップショット）で使われていないものだけ消す
+ */
+async function purgeTrashItems(items, allItems) {
+  if (items.length === 0) return;
+  const writes = {};
+  items.forEach(item => { writes[`trash/${item.id}`] = null; });
+  await writeToStorage('update', '', writes);
+  
+  const remaining = allItems.filter(item => !items.includes(item));
+  const inUse = new Set(collectImageRefs([loadTickets(), remaining.map(item => item.records)]));
+  deleteImages(collectImageRefs(items.map(item => item.records)).filter(ref => !inUse.has(ref)));
+}
+
+/**
+ * 保存期間を過ぎたゴミ箱の項目を完全に削除し、残りの一覧を返す
+ */
+async function purgeExpiredTrash() {
+  if (!hasPermission('trash.manage')) return [];
+  await loadTrashRetentionDays();
+  const items = await loadTrashItems();
+  const now = Date.now();
+  const expired = items.filter(item => getTrashExpiresAt(item) <= now);
+  await purgeTrashItems(expired, items);
+  return items.filter(item => !expired.includes(item));
+}
+
+/**
+ * ゴミ箱の項目を復元する
+ * 復元できない場合は理由を返す（同じクラス・イニシャルの生徒がいる、受付中の質問が上限など）
+ * 接続できない場合は例外を投げる。
+ */
+async function restoreTrashItem(item) {
+  const writes = {};
+  if (item.type === 'snapshot') {
+    (item.records || []).forEach(({ path, value }) => {
+      if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => { writes[`${path}/${key}`] = value[key]; });
+      } else {
+        writes[path] = value;
+      }
+    });
+    // 一括削除で残した削除記録のうち、戻した質問の分を消す
+    Object.keys(writes).filter(path => path.startsWith('tickets/')).forEach(path => {
+      const deletedPath = 'deletedTickets/' + path.slice('tickets/'.length);
+      if (!(deletedPath in writes)) writes[deletedPath] = null;
+    });
+  } else {
+    (item.records || []).forEach(({ path, value }) => { writes[path] = value; });
+  }
+  
+  if (item.type === 'student') {
+    const student = writes['students/' + item.targetId];
+    const existing = findStudent(student.className, student.initials);
+    if (existing && existing.id !== student.id) return `${student.className} / ${student.initials} は既に登録されています`;
+  }
+  
+  if (item.type === 'ticket') {
+    // 予約枠は削除時に空けているため、予約なしで戻す
+    const ticket = { ...writes['tickets/' + item.targetId], slotId: null };
+    if (isActiveTicket(ticket) && !(await reserveActiveTicketSlot(ticket.studentId, ticket.id))) {
+      return 'この生徒の受付中の質問が上限に達しているため復元できません';
+    }
+    Object.assign(writes, {
+      ['tickets/' + ticket.id]: ticket,
+      ['ticketQueue/' + ticket.id]: getTicketQueueEntry(ticket),
+      ['deletedTickets/' + ticket.id]: null,
+      ...ticketHistoryWrite(ticket.id, 'restore', { toStatus: ticket.status })
+    });
+  }
+  
+  writes[`trash/${item.id}`] = null;
+  await writeToStorage('update', '', writes);
+  return null;
+}
+
+// ============================================
+// User Preferences
+// ============================================
+
+/**
+ * ユーザー設定を読み込む
+ */
+function loadUserPrefs() {
+  try {
+    const data = localStorage.getItem(USER_PREFS_KEY);
+    return data ? JSON.parse(data) : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * ユーザー設定を保存する
+ */
+function saveUserPrefs(prefs) {
+  try {
+    localStorage.setItem(USER_PREFS_KEY, JSON.stringify(prefs));
+  } catch (e) {
+    console.error('Failed to save user prefs:', e);
+  }
+}
+
+// ============================================
+// Teacher Accounts
+// ============================================
+/*
+  先生は個別のアカウントでログインする。
+  - teachers/<id>            : 表示名・ログインID・ロール・無効化フラグ（パスワードは含めない）
+  - teacherCredentials/<id>  : ローカル認証用のソルト付きハッシュ（PBKDF2-SHA256）
+  - teacherSessions/<hash>   : ローカル認証のログイン記録。端末にはランダムなトークンを持たせ、
+                               そのハッシュの記録がない・期限切れのセッションは使わない
+  Firebase 使用時は Firebase Authentication（メール/パスワード）で認証し、id は uid になる。
+  アカウントが1件もない場合は、旧共通パスワードでのログイン時に最初の管理者アカウントを作成する。
+*/
+
+let teacherPasswordCache = null;
+let teacherAuthProvider = null;
+let verifiedTeacherSessionToken = null;
+
+/**
+ * 旧共通パスワードを取得（最初の管理者アカウント作成時のみ使用）
+ */
+function getTeacherPassword() {
+  if (teacherPasswordCache !== null) {
+    return teacherPasswordCache;
+  }
+  
+  // ストレージから同期済みでない場合はlocalStorageから
+  const localPassword = localStorage.getItem(TEACHER_PASSWORD_KEY);
+  teacherPasswordCache = localPassword || DEFAULT_TEACHER_PASSWORD;
+  return teacherPasswordCache;
+}
+
+/**
+ * ストレージから旧共通パスワードを読み込む（購読解除関数を返す）
+ */
+function loadTeacherPasswordFromStorage() {
+  return storage.subscribe('settings/teacherPassword', (password) => {
+    if (password) {
+      teacherPasswordCache = password;
+      localStorage.setItem(TEACHER_PASSWORD_KEY, password);
+    }
+  });
+}
+
+/**
+ * IDで先生アカウントを取得
+ */
+function getTeacherById(id) {
+  return teachersCache.find(t => t.id === id) || null;
+}
+
+/**
+ * バイト列を Base64 に変換
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+/**
+ * バイト列を16進数の文字列に変換
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Base64 をバイト列に変換
+ */
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * パスワードのハッシュを計算（PBKDF2-SHA256）
+ */
+async function hashPassword(password, salt, iterations = PASSWORD_HASH_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations },
+    key,
+    256
+  );
+  return bytesToBase64(new Uint8Array(bits));
+}
+
+/**
+ * ソルトを生成してパスワードの認証情報を作成
+ */
+async function createPasswordCredential(password, iterations = PASSWORD_HASH_ITERATIONS) {
+  const salt = bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+  const hash = await hashPassword(password, salt, iterations);
+  return { salt, hash, iterations, updatedAt: Date.now() };
+}
+
+/**
+ * パスワードを認証情報と照合（比較時間を一定にする）
+ */
+async function verifyPasswordCredential(password, credential) {
+  if (!credential || !credential.salt || !credential.hash) return false;
+  const hash = await hashPassword(password, credential.salt, credential.iterations || PASSWORD_HASH_ITERATIONS);
+  if (hash.length !== credential.hash.length) return false;
+  let diff = 0;
+  for (let i = 0; i < hash.length; i++) {
+    diff |= hash.charCodeAt(i) ^ credential.hash.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * セッショントークンのハッシュを計算（teacherSessions のキーに使う）
+ */
+async function hashSessionToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return bytesToHex(new Uint8Array(digest));
+}
+
+/**
+ * ランダムな仮パスワードを生成
+ */
+function generateTemporaryPassword() {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+  return Array.from(crypto.getRandomValues(new Uint8Array(10)), b => chars[b % chars.length]).join('');
+}
+
+/**
+ * ローカル認証（ソルト付きハッシュ）のプロバイダを作成
+ */
+function createLocalTeacherAuth() {
+  return {
+    name: 'local',
+    
+    async signIn(loginId, password) {
+      const matches = await storage.get('teachers', { orderBy: 'loginId', equalTo: loginId });
+      const teacher = matches ? Object.values(matches)[0] : null;
+      if (!teacher) return null;
+      const credential = await storage.get('teacherCredentials/' + teacher.id);
+      return (await verifyPasswordCredential(password, credential)) ? teacher : null;
+    },
+    
+    async signOut() {},
+    
+    async createSession(teacher, expiresAt) {
+      const token = bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
+      // ログアウトせずに閉じられたセッションの期限切れの記録も一緒に消す
+      const records = (await storage.get('teacherSessions')) || {};
+      const writes = { ['teacherSessions/' + await hashSessionToken(token)]: { teacherId: teacher.id, expiresAt } };
+      Object.keys(records)
+        .filter(key => !records[key] || records[key].expiresAt <= Date.now())
+        .forEach(key => { writes['teacherSessions/' + key] = null; });
+      await writeToStorage('update', '', writes);
+      return token;
+    },
+    
+    async verifySession(session) {
+      if (!session.token) return false;
+      const record = await storage.get('teacherSessions/' + await hashSessionToken(session.token));
+      return !!record && record.teacherId === session.teacherId && record.expiresAt > Date.now();
+    },
+    
+    async endSession(session) {
+      if (!session.token) return;
+      await writeToStorage('remove', 'teacherSessions/' + await hashSessionToken(session.token));
+    },
+    
+    async createAccount(account, password, options = {}) {
+      const id = generateUUID();
+      await writeToStorage('set', 'teacherCredentials/' + id, await createPasswordCredential(password));
+      return id;
+    },
+    
+    async resetPassword(teacher) {
+      const password = generateTemporaryPassword();
+      await writeToStorage('set', 'teacherCredentials/' + teacher.id, await createPasswordCredential(password));
+      await writeToStorage('update', 'teachers/' + teacher.id, { mustChangePassword: true, updatedAt: Date.now() });
+      return { temporaryPassword: password };
+    },
+    
+    async changePassword(teacher, currentPassword, newPassword) {
+      const credential = await storage.get('teacherCredentials/' + teacher.id);
+      if (!(await verifyPasswordCredential(currentPassword, credential))) return false;
+      await writeToStorage('set', 'teacherCredentials/' + teacher.id, await createPasswordCredential(newPassword));
+      return true;
+    }
+  };
+}
+
+/**
+ * Firebase Authentication（メール/パスワード）のプロバイダを作成
+ */
+function createFirebaseTeacherAuth() {
+  // 他の先生のアカウント作成で自分のログイン状態が変わらないよう、別インスタンスを使う
+  function getAdminAuth() {
+    const app = firebase.apps.find(a => a.name === 'teacher-admin') || firebase.initializeApp(firebaseConfig, 'teacher-admin');
+    const auth = app.auth();
+    const config = typeof storageConfig !== 'undefined' ? storageConfig : {};
+    if (config.authEmulatorUrl && !auth.emulatorConfig) auth.useEmulator(config.authEmulatorUrl);
+    return auth;
+  }
+  
+  return {
+    name: 'firebase',
+    
+    async signIn(loginId, password) {
+      try {
+        const result = await firebaseAuth.signInWithEmailAndPassword(loginId, password);
+        const teacher = await storage.get('teachers/' + result.user.uid);
+        if (!teacher) await firebaseAuth.signOut();
+        return teacher;
+      } catch (error) {
+        console.warn('Firebase sign-in failed:', error.code);
+        return null;
+      }
+    },
+    
+    async signOut() {
+      await firebaseAuth.signOut();
+    },
+    
+    // データの読み書きはルールが Firebase Authentication のログイン状態で確認するため、セッションの記録は持たない
+    async createSession() {
+      return null;
+    },
+    
+    async verifySession() {
+      return true;
+    },
+    
+    async endSession() {},
+    
+    async createAccount(account, password, options = {}) {
+      // 最初の管理者は作成と同時にそのままログインする
+      const auth = options.signIn ? firebaseAuth : getAdminAuth();
+      const result = await auth.createUserWithEmailAndPassword(account.loginId, password);
+      if (!options.signIn) await auth.signOut();
+      return result.user.uid;
+    },
+    
+    async resetPassword(teacher) {
+      await firebaseAuth.sendPasswordResetEmail(teacher.loginId);
+      return { emailSent: true };
+    },
+    
+    async changePassword(teacher, currentPassword, newPassword) {
+      const user = firebaseAuth.currentUser;
+      if (!user) return false;
+      try {
+        await user.reauthenticateWithCredential(firebase.auth.EmailAuthProvider.credential(teacher.loginId, currentPassword));
+      } catch (error) {
+        return false;
+      }
+      await user.updatePassword(newPassword);
+      return true;
+    }
+  };
+}
+
+/**
+ * 設定から先生認証プロバイダを作成
+ * storageConfig.teacherAuth: 'auto' | 'firebase' | 'local'
+ */
+function createTeacherAuthProvider() {
+  const config = typeof storageConfig !== 'undefined' ? storageConfig : {};
+  const type = config.teacherAuth || 'auto';
+  const hasFirebaseAuth = typeof firebaseAuth !== 'undefined' && firebaseAuth;
+  
+  if (type === 'firebase' || (type === 'auto' && storage.name === 'firebase' && hasFirebaseAuth)) {
+    return createFirebaseTeacherAuth();
+  }
+  return createLocalTeacherAuth();
+}
+
+/**
+ * 先生アカウントを作成
+ */
+async function createTeacherAccount({ loginId, displayName, role }, password, options = {}) {
+  const id = await teacherAuthProvider.createAccount({ loginId, displayName, role }, password, options);
+  const now = Date.now();
+  const teacher = {
+    id,
+    loginId,
+    displayName,
+    role,
+    disabled: false,
+    mustChangePassword: !!options.mustChangePassword,
+    createdAt: now,
+    updatedAt: now
+  };
+  await writeToStorage('set', 'teachers/' + id, teacher);
+  return teacher;
+}
+
+/**
+ * 先生アカウントが作成済みか（未作成なら旧共通パスワードで最初の管理者を作成できる）
+ */
+async function isTeacherAccountsInitialized() {
+  return !!(await storage.get('settings/teacherAccountsInitialized'));
+}
+
+/**
+ * 最初の管理者として作成できるログインIDか
+ * Firebase ではルールが、コンソールで settings/bootstrapAdminEmail に登録したメールアドレスだけを許可する
+ */
+async function canBootstrapAdmin(loginId) {
+  if (teacherAuthProvider.name !== 'firebase') return true;
+  return (await storage.get('settings/bootstrapAdminEmail')) === loginId;
+}
+
+/**
+ * 最初の管理者アカウントを作成（旧共通パスワードからの移行）
+ */
+async function bootstrapAdminAccount(account, password) {
+  const teacher = await createTeacherAccount({ ...account, role: 'admin' }, password, { signIn: true });
+  await writeToStorage('update', 'settings', { teacherAccountsInitialized: true, teacherPassword: null });
+  localStorage.removeItem(TEACHER_PASSWORD_KEY);
+  teacherPasswordCache = null;
+  return teacher;
+}
+
+/**
+ * パスワード変更モーダルを表示
+ */
+function showPasswordChangeModal() {
+  document.getElementById('current-password').value = '';
+  document.getElementById('new-password').value = '';
+  document.getElementById('confirm-password').value = '';
+  document.getElementById('password-change-modal').classList.remove('hidden');
+}
+
+/**
+ * パスワード変更モーダルを閉じる
+ */
+function closePasswordChangeModal() {
+  document.getElementById('password-change-modal').classList.add('hidden');
+}
+
+/**
+ * ログイン中の先生のパスワードを変更
+ */
+async function changeTeacherPassword() {
+  const session = getTeacherSession();
+  const teacher = session ? getTeacherById(session.teacherId) : null;
+  if (!teacher) return;
+  
+  const currentPassword = document.getElementById('current-password').value;
+  const newPassword = document.getElementById('new-password').value;
+  const confirmPassword = document.getElementById('confirm-password').value;
+  
+  if (!newPassword) {
+    showToast('新しいパスワードを入力してください', 'error');
+    return;
+  }
+  
+  if (newPassword.length < MIN_TEACHER_PASSWORD_LENGTH) {
+    showToast(`パスワードは${MIN_TEACHER_PASSWORD_LENGTH}文字以上にしてください`, 'error');
+    return;
+  }
+  
+  if (newPassword !== confirmPassword) {
+    showToast('新しいパスワードが一致しません', 'error');
+    return;
+  }
+  
+  try {
+    if (!(await teacherAuthProvider.changePassword(teacher, currentPassword, newPassword))) {
+      showToast('現在のパスワードが違います', 'error');
+      return;
+    }
+    await writeToStorage('update', 'teachers/' + teacher.id, { mustChangePassword: false, updatedAt: Date.now() });
+  } catch (error) {
+    console.error('Password change failed:', error);
+    showToast('パスワードを変更できませんでした。通信状態を確認してからもう一度お試しください', 'error');
+    return;
+  }
+  
+  closePasswordChangeModal();
+  showToast('パスワードを変更しました');
+}
+
+// ============================================
+// Student Credentials
+// ============================================
+/*
+  生徒の誕生日・PIN・QRログインカードのトークンは studentCredentials/<生徒ID> にハッシュだけを保存する。
+  students/<生徒ID> はログイン画面の選択肢に使うため誰でも読めるが、studentCredentials は先生しか読めない。
+  ハッシュのソルトは生徒IDと種類から決まるため、Firebase のルールは
+  studentSessions/<uid> に書き込まれたハッシュと保存済みのハッシュを比較するだけで照合できる。
+  ログインを試すたびに studentLoginAttempts/<生徒ID> に試行回数・時刻・ハッシュを記録する。
+  Firebase ではルールが試行の間隔と回数（上限に達したら一定時間ロック）を確認し、
+  直前に記録した試行と同じハッシュでなければ studentSessions に書き込めないため、画面を通さずに試しても制限を回避できない。
+*/
+
+let studentAuthProvider = null;
+
+// 種類ごとのハッシュの反復回数（QRトークンは十分長いランダム文字列のため少なくてよい）
+const STUDENT_CREDENTIAL_ITERATIONS = {
+  birthday: PASSWORD_HASH_ITERATIONS,
+  pin: PASSWORD_HASH_ITERATIONS,
+  qr: QR_TOKEN_HASH_ITERATIONS
+};
+
+/**
+ * 生徒の秘密の値（誕生日・PIN・QRトークン）をハッシュ化
+ */
+async function hashStudentSecret(studentId, kind, secret) {
+  const salt = bytesToBase64(new TextEncoder().encode(`student:${studentId}:${kind}`));
+  return hashPassword(secret, salt, STUDENT_CREDENTIAL_ITERATIONS[kind]);
+}
+
+/**
+ * 生徒の認証情報を保存
+ */
+async function setStudentCredential(studentId, kind, secret) {
+  await writeToStorage('set', `studentCredentials/${studentId}/${kind}`, await hashStudentSecret(studentId, kind, secret));
+}
+
+/**
+ * 保存済みのハッシュと直接照合するプロバイダを作成（Firebase 以外のバックエンド用）
+ */
+function createLocalStudentAuth() {
+  return {
+    name: 'local',
+    
+    async verify(student, kind, proof, count) {
+      const attemptPath = 'studentLoginAttempts/' + student.id;
+      await storage.set(attemptPath, { id: student.id, count, lastAttemptAt: Date.now(), uid: '', method: kind, proof });
+      
+      const path = 'studentCredentials/' + student.id;
+      const credentials = applyPendingWrites(path, await storage.get(path)) || {};
+      // 移行前の生徒レコードに誕生日が残っている場合
+      if (kind === 'birthday' && !credentials.birthday && student.birthday) {
+        credentials.birthday = await hashStudentSecret(student.id, 'birthday', student.birthday);
+      }
+      // PIN を発行した生徒は誕生日ではログインできない
+      if (kind === 'birthday' && credentials.pin) return false;
+      if (!credentials[kind] || credentials[kind] !== proof) return false;
+      
+      await storage.remove(attemptPath);
+      return true;
+    },
+    
+    async signOut() {}
+  };
+}
+
+/**
+ * データベースのルールで照合するプロバイダを作成（Firebase 用）
+ * 匿名ログインした上で studentSessions/<uid> にハッシュを書き込み、ルールに拒否されなければ成功
+ */
+function createFirebaseStudentAuth() {
+  return {
+    name: 'firebase',
+    
+    async verify(student, kind, proof, count) {
+      if (!firebaseAuth.currentUser || !firebaseAuth.currentUser.isAnonymous) {
+        await firebaseAuth.signInAnonymously();
+      }
+      const uid = firebaseAuth.currentUser.uid;
+      const attemptPath = 'studentLoginAttempts/' + student.id;
+      
+      // 試行の記録がルールに拒否された場合は、間隔が短すぎるかロック中
+      try {
+        await storage.set(attemptPath, {
+          id: student.id,
+          count,
+          lastAttemptAt: firebase.database.ServerValue.TIMESTAMP,
+          uid,
+          method: kind,
+          proof
+        });
+      } catch (error) {
+        console.warn('Student login attempt rejected:', error.code || error);
+        const throttled = new Error('Student login attempt rejected');
+        throttled.code = 'login-throttled';
+        throw throttled;
+      }
+      
+      try {
+        await storage.set('studentSessions/' + uid, {
+          studentId: student.id,
+          method: kind,
+          proof,
+          createdAt: Date.now()
+        });
+      } catch (error) {
+        console.warn('Student sign-in rejected:', error.code || error);
+        return false;
+      }
+      
+      await storage.remove(attemptPath).catch(() => {});
+      return true;
+    },
+    
+    async signOut() {
+      const user = firebaseAuth.currentUser;
+      if (!user || !user.isAnonymous) return;
+      await storage.remove('studentSessions/' + user.uid).catch(() => {});
+      await firebaseAuth.signOut();
+    }
+  };
+}
+
+/**
+ * 生徒認証プロバイダを作成（先生と同じく Firebase Authentication が使えるかで選ぶ）
+ */
+function createStudentAuthProvider() {
+  return teacherAuthProvider && teacherAuthProvider.name === 'firebase'
+    ? createFirebaseStudentAuth()
+    : createLocalStudentAuth();
+}
+
+/**
+ * 生徒レコードに残っている誕生日を studentCredentials へ移行（先生のみ実行）
+ * 以前の形式のログイン失敗の記録（studentLoginAttempts に移した）も生徒レコードから消す
+ * 移行が済むまでルールで生徒一覧を先生以外に見せないため、済んだら settings/studentCredentialsMigrated を立てる
+ */
+async function migrateStudentCredentials() {
+  if (!hasPermission('students.edit')) return;
+  const legacyFields = ['birthday', 'loginFailures', 'lastLoginFailureAt', 'loginLockedUntil'];
+  const targets = loadStudents().filter(student => legacyFields.some(field => field in student));
+  for (const student of targets) {
+    if (student.birthday) {
+      await setStudentCredential(student.id, 'birthday', student.birthday);
+    }
+    const rest = { ...student };
+    legacyFields.forEach(field => { delete rest[field]; });
+    await writeToStorage('set', 'students/' + student.id, rest);
+  }
+  if (targets.length > 0) {
+    console.log(`Migrated credentials of ${targets.length} student(s)`);
+  }
+  if (!(await storage.get('settings/studentCredentialsMigrated'))) {
+    await writeToStorage('set', 'settings/studentCredentialsMigrated', true);
+  }
+}
+
+// ============================================
+// Session Management
+// ============================================
+
+/**
+ * 生徒セッションを取得
+ */
+function getStudentSession() {
+  try {
+    const data = sessionStorage.getItem(STUDENT_SESSION_KEY);
+    return data ? JSON.parse(data) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 生徒セッションを保存
+ */
+function setStudentSession(session) {
+  sessionStorage.setItem(STUDENT_SESSION_KEY, JSON.stringify(session));
+  updateSyncScope();
+}
+
+/**
+ * 生徒セッションを削除
+ */
+function clearStudentSession() {
+  sessionStorage.removeItem(STUDENT_SESSION_KEY);
+  updateSyncScope();
+}
+
+/**
+ * 端末に保存された先生セッションを読み込む（期限切れ・旧形式のセッションは破棄して null を返す）
+ */
+function readStoredTeacherSession() {
+  let session = null;
+  try {
+    session = JSON.parse(sessionStorage.getItem(TEACHER_SESSION_KEY));
+  } catch (e) {
+    session = null;
+  }
+  
+  if (!session || typeof session !== 'object' || !session.teacherId) {
+    if (session !== null) sessionStorage.removeItem(TEACHER_SESSION_KEY);
+    return null;
+  }
+  
+  if (!session.expiresAt || session.expiresAt <= Date.now()) {
+    sessionStorage.removeItem(TEACHER_SESSION_KEY);
+    return null;
+  }
+  
+  return session;
+}
+
+/**
+ * 先生セッションを取得
+ * ローカル認証では、起動時またはログイン時に記録と照合したトークンを持つセッションだけを返す
+ */
+function getTeacherSession() {
+  const session = readStoredTeacherSession();
+  if (!session) return null;
+  if (teacherAuthProvider && teacherAuthProvider.name === 'local' && (!session.token || session.token !== verifiedTeacherSessionToken)) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * 前回の先生セッションを認証プロバイダの記録と照合し、確認できなければ破棄する（起動時に1回）
+ */
+async function restoreTeacherSession() {
+  const session = readStoredTeacherSession();
+  if (!session) return;
+  
+  let verified = false;
+  try {
+    verified = await teacherAuthProvider.verifySession(session);
+  } catch (error) {
+    console.warn('Teacher session verification failed:', error);
+  }
+  
+  if (verified) {
+    verifiedTeacherSessionToken = session.token || null;
+  } else {
+    sessionStorage.removeItem(TEACHER_SESSION_KEY);
+  }
+}
+
+/**
+ * 先生セッションを保存（teacher に null を渡すとログアウト）
+ * token はローカル認証のセッショントークン（認証プロバイダの createSession で作成）
+ */
+function setTeacherSession(teacher, token = null, expiresAt = Date.now() + TEACHER_SESSION_TTL_MS) {
+  if (teacher) {
+    verifiedTeacherSessionToken = token;
+    sessionStorage.setItem(TEACHER_SESSION_KEY, JSON.stringify({
+      teacherId: teacher.id,
+      loginId: teacher.loginId,
+      displayName: teacher.displayName,
+      role: teacher.role,
+      provider: teacherAuthProvider.name,
+      token,
+      expiresAt
+    }));
+  } else {
+    const previous = getTeacherSession();
+    if (previous) {
+      teacherAuthProvider.endSession(previous).catch(error => console.warn('Failed to end teacher session:', error));
+    }
+    verifiedTeacherSessionToken = null;
+    sessionStorage.removeItem(TEACHER_SESSION_KEY);
+  }
+  updateSyncScope();
+}
+
+/**
+ * ログイン中の先生アカウントを取得
+ */
+function getCurrentTeacher() {
+  const session = getTeacherSession();
+  return session ? getTeacherById(session.teacherId) : null;
+}
+
+/**
+ * ログイン中の先生アカウントが削除・無効化されていたら強制ログアウト
+ * teacherId を渡すと、そのアカウントの変更時のみ確認する
+ */
+function enforceTeacherAccountState(teacherId = null) {
+  const session = getTeacherSession();
+  if (!session || (teacherId && teacherId !== session.teacherId)) return;
+  
+  const teacher = getTeacherById(session.teacherId);
+  if (teacher && !teacher.disabled) return;
+  
+  setTeacherSession(null);
+  teacherAuthProvider.signOut();
+  showToast('このアカウントは利用できません。再度ログインしてください', 'error');
+  navigateTo('teacher-login');
+}
+
+// ============================================
+// Permissions
+// ============================================
+
+/**
+ * ログイン中の先生のロールを取得
+ */
+function getCurrentTeacherRole() {
+  const teacher = getCurrentTeacher();
+  if (teacher) return teacher.role;
+  // アカウントの同期前はセッションに保存したロールを使う
+  const session = getTeacherSession();
+  return session ? session.role : null;
+}
+
+/**
+ * ログイン中の先生が権限を持っているか
+ */
+function hasPermission(permission) {
+  const role = TEACHER_ROLES[getCurrentTeacherRole()];
+  return !!role && role.permissions.includes(permission);
+}
+
+/**
+ * 権限がなければトーストを表示して false を返す（操作の実行前に確認する）
+ */
+function requirePermission(permission) {
+  if (hasPermission(permission)) return true;
+  showToast('この操作を行う権限がありません', 'error');
+  return false;
+}
+
+/**
+ * data-permission 属性を持つ要素を権限に応じて表示・非表示にする
+ */
+function applyPermissionVisibility(root = document) {
+  root.querySelectorAll('[data-permission]').forEach(el => {
+    el.classList.toggle('hidden', !hasPermission(el.dataset.permission));
+  });
+}
+
+// ============================================
+// Routing
+// ============================================
+
+/**
+ * ページ遷移
+ */
+function navigateTo(page, params = {}) {
+  let hash = page ? `#${page}` : '';
+  
+  if (params.id) {
+    hash += `?id=${params.id}`;
+  }
+  
+  window.location.hash = hash;
+}
+
+/**
+ * ハッシュからページとパラメータを解析
+ */
+function parseHash() {
+  const hash = window.location.hash.slice(1);
+  const [page, queryString] = hash.split('?');
+  const params = {};
+  
+  if (queryString) {
+    queryString.split('&').forEach(pair => {
+      const [key, value] = pair.split('=');
+      params[key] = decodeURIComponent(value);
+    });
+  }
+  
+  return { page: page || '', params };
+}
+
+/**
+ * ルーティング処理
+ */
+function handleRouting() {
+  const { page, params } = parseHash();
+  
+  document.querySelectorAll('.page').forEach(p => p.classList.add('hidden'));
+  
+  // 詳細画面以外ではやりとりの購読を止める
+  if (page !== 'student-detail' && page !== 'teacher-detail') closeTicketThread();
+  // プロフィール画面以外では先生用メモの購読を止める
+  if (page !== 'teacher-student-profile') closeStudentNote();
+  
+  // 質問登録画面を離れるときは保存待ちの下書きをすぐに保存する
+  if (page !== 'student') flushFormDraft();
+  
+  // 権限のないページは表示しない
+  if (PAGE_PERMISSIONS[page] && getTeacherSession() && !hasPermission(PAGE_PERMISSIONS[page])) {
+    navigateTo('teacher-settings');
+    return;
+  }
+  applyPermissionVisibility();
+  renderOptionSelects();
+  
+  switch (page) {
+    case 'student-login':
+      document.getElementById('page-student-login').classList.remove('hidden');
+      initStudentLoginPage();
+      break;
+    case 'student-qr':
+      // トークンを履歴に残さない
+      history.replaceState(null, '', window.location.pathname + window.location.search + '#student-login');
+      document.getElementById('page-student-login').classList.remove('hidden');
+      initStudentLoginPage();
+      loginWithQrToken(params.token);
+      break;
+    case 'student-mypage':
+      if (!getStudentSession()) {
+        navigateTo('student-login');
+        return;
+      }
+      document.getElementById('page-student-mypage').classList.remove('hidden');
+      renderStudentMyPage();
+      break;
+    case 'student-detail':
+      if (!getStudentSession()) {
+        navigateTo('student-login');
+        return;
+      }
+      document.getElementById('page-student-detail').classList.remove('hidden');
+      renderStudentDetail(params.id);
+      break;
+    case 'student':
+      if (!getStudentSession()) {
+        navigateTo('student-login');
+        return;
+      }
+      document.getElementById('page-student').classList.remove('hidden');
+      initStudentPage();
+      break;
+    case 'teacher-login':
+      document.getElementById('page-teacher-login').classList.remove('hidden');
+      break;
+    case 'teacher-settings':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-settings').classList.remove('hidden');
+      purgeExpiredTrash().catch(error => console.warn('Failed to purge trash:', error));
+      break;
+    case 'teacher-options':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-options').classList.remove('hidden');
+      renderOptionSettings();
+      break;
+    case 'teacher-trash':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-trash').classList.remove('hidden');
+      renderTrashList();
+      break;
+    case 'teacher-accounts':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-accounts').classList.remove('hidden');
+      renderTeacherAccountList();
+      break;
+    case 'teacher-student-profile':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-student-profile').classList.remove('hidden');
+      renderStudentProfile(params.id);
+      break;
+    case 'teacher-analytics':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-analytics').classList.remove('hidden');
+      initAnalyticsRange();
+      renderAnalytics();
+      break;
+    case 'teacher-slots':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-slots').classList.remove('hidden');
+      renderTimeSlotTimeline();
+      break;
+    case 'teacher-students':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-students').classList.remove('hidden');
+      renderStudentList();
+      break;
+    case 'teacher':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher').classList.remove('hidden');
+      renderTeacherList();
+      break;
+    case 'teacher-detail':
+      if (!getTeacherSession()) {
+        navigateTo('teacher-login');
+        return;
+      }
+      document.getElementById('page-teacher-detail').classList.remove('hidden');
+      renderTeacherDetail(params.id);
+      break;
+    default:
+      document.getElementById('page-top').classList.remove('hidden');
+      break;
+  }
+  
+  checkTicketCalls();
+}
+
+// ============================================
+// Toast Notification
+// ============================================
+
+/**
+ * トースト表示
+ */
+function showToast(message, type = 'success') {
+  const container = document.getElementById('toast-container');
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+  toast.textContent = message;
+  container.appendChild(toast);
+  
+  setTimeout(() => {
+    toast.remove();
+  }, 3000);
+}
+
+// ============================================
+// Date Formatting
+// ============================================
+
+/**
+ * 日時フォーマット
+ */
+function formatDateTime(timestamp) {
+  if (!timestamp) return '-';
+  const d = new Date(timestamp);
+  const year = d.getFullYear();
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  const hours = String(d.getHours()).padStart(2, '0');
+  const minutes = String(d.getMinutes()).padStart(2, '0');
+  return `${year}/${month}/${day} ${hours}:${minutes}`;
+}
+
+/**
+ * 所要時間を「◯時間◯分」形式にフォーマット
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes}分`;
+  return `${Math.floor(minutes / 60)}時間${minutes % 60 ? `${minutes % 60}分` : ''}`;
+}
+
+/**
+ * 日付を YYYY-MM-DD 形式（ローカル時刻）にフォーマット
+ */
+function formatDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+// ============================================
+// Student Login
+// ============================================
+
+/**
+ * 生徒ログインページ初期化
+ */
+function initStudentLoginPage() {
+  const prefs = loadUserPrefs();
+  const classSelect = document.getElementById('login-className');
+  const initialsSelect = document.getElementById('login-initials');
+  
+  // クラス変更時にイニシャル一覧を更新
+  classSelect.onchange = function() {
+    updateInitialsSelect(this.value);
+  };
+  
+  if (prefs.className) {
+    classSelect.value = prefs.className;
+    updateInitialsSelect(prefs.className, prefs.initials);
+  } else {
+    initialsSelect.innerHTML = '<option value="">先にクラスを選択</option>';
+  }
+  
+  document.getElementById('login-birthday').value = '';
+}
+
+/**
+ * イニシャル選択肢を更新
+ */
+function updateInitialsSelect(className, selectedInitials = '') {
+  const initialsSelect = document.getElementById('login-initials');
+  
+  if (!className) {
+    initialsSelect.innerHTML = '<option value="">先にクラスを選択</option>';
+    return;
+  }
+  
+  const students = loadStudents().filter(s => s.className === className);
+  
+  if (students.length === 0) {
+    initialsSelect.innerHTML = '<option value="">該当する生徒がいません</option>';
+    return;
+  }
+  
+  // イニシャル順にソート
+  students.sort((a, b) => a.initials.localeCompare(b.initials));
+  
+  initialsSelect.innerHTML = '<option value="">選択してください</option>' +
+    students.map(s => `<option value="${escapeHtml(s.initials)}">${escapeHtml(s.initials)}</option>`).join('');
+  
+  if (selectedInitials) {
+    initialsSelect.value = selectedInitials;
+  }
+}
+
+/**
+ * 生徒のログイン試行の記録を読み込む（回数と最後の試行時刻だけは誰でも読める）
+ */
+async function loadStudentLoginAttempts(studentId) {
+  const path = 'studentLoginAttempts/' + studentId;
+  const [count, lastAttemptAt] = await Promise.all([
+    storage.get(path + '/count'),
+    storage.get(path + '/lastAttemptAt')
+  ]);
+  return { count: count || 0, lastAttemptAt: lastAttemptAt || 0 };
+}
+
+/**
+ * 同期済みのログイン試行の記録を取得（先生用）
+ */
+function getStudentLoginAttempts(studentId) {
+  return studentLoginAttemptsCache.find(a => a.id === studentId) || { count: 0, lastAttemptAt: 0 };
+}
+
+/**
+ * 最後の試行からロック時間が過ぎ、回数を数え直すか
+ */
+function isStudentLoginAttemptsExpired(attempts) {
+  return !attempts.count || attempts.lastAttemptAt + STUDENT_LOCKOUT_MS <= Date.now();
+}
+
+/**
+ * 次にログインを試せるまでの待ち時間（ミリ秒）
+ * 失敗するごとに待ち時間を倍にし、上限回数に達したら一定時間ロックする（database.rules.json と同じ計算）
+ */
+function getStudentLoginWait(attempts) {
+  if (isStudentLoginAttemptsExpired(attempts)) return 0;
+  
+  const throttle = isStudentLoginLocked(attempts)
+    ? STUDENT_LOCKOUT_MS
+    : STUDENT_LOGIN_THROTTLE_MS * 2 ** (attempts.count - 1);
+  return Math.max(0, attempts.lastAttemptAt + throttle - Date.now());
+}
+
+/**
+ * ログインがロック中か
+ */
+function isStudentLoginLocked(attempts) {
+  return !isStudentLoginAttemptsExpired(attempts) && attempts.count >= MAX_STUDENT_LOGIN_FAILURES;
+}
+
+/**
+ * 次の試行で記録する回数
+ */
+function getNextStudentLoginAttemptCount(attempts) {
+  return isStudentLoginAttemptsExpired(attempts) ? 1 : attempts.count + 1;
+}
+
+/**
+ * 待ち時間を表示用の文字列にする
+ */
+function formatLoginWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds >= 60 ? `${Math.ceil(seconds / 60)}分` : `${seconds}秒`;
+}
+
+/**
+ * ログイン試行前の確認（ロック中・待ち時間中ならトーストを表示して false）
+ */
+function checkStudentLoginAllowed(attempts) {
+  const wait = getStudentLoginWait(attempts);
+  if (wait <= 0) return true;
+  
+  if (isStudentLoginLocked(attempts)) {
+    showToast(`ログインに続けて失敗したためロックされています。${formatLoginWait(wait)}後に再度お試しいただくか、先生に解除を依頼してください`, 'error');
+  } else {
+    showToast(`${formatLoginWait(wait)}待ってから再度お試しください`, 'error');
+  }
+  return false;
+}
+
+/**
+ * ログイン試行の記録を読み込んで、試せる状態か確認する（試せない・読めない場合はトーストを表示して null）
+ */
+async function prepareStudentLoginAttempt(student) {
+  let attempts;
+  try {
+    attempts = await loadStudentLoginAttempts(student.id);
+  } catch (error) {
+    console.error('Failed to load login attempts:', error);
+    showToast('接続できないためログインできませんでした。通信状態を確認してからもう一度お試しください', 'error');
+    return null;
+  }
+  return checkStudentLoginAllowed(attempts) ? attempts : null;
+}
+
+/**
+ * 生徒の秘密の値を照合（試行の記録も残す）
+ * 照合できれば true、違えば false、試行の記録がルールに拒否された・接続できない場合は null（トーストを表示）
+ */
+async function verifyStudentSecret(student, kind, secret, attempts) {
+  try {
+    return await studentAuthProvider.verify(student, kind, await hashStudentSecret(student.id, kind, secret), getNextStudentLoginAttemptCount(attempts));
+  } catch (error) {
+    if (error.code === 'login-throttled') {
+      showToast('続けて試しすぎたため、しばらくログインできません。時間をおいて再度お試しください', 'error');
+    } else {
+      console.error('Student login failed:', error);
+      showToast('接続できないためログインできませんでした。通信状態を確認してからもう一度お試しください', 'error');
+    }
+    return null;
+  }
+}
+
+/**
+ * 生徒としてログインしてマイページへ移動
+ */
+async function completeStudentLogin(student) {
+  // セッション保存
+  setStudentSession({
+    id: student.id,
+    className: student.className,
+    initials: student.initials
+  });
+  
+  // プリファレンス保存
+  saveUserPrefs({ className: student.className, initials: student.initials });
+  
+  showToast('ログインしました');
+  navigateTo('student-mypage');
+}
+
+/**
+ * 生徒ログイン
+ */
+async function studentLogin() {
+  const className = document.getElementById('login-className').value;
+  const initials = document.getElementById('login-initials').value;
+  const password = document.getElementById('login-birthday').value.trim();
+  
+  if (!className) {
+    showToast('クラスを選択してください', 'error');
+    return;
+  }
+  
+  if (!initials) {
+    showToast('イニシャルを選択してください', 'error');
+    return;
+  }
+  
+  if (!password || !/^(\d{4}|\d{6})$/.test(password)) {
+    showToast(`パスワードは誕生日（4桁）または PIN（${STUDENT_PIN_LENGTH}桁）で入力してください`, 'error');
+    return;
+  }
+  
+  // 生徒を検索
+  const student = findStudent(className, initials);
+  if (!student) {
+    showToast('パスワードが正しくありません', 'error');
+    return;
+  }
+  
+  const attempts = await prepareStudentLoginAttempt(student);
+  if (!attempts) return;
+  
+  // PIN 発行済みなら PIN、未発行なら誕生日で照合する
+  const verified = await verifyStudentSecret(student, student.hasPin ? 'pin' : 'birthday', password, attempts);
+  if (verified === null) return;
+  if (!verified) {
+    document.getElementById('login-birthday').value = '';
+    if (getNextStudentLoginAttemptCount(attempts) >= MAX_STUDENT_LOGIN_FAILURES) {
+      showToast(`${MAX_STUDENT_LOGIN_FAILURES}回続けて失敗したため、しばらくログインできません`, 'error');
+    } else {
+      showToast('パスワードが正しくありません', 'error');
+    }
+    return;
+  }
+  
+  await completeStudentLogin(student);
+}
+
+/**
+ * QRログインカードのトークンでログイン
+ * トークンは「生徒ID.秘密の文字列」の形式で、秘密の文字列のハッシュだけを保存する
+ */
+async function loginWithQrToken(token) {
+  const [studentId, secret] = String(token || '').split('.');
+  const student = studentId ? getStudentById(studentId) : null;
+  
+  if (!student || !secret) {
+    showToast('このQRコードは使えません', 'error');
+    navigateTo('student-login');
+    return;
+  }
+  
+  const attempts = await prepareStudentLoginAttempt(student);
+  if (!attempts) {
+    navigateTo('student-login');
+    return;
+  }
+  
+  const verified = await verifyStudentSecret(student, 'qr', secret, attempts);
+  if (!verified) {
+    if (verified === false) showToast('このQRコードは無効です。新しいログインカードを先生に発行してもらってください', 'error');
+    navigateTo('student-login');
+    return;
+  }
+  
+  await completeStudentLogin(student);
+}
+
+/**
+ * 生徒ログアウト
+ */
+function studentLogout() {
+  clearStudentSession();
+  studentAuthProvider.signOut();
+  navigateTo('');
+}
+
+// ============================================
+// Student My Page
+// ============================================
+
+let studentTicketFilter = 'all';
+
+/**
+ * 生徒マイページを描画
+ */
+function renderStudentMyPage() {
+  const session = getStudentSession();
+  if (!session) return;
+  
+  // ユーザー情報表示
+  document.getElementById('mypage-user-info').textContent = 
+    `${session.className} / ${session.initials}`;
+  
+  // フィルタタブをリセット
+  studentTicketFilter = 'all';
+  document.querySelectorAll('#student-filter-tabs .filter-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.filter === 'all');
+  });
+  
+  updateCallNotificationPrompt();
+  renderStudentTicketList();
+}
+
+/**
+ * 生徒の質問一覧フィルタ
+ */
+function filterStudentTickets(filter) {
+  studentTicketFilter = filter;
+  
+  // タブのアクティブ状態を更新
+  document.querySelectorAll('#student-filter-tabs .filter-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.filter === filter);
+  });
+  
+  renderStudentTicketList();
+}
+
+/**
+ * 生徒の質問一覧を描画
+ * changedIds を渡すと変更のあったカードだけを更新する
+ */
+function renderStudentTicketList(changedIds = null) {
+  const session = getStudentSession();
+  if (!session) return;
+  
+  // 自分のチケット一覧を取得
+  let tickets = loadTickets().filter(t => t.studentId === session.id);
+  
+  // フィルタ適用
+  if (studentTicketFilter !== 'all') {
+    tickets = tickets.filter(t => t.status === studentTicketFilter);
+  }
+  
+  // 新しい順にソート
+  tickets.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  
+  const container = document.getElementById('student-ticket-list');
+  
+  if (tickets.length === 0) {
+    const emptyMessage = studentTicketFilter === 'all' ? 'まだ質問がありません' :
+                         `「${getTicketStatusLabel(studentTicketFilter, 'student')}」の質問はありません`;
+    container.innerHTML = `
+      <div class="empty-list">
+        <div class="empty-list-icon">-</div>
+        <p>${emptyMessage}</p>
+      </div>
+    `;
+    return;
+  }
+  
+  patchCardList(container, tickets, renderStudentTicketCard, changedIds);
+}
+
+/**
+ * 生徒の質問カードを描画
+ */
+function renderStudentTicketCard(ticket) {
+  const purposeClass = ticket.purpose === 'grading' ? 'badge-grading' : 'badge-question';
+  const purposeIcon = ticket.purpose === 'grading' 
+    ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/></svg>'
+    : '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r="0.5" fill="currentColor"/></svg>';
+  const purposeText = ticket.purpose === 'grading' ? '採点' : '質問';
+  const statusClass = `badge-${ticket.status}`;
+  const statusText = getTicketStatusLabel(ticket.status, 'student');
+  const questionImages = ticket.questionImages || [];
+  const hasImages = questionImages.length > 0;
+  const slot = ticket.slotId ? getTimeSlotById(ticket.slotId) : null;
+  
+  return `
+    <div class="ticket-card" data-ticket-id="${ticket.id}" onclick="navigateTo('student-detail', { id: '${ticket.id}' })">
+      <div class="${hasImages ? 'ticket-card-with-image' : ''}">
+        <div class="ticket-card-content">
+          <div class="ticket-card-header">
+            ${renderSubjectBadge(ticket.subject)}
+            <span class="purpose-badge ${purposeClass}">${purposeIcon}${purposeText}</span>
+            ${hasUnreadMessages(ticket, 'student') ? '<span class="ticket-badge badge-unread">新着メッセージ</span>' : ''}
+            <span class="ticket-badge ${statusClass}">${statusText}</span>
+          </div>
+          <div class="ticket-meta">
+            <span>${formatDateTime(ticket.createdAt)}</span>
+            ${slot ? `<span class="ticket-slot">予約 ${escapeHtml(formatTimeSlot(slot))}</span>` : ''}
+          </div>
+          ${renderQueueStatus(ticket)}
+          <div class="ticket-reason">${escapeHtml(ticket.questionReason || (ticket.purpose === 'grading' ? '採点依頼' : ''))}</div>
+        </div>
+        ${hasImages ? `
+        <div class="ticket-card-thumbnail">
+          <img ${imageSrcAttrs(questionImages[0])} alt="問題画像">
+          ${questionImages.length > 1 ? `<div class="thumbnail-more">+${questionImages.length - 1}</div>` : ''}
+        </div>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * 待ち順と待ち時間の目安を描画（対応待ちのチケットのみ）
+ */
+function renderQueueStatus(ticket) {
+  if (ticket.status !== 'submitted' && ticket.status !== 'reopened') return '';
+  const position = getQueuePosition(ticket.id);
+  const wait = estimateRemainingWait(ticket);
+  if (position === null && wait === null) return '';
+  
+  return `
+    <div class="queue-status">
+      ${position !== null ? `<span>待ち順 <strong>${position}</strong>番目</span>` : ''}
+      ${wait !== null ? `<span>待ち時間の目安 ${formatQueueWait(wait)}</span>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * 待ち時間の目安を表示用にフォーマット
+ */
+function formatQueueWait(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return 'まもなく';
+  if (minutes < 60) return `約${minutes}分`;
+  return `約${Math.floor(minutes / 60)}時間${minutes % 60 ? `${minutes % 60}分` : ''}`;
+}
+
+// ============================================
+// Student Detail
+// ============================================
+
+let currentStudentDetailTicketId = null;
+
+/**
+ * 生徒用質問詳細を描画
+ */
+function renderStudentDetail(id) {
+  currentStudentDetailTicketId = id;
+  const session = getStudentSession();
+  if (!session) return;
+  
+  const ticket = getTicketById(id);
+  
+  if (!ticket || ticket.studentId !== session.id) {
+    showToast('質問が見つかりません', 'error');
+    navigateTo('student-mypage');
+    return;
+  }
+  
+  const purposeText = ticket.purpose === 'grading' ? '採点をお願いする' : '質問する';
+  const purposeClass = ticket.purpose === 'grading' ? 'badge-grading' : 'badge-question';
+  const purposeIcon = ticket.purpose === 'grading' 
+    ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/></svg>'
+    : '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r="0.5" fill="currentColor"/></svg>';
+  const statusText = getTicketStatusLabel(ticket.status, 'student');
+  const isClosed = ticket.status === 'done' || ticket.status === 'cancelled';
+  const slot = ticket.slotId ? getTimeSlotById(ticket.slotId) : null;
+  const canChangeSlot = EDITABLE_TICKET_STATUSES.includes(ticket.status) &&
+    getAvailableTimeSlots(ticket.subject, session.id, ticket.id).length > 0;
+  
+  const content = document.getElementById('student-detail-content');
+  content.innerHTML = `
+    <!-- 基本情報 -->
+    <div class="detail-section">
+      <div class="detail-section-title">質問内容</div>
+      <div class="detail-row">
+        <span class="detail-label">教科</span>
+        ${renderSubjectBadge(ticket.subject)}
+      </div>
+      <div class="detail-row">
+        <span class="detail-label">目的</span>
+        <span class="purpose-badge ${purposeClass}">${purposeIcon}${purposeText}</span>
+      </div>
+      <div class="detail-row">
+        <span class="detail-label">ステータス</span>
+        <span class="detail-value">${statusText}</span>
+      </div>
+      <div class="detail-row">
+        <span class="detail-label">登録日時</span>
+        <span class="detail-value">${formatDateTime(ticket.createdAt)}</span>
+      </div>
+      ${slot || canChangeSlot ? `
+      <div class="detail-row">
+        <span class="detail-label">予約</span>
+        <span class="detail-value">${slot ? escapeHtml(formatTimeSlot(slot)) : 'なし（順番に対応）'}</span>
+        ${canChangeSlot ? `<button class="btn btn-outline time-slot-change-btn" onclick="showTimeSlotPicker()">${slot ? '変更' : '時間を予約'}</button>` : ''}
+      </div>
+      ` : ''}
+    </div>
+    
+    ${ticket.purpose === 'question' ? `
+    <!-- 質問内容 -->
+    <div class="detail-highlight">
+      <div class="detail-highlight-title">質問内容</div>
+      <div class="detail-checks">
+        ${(ticket.checkedMaterials || []).map(m => `<span class="detail-check-item">${escapeHtml(m)}</span>`).join('')}
+      </div>
+      <div class="detail-highlight-content">${escapeHtml(ticket.questionReason || '')}</div>
+    </div>
+    ` : ''}
+    
+    <!-- 問題画像 -->
+    ${(ticket.questionImages || []).length > 0 ? `
+      <div class="detail-section">
+        <div class="detail-section-title">問題画像（${ticket.questionImages.length}枚）</div>
+        <div class="detail-gallery">
+          ${ticket.questionImages.map(src => `
+            <div class="detail-gallery-item">
+              <img ${imageSrcAttrs(src)} alt="問題画像" onclick="openDetailImageModal(this.src)">
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    ` : ''}
+    
+    <!-- 自分の答案画像 -->
+    ${(ticket.myAnswerImages || []).length > 0 ? `
+      <div class="detail-section">
+        <div class="detail-section-title">自分の答案（${ticket.myAnswerImages.length}枚）</div>
+        <div class="detail-gallery">
+          ${ticket.myAnswerImages.map(src => `
+            <div class="detail-gallery-item">
+              <img ${imageSrcAttrs(src)} alt="自分の答案" onclick="openDetailImageModal(this.src)">
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    ` : ''}
+    
+    <!-- 解答画像 -->
+    ${(ticket.answerImages || []).length > 0 ? `
+      <div class="detail-section">
+        <div class="detail-section-title">解答・解説画像（${ticket.answerImages.length}枚）</div>
+        <div class="detail-gallery">
+          ${ticket.answerImages.map(src => `
+            <div class="detail-gallery-item">
+              <img ${imageSrcAttrs(src)} alt="解答画像" onclick="openDetailImageModal(this.src)">
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    ` : ''}
+    
+    <!-- ステータス -->
+    <div class="teacher-answer-card">
+      <div class="teacher-answer-title">対応状況</div>
+      ${ticket.status === 'done' ? `
+        <div class="teacher-answer-content" style="color: var(--color-success);">対応完了</div>
+      ` : ticket.status === 'called' ? `
+        <div class="teacher-answer-content" style="color: var(--color-accent);">先生が呼んでいます。先生のところへ行ってください</div>
+      ` : ticket.status === 'in_progress' ? `
+        <div class="teacher-answer-content">先生が対応中です</div>
+      ` : ticket.status === 'cancelled' ? `
+        <div class="teacher-answer-empty">取り下げました</div>
+      ` : ticket.status === 'draft' ? `
+        <div class="teacher-answer-empty">下書き（まだ送信していません）</div>
+      ` : `
+        <div class="teacher-answer-empty">対応待ち</div>
+      `}
+    </div>
+  `;
+  
+  loadLazyImages(content);
+  openTicketThread(ticket, 'student');
+  
+  // フッター
+  const footer = document.getElementById('student-detail-footer');
+  if (isClosed) {
+    footer.innerHTML = `
+      <button class="btn btn-outline" onclick="navigateTo('student-mypage')">一覧へ戻る</button>
+      <button class="btn btn-secondary" onclick="reopenStudentTicket()">もう一度質問する</button>
+    `;
+  } else {
+    footer.innerHTML = `
+      <button class="btn btn-outline" onclick="navigateTo('student-mypage')">戻る</button>
+      ${EDITABLE_TICKET_STATUSES.includes(ticket.status) ? `
+      <button class="btn btn-danger-outline" onclick="withdrawStudentTicket()">取り消す</button>
+      <button class="btn btn-secondary" onclick="editTicket('${ticket.id}')">${ticket.status === 'draft' ? '続きを書く' : '編集'}</button>
+      ` : ''}
+      ${isActiveTicket(ticket) ? `
+      <button class="btn btn-primary" onclick="showStudentCompleteModal()">解決した</button>
+      ` : ''}
+    `;
+  }
+}
+
+/**
+ * 予約枠の選択モーダルを表示
+ */
+function showTimeSlotPicker() {
+  const session = getStudentSession();
+  const ticket = getTicketById(currentStudentDetailTicketId);
+  if (!session || !ticket) return;
+  
+  const slots = getAvailableTimeSlots(ticket.subject, session.id, ticket.id);
+  document.getElementById('time-slot-picker-list').innerHTML = slots.map(slot => {
+    const selected = slot.id === ticket.slotId;
+    return `
+      <button class="time-slot-option${selected ? ' selected' : ''}" onclick="selectTicketTimeSlot('${slot.id}')">
+        <span>${escapeHtml(formatTimeSlot(slot))}</span>
+        <span class="time-slot-option-note">${selected ? '予約中' : `残り${slot.capacity - getTimeSlotReservationCount(slot)}`}</span>
+      </button>
+    `;
+  }).join('');
+  document.getElementById('time-slot-picker-cancel').classList.toggle('hidden', !ticket.slotId);
+  document.getElementById('time-slot-picker-modal').classList.remove('hidden');
+}
+
+/**
+ * 予約枠の選択モーダルを閉じる
+ */
+function closeTimeSlotPicker() {
+  document.getElementById('time-slot-picker-modal').classList.add('hidden');
+}
+
+/**
+ * 詳細画面の質問の予約枠を変更する（slotId が null の場合は予約を取り消す）
+ */
+async function selectTicketTimeSlot(slotId) {
+  const ticket = getTicketById(currentStudentDetailTicketId);
+  if (!ticket) return;
+  if (slotId === null && !confirm('予約を取り消しますか？')) return;
+  
+  if (!(await changeTicketTimeSlot(ticket, slotId))) return;
+  closeTimeSlotPicker();
+  showToast(slotId ? '予約しました' : '予約を取り消しました');
+}
+
+/**
+ * 生徒用完了確認モーダルを表示
+ */
+function showStudentCompleteModal() {
+  if (confirm('この質問を完了しますか？\\n（先生からの回答を確認した場合に押してください）')) {
+    completeStudentTicket();
+  }
+}
+
+/**
+ * 生徒が質問を完了する
+ */
+async function completeStudentTicket() {
+  const ticket = getTicketById(currentStudentDetailTicketId);
+  if (!ticket) return;
+  
+  if (!(await transitionTicket(ticket, 'done', { completedByStudent: true }))) return;
+  showToast('質問を完了しました');
+  navigateTo('student-mypage');
+}
+
+/**
+ * 解決済み・取り下げた質問を再開する
+ */
+async function reopenStudentTicket() {
+  const ticket = getTicketById(currentStudentDetailTicketId);
+  if (!ticket) return;
+  if (!confirm('この質問をもう一度先生に送りますか？')) return;
+  
+  if (!(await transitionTicket(ticket, 'reopened', { completedByStudent: false }))) return;
+  showToast('質問を再開しました');
+}
+
+/**
+ * 間違えて送った質問を取り消す（先生が対応を始める前の質問・下書きのみ）
+ */
+async function withdrawStudentTicket() {
+  const session = getStudentSession();
+  const ticket = getTicketById(currentStudentDetailTicketId);
+  if (!session || !ticket || !EDITABLE_TICKET_STATUSES.includes(ticket.status)) return;
+  const message = ticket.status === 'draft'
+    ? 'この下書きを削除しますか？'
+    : 'この質問を取り消しますか？\n入力した内容と画像は削除され、元に戻せません。';
+  if (!confirm(message)) return;
+  
+  await deleteTicket(ticket, 'withdrawn');
+  const draft = await loadFormDraft(session.id);
+  if (draft && draft.id === ticket.id) await deleteFormDraft(session.id);
+  showToast(ticket.status === 'draft' ? '下書きを削除しました' : '質問を取り消しました');
+  navigateTo('student-mypage');
+}
+
+// ============================================
+// Image Compression
+// ============================================
+/*
+  アップロード前に画像を縮小・再エンコードする。
+  - 長辺を imageConfig.maxSize 以下に縮小
+  - imageConfig.format / quality で再エンコード（PNG・HEIC も JPEG などに変換）
+  - EXIF の回転情報を反映（ブラウザが自動で反映しない場合は手動で回転）
+*/
+
+/**
+ * 画像処理の設定を取得
+ */
+function getImageConfig() {
+  const config = typeof imageConfig !== 'undefined' ? imageConfig : {};
+  return {
+    maxSize: config.maxSize || DEFAULT_IMAGE_MAX_SIZE,
+    quality: config.quality || DEFAULT_IMAGE_QUALITY,
+    format: config.format || DEFAULT_IMAGE_FORMAT
+  };
+}
+
+/**
+ * JPEG の EXIF から回転情報（Orientation）を読み取る
+ * 読み取れない場合は 1（回転なし）を返す
+ */
+async function readExifOrientation(file) {
+  try {
+    const view = new DataView(await file.slice(0, 65536).arrayBuffer());
+    if (view.getUint16(0) !== 0xFFD8) return 1;
+    
+    let offset = 2;
+    while (offset + 4 < view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        const entries = view.getUint16(ifd, little);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (view.getUint16(entry, little) === 0x0112) {
+            return view.getUint16(entry + 8, little);
+          }
+        }
+        return 1;
+      }
+      if ((marker & 0xFF00) !== 0xFF00) break;
+      offset += 2 + length;
+    }
+  } catch (e) {
+    // 解析できない画像は回転なしとして扱う
+  }
+  return 1;
+}
+
+/**
+ * 画像ファイルをデコード
+ * oriented: ブラウザが EXIF の回転を反映済みかどうか
+ */
+async function decodeImageFile(file) {
+  if (window.createImageBitmap) {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      return { image: bitmap, width: bitmap.width, height: bitmap.height, oriented: true };
+    } catch (e) {
+      // 未対応の形式やオプションは <img> でのデコードを試す
+    }
+  }
+  
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`Cannot decode image: ${file.type || file.name}`));
+      image.src = url;
+    });
+    const oriented = !!(window.CSS && CSS.supports && CSS.supports('image-orientation', 'from-image'));
+    return { image: img, width: img.naturalWidth, height: img.naturalHeight, oriented };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * File を data URL として読み込む
+ */
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * 画像を縮小・回転補正・再エンコードして data URL を返す
+ */
+async function compressImage(file) {
+  const { maxSize, quality, format } = getImageConfig();
+  const orientation = await readExifOrientation(file);
+  const decoded = await decodeImageFile(file);
+  
+  // ブラウザが回転を反映していない場合のみ手動で回転する
+  const rotate = decoded.oriented ? 1 : orientation;
+  const swap = rotate >= 5 && rotate <= 8;
+  const sourceWidth = swap ? decoded.height : decoded.width;
+  const sourceHeight = swap ? decoded.width : decoded.height;
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight));
+  const width = Math.round(sourceWidth * scale);
+  const height = Math.round(sourceHeight * scale);
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  
+  // 透過PNGを JPEG にしたときに黒くならないよう白で塗る
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  
+  switch (rotate) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, width, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, width, height); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, height); break;
+  }
+  ctx.drawImage(decoded.image, 0, 0, swap ? height : width, swap ? width : height);
+  if (decoded.image.close) decoded.image.close();
+  
+  const dataUrl = canvas.toDataURL(format, quality);
+  
+  // 元のJPEGの方が小さく、縮小も回転も不要ならそのまま使う
+  const untouched = scale === 1 && orientation <= 1 && file.type === format;
+  if (untouched && file.size <= getDataUrlSize(dataUrl)) {
+    return readFileAsDataUrl(file);
+  }
+  return dataUrl;
+}
+
+/**
+ * data URL のおおよそのバイト数を取得
+ */
+function getDataUrlSize(dataUrl) {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) return null;
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = base64.endsWith('==') ? 2 : (base64.endsWith('=') ? 1 : 0);
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+/**
+ * バイト数を表示用にフォーマット
+ */
+function formatFileSize(bytes) {
+  if (bytes === null || bytes === undefined) return '';
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+}
+
+// ============================================
+// Student Page (Question Registration)
+// ============================================
+
+let questionImages = [];
+let answerImages = [];
+let myAnswerImages = [];
+let currentEditingTicketId = null; // 送信済みの質問を編集中の場合のID
+let currentFormTicketId = null; // 入力中の質問のID（新しい質問は画面を開いたときに採番）
+let pendingEditTicketId = null; // editTicket で開こうとしている質問のID
+
+/**
+ * 生徒画面初期化
+ * 編集で開いたのでなければ、端末に保存した下書きを復元する
+ */
+function initStudentPage(restoreDraft = true) {
+  const session = getStudentSession();
+  if (!session) return;
+  
+  document.getElementById('student-form').reset();
+  questionImages = [];
+  answerImages = [];
+  myAnswerImages = [];
+  currentEditingTicketId = null;
+  currentFormTicketId = generateUUID();
+  
+  // タイトルをリセット
+  document.getElementById('student-form-title').textContent = '質問登録';
+  document.getElementById('form-draft-notice').classList.add('hidden');
+  document.getElementById('form-draft-status').textContent = '';
+  
+  document.getElementById('preview-questionImages').innerHTML = '';
+  document.getElementById('preview-answerImages').innerHTML = '';
+  document.getElementById('preview-myAnswerImages').innerHTML = '';
+  updateImageCount('question');
+  updateImageCount('answer');
+  updateImageCount('myAnswer');
+  
+  // ログイン情報を設定
+  document.getElementById('input-studentId').value = session.id;
+  document.getElementById('input-className').value = session.className;
+  document.getElementById('input-initials').value = session.initials;
+  document.getElementById('logged-in-info').innerHTML = 
+    `<div class="logged-in-info-text">${escapeHtml(session.className)} / ${escapeHtml(session.initials)} でログイン中</div>`;
+  
+  document.querySelectorAll('.toggle-btn').forEach(btn => btn.classList.remove('active'));
+  document.querySelector('[data-purpose="question"]').classList.add('active');
+  document.getElementById('input-purpose').value = 'question';
+  updateFormByPurpose('question');
+  
+  document.querySelectorAll('.form-error, .form-warning').forEach(el => el.classList.add('hidden'));
+  renderTimeSlotOptions();
+  
+  setupStudentEventListeners();
+  if (restoreDraft && !pendingEditTicketId) restoreFormDraft();
+}
+
+/**
+ * 既存のチケットを編集モードで開く
+ */
+function editTicket(ticketId) {
+  const ticket = getTicketById(ticketId);
+  if (!ticket) {
+    showToast('質問が見つかりません', 'error');
+    return;
+  }
+  if (!EDITABLE_TICKET_STATUSES.includes(ticket.status)) {
+    showToast('先生が対応中のため編集できません', 'error');
+    return;
+  }
+  
+  // フォームページに移動（initStudentPageが呼ばれる）
+  pendingEditTicketId = ticketId;
+  navigateTo('student');
+  
+  // フォームにデータを設定（少し遅延させてDOMの準備を待つ）
+  setTimeout(() => {
+    pendingEditTicketId = null;
+    
+    // 編集モードフラグを設定（initStudentPage後に設定）。下書きは新しい質問として書き続ける
+    currentFormTicketId = ticketId;
+    currentEditingTicketId = ticket.status === 'draft' ? null : ticketId;
+    
+    // タイトルを編集モードに
+    document.getElementById('student-form-title').textContent = ticket.status === 'draft' ? '質問登録' : '質問を編集';
+    
+    fillStudentForm(ticket);
+  }, 100);
+}
+
+/**
+ * チケットまたは下書きの内容をフォームに設定
+ */
+function fillStudentForm(data) {
+  // 教科・予約枠
+  renderOptionSelect(document.getElementById('input-subject'), 'subjectOptions', '選択してください', false, data.subject || '');
+  renderTimeSlotOptions(data.slotId || null);
+  
+  // 目的
+  const purpose = data.purpose || 'question';
+  document.querySelectorAll('.toggle-btn').forEach(btn => btn.classList.remove('active'));
+  document.querySelector(`[data-purpose="${purpose}"]`).classList.add('active');
+  document.getElementById('input-purpose').value = purpose;
+  updateFormByPurpose(purpose);
+  
+  // チェックボックス
+  renderMaterialCheckboxes(data.checkedMaterials || []);
+  
+  // 質問内容
+  document.getElementById('input-questionReason').value = data.questionReason || '';
+  
+  // 画像を復元
+  questionImages = [...(data.questionImages || [])];
+  answerImages = [...(data.answerImages || [])];
+  myAnswerImages = [...(data.myAnswerImages || [])];
+  
+  renderImagePreviews('question');
+  renderImagePreviews('answer');
+  renderImagePreviews('myAnswer');
+  updateImageCount('question');
+  updateImageCount('answer');
+  updateImageCount('myAnswer');
+}
+
+/**
+ * 予約枠の選択肢を描画（選んだ教科の予約できる枠。枠がなければ欄ごと隠す）
+ */
+function renderTimeSlotOptions(selectedId = null) {
+  const session = getStudentSession();
+  const select = document.getElementById('input-slot');
+  const subject = document.getElementById('input-subject').value;
+  const slots = session && subject ? getAvailableTimeSlots(subject, session.id, currentFormTicketId) : [];
+  
+  select.innerHTML = '<option value="">予約しない（順番に対応）</option>' + slots.map(slot => {
+    const reserved = !!(slot.reservations || {})[currentFormTicketId];
+    const note = reserved ? '予約中' : `残り${slot.capacity - getTimeSlotReservationCount(slot)}`;
+    return `<option value="${slot.id}">${escapeHtml(formatTimeSlot(slot))}（${note}）</option>`;
+  }).join('');
+  select.value = slots.some(slot => slot.id === selectedId) ? selectedId : '';
+  document.getElementById('card-timeSlot').classList.toggle('hidden', slots.length === 0);
+}
+
+/**
+ * 目的に応じてフォーム表示を切り替え
+ */
+function updateFormByPurpose(purpose) {
+  const checkCard = document.getElementById('card-checkedMaterials');
+  const reasonCard = document.getElementById('card-questionReason');
+  const checkLabel = document.getElementById('label-checkedMaterials');
+  const reasonLabel = document.getElementById('label-questionReason');
+  const myAnswerSection = document.getElementById('myAnswerImages-section');
+  
+  if (purpose === 'grading') {
+    // 採点の場合は任意
+    checkLabel.classList.remove('required');
+    reasonLabel.classList.remove('required');
+    checkCard.style.display = 'none';
+    reasonCard.style.display = 'none';
+    if (myAnswerSection) myAnswerSection.classList.remove('hidden');
+  } else {
+    // 質問の場合は必須
+    checkLabel.classList.add('required');
+    reasonLabel.classList.add('required');
+    checkCard.style.display = 'block';
+    reasonCard.style.display = 'block';
+    if (myAnswerSection) myAnswerSection.classList.add('hidden');
+  }
+}
+
+/**
+ * 生徒画面イベントリスナー設定
+ */
+function setupStudentEventListeners() {
+  const form = document.getElementById('student-form');
+  form.oninput = scheduleFormDraftSave;
+  form.onchange = scheduleFormDraftSave;
+  
+  document.getElementById('input-subject').onchange = function() {
+    renderTimeSlotOptions(document.getElementById('input-slot').value || null);
+  };
+  
+  document.querySelectorAll('.toggle-btn').forEach(btn => {
+    btn.onclick = function() {
+      document.querySelectorAll('.toggle-btn').forEach(b => b.classList.remove('active'));
+      this.classList.add('active');
+      document.getElementById('input-purpose').value = this.dataset.purpose;
+      updateFormByPurpose(this.dataset.purpose);
+      scheduleFormDraftSave();
+    };
+  });
+  
+  document.getElementById('input-questionImages').onchange = function(e) {
+    handleImageUpload(e.target.files, 'question');
+    this.value = '';
+  };
+  
+  document.getElementById('input-answerImages').onchange = function(e) {
+    handleImageUpload(e.target.files, 'answer');
+    this.value = '';
+  };
+  
+  document.getElementById('input-myAnswerImages').onchange = function(e) {
+    handleImageUpload(e.target.files, 'myAnswer');
+    this.value = '';
+  };
+  
+  document.getElementById('input-questionReason').oninput = function() {
+    const warning = document.getElementById('warning-questionReason');
     if (this.value.length > 0 && this.value.length < 20) {
       warning.classList.remove('hidden');
     } else {
-      warning.classList.add('hidden');
+      warning.classList.add('hidden');
+    }
+  };
+}
+
+/**
+ * 画像アップロード処理（複数対応・縮小して追加）
+ */
+async function handleImageUpload(files, type) {
+  const imageArray = type === 'question' ? questionImages : (type === 'answer' ? answerImages : myAnswerImages);
+  
+  for (const file of Array.from(files)) {
+    try {
+      imageArray.push(await compressImage(file));
+    } catch (error) {
+      console.error('Failed to process image:', file.name, error);
+      showToast(`${file.name} を読み込めませんでした`, 'error');
+      continue;
+    }
+    renderImagePreviews(type);
+    updateImageCount(type);
+  }
+  scheduleFormDraftSave();
+}
+
+/**
+ * 画像枚数表示を更新
+ */
+function updateImageCount(type) {
+  const images = type === 'question' ? questionImages : (type === 'answer' ? answerImages : myAnswerImages);
+  const countEl = document.getElementById(`count-${type}Images`);
+  
+  if (!countEl) return;
+  
+  if (images.length > 0) {
+    const totalSize = images.reduce((sum, src) => sum + (getDataUrlSize(src) || 0), 0);
+    const sizeText = totalSize > 0 ? `（追加分 ${formatFileSize(totalSize)}）` : '';
+    countEl.innerHTML = `<span class="image-count-badge">${images.length}枚選択中${sizeText}</span>`;
+    countEl.classList.remove('hidden');
+  } else {
+    countEl.classList.add('hidden');
+  }
+}
+
+/**
+ * 画像プレビュー描画
+ */
+function renderImagePreviews(type) {
+  const container = document.getElementById(`preview-${type}Images`);
+  if (!container) return;
+  
+  const images = type === 'question' ? questionImages : (type === 'answer' ? answerImages : myAnswerImages);
+  
+  container.innerHTML = images.map((src, index) => `
+    <div class="image-preview-item">
+      <img ${imageSrcAttrs(src)} alt="画像${index + 1}">
+      ${getDataUrlSize(src) !== null ? `<div class="image-preview-size">${formatFileSize(getDataUrlSize(src))}</div>` : ''}
+      <div class="image-preview-actions">
+        <button type="button" class="image-action-btn" onclick="openImageModalByIndex('${type}', ${index})" title="拡大">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="11" cy="11" r="8"/><path d="m21 21-4.35-4.35"/>
+          </svg>
+        </button>
+        <button type="button" class="image-action-btn" onclick="removeImage('${type}', ${index})" title="削除">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `).join('');
+  
+  loadLazyImages(container);
+}
+
+/**
+ * インデックスで画像拡大モーダルを開く
+ */
+async function openImageModalByIndex(type, index) {
+  const images = type === 'question' ? questionImages : (type === 'answer' ? answerImages : myAnswerImages);
+  const modal = document.getElementById('image-modal');
+  const img = document.getElementById('image-modal-img');
+  try {
+    img.src = await getImageUrl(images[index]);
+  } catch (error) {
+    showToast('画像を読み込めませんでした', 'error');
+    return;
+  }
+  modal.classList.remove('hidden');
+}
+
+/**
+ * 画像拡大モーダルを閉じる
+ */
+function closeImageModal() {
+  document.getElementById('image-modal').classList.add('hidden');
+}
+
+/**
+ * 詳細画面用の画像拡大
+ */
+function openDetailImageModal(src) {
+  const modal = document.getElementById('image-modal');
+  const img = document.getElementById('image-modal-img');
+  img.src = src;
+  modal.classList.remove('hidden');
+}
+
+/**
+ * 画像を削除
+ */
+function removeImage(type, index) {
+  if (type === 'question') {
+    questionImages.splice(index, 1);
+  } else if (type === 'answer') {
+    answerImages.splice(index, 1);
+  } else {
+    myAnswerImages.splice(index, 1);
+  }
+  renderImagePreviews(type);
+  updateImageCount(type);
+  scheduleFormDraftSave();
+}
+
+/**
+ * フォームバリデーション
+ */
+function validateForm() {
+  const subject = document.getElementById('input-subject').value;
+  if (!subject) {
+    showToast('教科を選択してください', 'error');
+    return false;
+  }
+  
+  const purpose = document.getElementById('input-purpose').value;
+  
+  // 質問の場合のみチェックボックス必須
+  if (purpose === 'question') {
+    const checkedMaterials = Array.from(document.querySelectorAll('input[name="checkedMaterials"]:checked')).map(cb => cb.value);
+    if (checkedMaterials.length === 0) {
+      document.getElementById('error-checkedMaterials').classList.remove('hidden');
+      showToast('事前に考えたことを1つ以上選択してください', 'error');
+      return false;
+    } else {
+      document.getElementById('error-checkedMaterials').classList.add('hidden');
+    }
+    
+    const questionReason = document.getElementById('input-questionReason').value.trim();
+    if (!questionReason) {
+      showToast('質問内容を入力してください', 'error');
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * 3件制限チェック（端末のキャッシュでの事前確認。確定は送信時の枠の確保で行う）
+ */
+function checkTicketLimit(studentId) {
+  const count = getActiveTicketCount(studentId, currentFormTicketId);
+  if (count >= MAX_TICKETS_PER_STUDENT) {
+    showTicketLimitError();
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 3件制限に達したことを通知
+ */
+function showTicketLimitError() {
+  showToast(`現在、同時に質問できるのは${MAX_TICKETS_PER_STUDENT}件までです。完了後に新しく登録できます。`, 'error');
+}
+
+/**
+ * フォームデータを収集
+ */
+function collectFormData() {
+  const session = getStudentSession();
+  return {
+    id: currentFormTicketId,
+    studentId: session.id,
+    className: session.className,
+    initials: session.initials,
+    subject: document.getElementById('input-subject').value,
+    slotId: document.getElementById('input-slot').value || null,
+    purpose: document.getElementById('input-purpose').value,
+    checkedMaterials: Array.from(document.querySelectorAll('input[name="checkedMaterials"]:checked')).map(cb => cb.value),
+    questionReason: document.getElementById('input-questionReason').value.trim(),
+    questionImages: [...questionImages],
+    answerImages: [...answerImages],
+    myAnswerImages: [...myAnswerImages],
+    // 編集時は先生用メモを上書きしない
+    ...(currentEditingTicketId ? {} : { teacherMemo: '', doneAt: null })
+  };
+}
+
+
+/**
+ * 確認モーダルを表示
+ */
+function showConfirmModal() {
+  if (!validateForm()) return;
+  
+  const session = getStudentSession();
+  if (!checkTicketLimit(session.id)) return;
+  
+  const data = collectFormData();
+  const purposeText = data.purpose === 'question' ? '質問する' : '採点をお願いする';
+  const slot = data.slotId ? getTimeSlotById(data.slotId) : null;
+  
+  const body = document.getElementById('confirm-modal-body');
+  body.innerHTML = `
+    <div class="confirm-section">
+      <div class="confirm-label">クラス / イニシャル</div>
+      <div class="confirm-value">${escapeHtml(data.className)} / ${escapeHtml(data.initials)}</div>
+    </div>
+    <div class="confirm-section">
+      <div class="confirm-label">教科 / 目的</div>
+      <div class="confirm-value">${escapeHtml(data.subject)} / ${purposeText}</div>
+    </div>
+    ${slot ? `
+    <div class="confirm-section">
+      <div class="confirm-label">予約する時間</div>
+      <div class="confirm-value">${escapeHtml(formatTimeSlot(slot))}</div>
+    </div>
+    ` : ''}
+    ${data.purpose === 'question' ? `
+    <div class="confirm-section">
+      <div class="confirm-label">事前に確認したこと</div>
+      <div class="confirm-value">${data.checkedMaterials.map(m => escapeHtml(m)).join('、')}</div>
+    </div>
+    <div class="confirm-section">
+      <div class="confirm-label">質問内容</div>
+      <div class="confirm-value">${escapeHtml(data.questionReason)}</div>
+    </div>
+    ` : ''}
+    ${data.questionImages.length > 0 ? `
+      <div class="confirm-section">
+        <div class="confirm-label">問題画像（${data.questionImages.length}枚）</div>
+        <div class="confirm-images">
+          ${data.questionImages.map(src => `<img ${imageSrcAttrs(src)} alt="問題画像">`).join('')}
+        </div>
+      </div>
+    ` : ''}
+    ${data.myAnswerImages.length > 0 ? `
+      <div class="confirm-section">
+        <div class="confirm-label">自分の答案（${data.myAnswerImages.length}枚）</div>
+        <div class="confirm-images">
+          ${data.myAnswerImages.map(src => `<img ${imageSrcAttrs(src)} alt="自分の答案">`).join('')}
+        </div>
+      </div>
+    ` : ''}
+    ${data.answerImages.length > 0 ? `
+      <div class="confirm-section">
+        <div class="confirm-label">解答画像（${data.answerImages.length}枚）</div>
+        <div class="confirm-images">
+          ${data.answerImages.map(src => `<img ${imageSrcAttrs(src)} alt="解答画像">`).join('')}
+        </div>
+      </div>
+    ` : ''}
+  `;
+  
+  loadLazyImages(body);
+  
+  document.getElementById('confirm-modal').classList.remove('hidden');
+}
+
+/**
+ * 確認モーダルを閉じる
+ */
+function closeConfirmModal() {
+  document.getElementById('confirm-modal').classList.add('hidden');
+}
+
+/**
+ * チケット送信
+ */
+async function submitTicket() {
+  // 送信中に下書きの保存で状態が戻らないよう、保存待ち・保存中の下書きを止める
+  cancelFormDraftSave();
+  await remoteDraftPromise;
+  
+  const formData = collectFormData();
+  // 予約は保存済みの自分の質問にしか付けられないため、予約枠を選んだ新しい質問は先に下書きとして保存する
+  // （保存できなかった場合は予約も拒否されるため、そこで送信をやめる）
+  if (formData.slotId && !getTicketById(formData.id)) {
+    try {
+      await writeRemoteDraft(formData);
+    } catch (error) {
+      console.error('Failed to save draft before reserving:', error);
+      closeConfirmModal();
+      if (!isPermissionDeniedError(error)) {
+        showToast('接続できないため送信できませんでした。通信状態を確認してからもう一度送信してください', 'error');
+      }
+      return;
+    }
+  }
+  const previous = getTicketById(formData.id);
+  
+  // 受付中の質問の編集は状態を変えない。新しい質問・下書きは対応待ちにする
+  const isNew = !isActiveTicket(previous);
+  if (isNew) {
+    const now = Date.now();
+    formData.status = 'submitted';
+    formData.statusChangedAt = now;
+    formData.submittedAt = now;
+  }
+  
+  // 新しい質問は送信前に枠を確保する（断られた場合は入力内容をそのまま残す）
+  if (isNew) {
+    let reserved;
+    try {
+      reserved = await reserveActiveTicketSlot(formData.studentId, formData.id);
+    } catch (error) {
+      console.error('Failed to reserve ticket slot:', error);
+      closeConfirmModal();
+      showToast('接続できないため送信できませんでした。通信状態を確認してからもう一度送信してください', 'error');
+      return;
+    }
+    if (!reserved) {
+      closeConfirmModal();
+      showTicketLimitError();
+      return;
+    }
+  }
+  
+  // 予約枠を選び直した場合は新しい枠を確保する（前の枠は送信と同じ書き込みで外す）
+  const slotChanged = formData.slotId !== ((previous && previous.slotId) || null);
+  if (slotChanged && formData.slotId && !(await reserveTimeSlotWithFeedback(formData.slotId, formData))) {
+    closeConfirmModal();
+    if (isNew) {
+      writeToStorage('update', '', activeTicketSlotRelease(formData)).catch(releaseError => {
+        console.error('Failed to release ticket slot:', releaseError);
+      });
+    }
+    return;
+  }
+  
+  try {
+    // 画像を Blob ストアへアップロードし、チケットには参照だけを保存
+    for (const field of TICKET_IMAGE_FIELDS) {
+      formData[field] = await uploadImages(formData[field]);
+    }
+    await upsertTicket(formData, slotChanged ? timeSlotRelease(previous) : null);
+  } catch (error) {
+    // 書き込みが拒否された場合は確保した枠を外し、入力内容を残したまま送信をやめる
+    console.error('Failed to submit ticket:', error);
+    writeToStorage('update', '', {
+      ...(isNew ? activeTicketSlotRelease(formData) : {}),
+      ...(slotChanged ? timeSlotRelease(formData) : {})
+    }).catch(releaseError => {
+      console.error('Failed to release ticket slots:', releaseError);
+    });
+    closeConfirmModal();
+    // 権限がない場合は書き込みキューがすでに理由を表示している
+    if (!isPermissionDeniedError(error)) {
+      showToast('送信できませんでした。もう一度送信してください', 'error');
+    }
+    return;
+  }
+  
+  // 編集で外された画像を削除
+  if (previous) {
+    const kept = new Set(TICKET_IMAGE_FIELDS.flatMap(field => formData[field]));
+    deleteImages(TICKET_IMAGE_FIELDS.flatMap(field => previous[field] || []).filter(value => !kept.has(value)));
+  }
+  
+  deleteFormDraft(formData.studentId);
+  closeConfirmModal();
+  showToast('送信しました');
+  navigateTo('student-mypage');
+}
+
+/*
+  下書きの自動保存
+  入力のたびに端末（IndexedDB）へ保存し、少し間をおいて下書き（status: 'draft'）としてサーバーにも保存する。
+  端末の下書きは生徒ごとに1件で、次に質問登録画面を開いたときに復元する（ログインし直しても残る）。
+  サーバーの下書きはマイページの「下書き」に表示され、編集から再開できる。受付中ではないため件数の上限には数えない。
+  送信済みの質問を編集している間は状態を変えないよう、端末にだけ保存する。
+*/
+
+let formDraftTimer = null;
+let remoteDraftTimer = null;
+let remoteDraftPromise = null;
+
+/**
+ * 入力があったら少し待って下書きを保存する
+ */
+function scheduleFormDraftSave() {
+  clearTimeout(formDraftTimer);
+  formDraftTimer = setTimeout(saveFormDraft, FORM_DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * 保存待ちの下書きを取り消す
+ */
+function cancelFormDraftSave() {
+  clearTimeout(formDraftTimer);
+  clearTimeout(remoteDraftTimer);
+  formDraftTimer = null;
+  remoteDraftTimer = null;
+}
+
+/**
+ * 保存待ちの下書きをすぐに保存する（画面を離れるとき）
+ */
+function flushFormDraft() {
+  const local = !!formDraftTimer;
+  const remote = !!remoteDraftTimer;
+  cancelFormDraftSave();
+  if (local) {
+    saveFormDraft(true);
+  } else if (remote) {
+    saveRemoteDraft();
+  }
+}
+
+/**
+ * フォームに入力があるか（空の下書きは保存しない）
+ */
+function hasFormDraftContent(data) {
+  return !!(data.subject || data.questionReason || data.checkedMaterials.length > 0 ||
+    TICKET_IMAGE_FIELDS.some(field => data[field].length > 0));
+}
+
+/**
+ * 入力内容を端末に保存し、サーバーへの保存を予約する（immediate の場合はすぐに保存する）
+ */
+async function saveFormDraft(immediate = false) {
+  formDraftTimer = null;
+  const session = getStudentSession();
+  if (!session || !currentFormTicketId) return;
+  
+  const data = collectFormData();
+  if (!hasFormDraftContent(data)) {
+    await deleteFormDraft(session.id);
+    return;
+  }
+  
+  try {
+    await runAppDbRequest(FORM_DRAFTS_STORE, 'readwrite', store => store.put({ ...data, editing: !!currentEditingTicketId, savedAt: Date.now() }));
+    document.getElementById('form-draft-status').textContent = `下書きを保存しました（${formatDateTime(Date.now()).slice(-5)}）`;
+  } catch (error) {
+    console.warn('Failed to save form draft:', error);
+  }
+  
+  if (currentEditingTicketId) return;
+  clearTimeout(remoteDraftTimer);
+  remoteDraftTimer = null;
+  if (immediate) {
+    saveRemoteDraft();
+  } else {
+    remoteDraftTimer = setTimeout(saveRemoteDraft, REMOTE_DRAFT_SAVE_DELAY_MS);
+  }
+}
+
+/**
+ * 入力内容を下書きとしてサーバーに保存する（前の保存が終わってから実行する）
+ */
+function saveRemoteDraft() {
+  remoteDraftTimer = null;
+  const data = collectFormData();
+  remoteDraftPromise = Promise.resolve(remoteDraftPromise)
+    .then(() => writeRemoteDraft(data))
+    .catch(error => console.warn('Failed to save draft:', error));
+  return remoteDraftPromise;
+}
+
+/**
+ * 下書きをサーバーに書き込む
+ * 画像はアップロードして、入力中の画像も参照に置き換える（次の保存で再アップロードしない）
+ */
+async function writeRemoteDraft(data) {
+  if (!hasFormDraftContent(data) || !navigator.onLine) return;
+  const isDraft = () => {
+    const ticket = getTicketById(data.id);
+    return !ticket || ticket.status === 'draft';
+  };
+  if (!isDraft()) return;
+  
+  const formImages = { questionImages, answerImages, myAnswerImages };
+  for (const field of TICKET_IMAGE_FIELDS) {
+    const uploaded = await uploadImages(data[field]);
+    const refs = new Map(data[field].map((src, index) => [src, uploaded[index]]));
+    formImages[field].forEach((src, index) => {
+      if (refs.has(src)) formImages[field][index] = refs.get(src);
+    });
+    data[field] = uploaded;
+  }
+  // アップロード中に送信された場合は書き込まない
+  if (!isDraft()) return;
+  
+  // 予約枠は送信時に確保するため、下書きでは変更しない
+  const { slotId, ...fields } = data;
+  const previous = getTicketById(data.id);
+  const now = Date.now();
+  await upsertTicket({
+    ...fields,
+    status: 'draft',
+    statusChangedAt: previous ? previous.statusChangedAt : now
+  });
+  
+  // 下書きから外された画像を削除
+  if (previous) {
+    const kept = new Set(TICKET_IMAGE_FIELDS.flatMap(field => fields[field]));
+    deleteImages(TICKET_IMAGE_FIELDS.flatMap(field => previous[field] || []).filter(value => !kept.has(value)));
+  }
+}
+
+/**
+ * 端末に保存した下書きを読み込む
+ */
+async function loadFormDraft(studentId) {
+  try {
+    return (await runAppDbRequest(FORM_DRAFTS_STORE, 'readonly', store => store.get(studentId))) || null;
+  } catch (error) {
+    console.warn('Failed to load form draft:', error);
+    return null;
+  }
+}
+
+/**
+ * 端末に保存した下書きを削除する
+ */
+async function deleteFormDraft(studentId) {
+  try {
+    await runAppDbRequest(FORM_DRAFTS_STORE, 'readwrite', store => store.delete(studentId));
+  } catch (error) {
+    console.warn('Failed to delete form draft:', error);
+  }
+}
+
+/**
+ * 端末に保存した下書きをフォームに復元する
+ * 対応が始まった質問の下書きは破棄し、サーバーの方が新しい場合はサーバーの内容を使う
+ */
+async function restoreFormDraft() {
+  const session = getStudentSession();
+  const draft = await loadFormDraft(session.id);
+  if (!draft || parseHash().page !== 'student' || pendingEditTicketId) return;
+  
+  const ticket = getTicketById(draft.id);
+  if (ticket && !EDITABLE_TICKET_STATUSES.includes(ticket.status)) {
+    await deleteFormDraft(session.id);
+    return;
+  }
+  
+  currentFormTicketId = draft.id;
+  currentEditingTicketId = ticket && ticket.status !== 'draft' ? ticket.id : null;
+  document.getElementById('student-form-title').textContent = currentEditingTicketId ? '質問を編集' : '質問登録';
+  fillStudentForm(ticket && (ticket.updatedAt || 0) > draft.savedAt ? { ...ticket, slotId: draft.slotId } : draft);
+  document.getElementById('form-draft-notice').classList.remove('hidden');
+}
+
+/**
+ * 復元した下書きを閉じて新しく書き始める（サーバーの下書きはマイページに残る）
+ */
+async function discardFormDraft() {
+  const session = getStudentSession();
+  const hasRemoteDraft = !!getTicketById(currentFormTicketId);
+  cancelFormDraftSave();
+  await deleteFormDraft(session.id);
+  initStudentPage(false);
+  if (hasRemoteDraft) showToast('下書きはマイページの「下書き」から再開できます');
+}
+
+// ============================================
+// Teacher Login
+// ============================================
+
+/**
+ * 先生ログイン
+ */
+async function teacherLogin() {
+  const loginId = document.getElementById('teacher-login-id').value.trim();
+  const password = document.getElementById('teacher-password').value;
+  
+  if (!loginId || !password) {
+    showToast('ログインIDとパスワードを入力してください', 'error');
+    return;
+  }
+  
+  try {
+    // 先生アカウントが未作成なら、旧共通パスワードで最初の管理者アカウントを作成する
+    if (!(await isTeacherAccountsInitialized())) {
+      if (password === getTeacherPassword()) {
+        showBootstrapAdminModal(loginId);
+      } else {
+        showToast('パスワードが違います', 'error');
+      }
+      return;
+    }
+    
+    const teacher = await teacherAuthProvider.signIn(loginId, password);
+    if (!teacher) {
+      showToast('ログインIDまたはパスワードが違います', 'error');
+      return;
+    }
+    
+    if (teacher.disabled) {
+      await teacherAuthProvider.signOut();
+      showToast('このアカウントは無効化されています', 'error');
+      return;
+    }
+    
+    await completeTeacherLogin(teacher);
+  } catch (error) {
+    console.error('Teacher login failed:', error);
+    showToast('ログインできませんでした。通信状態を確認してからもう一度お試しください', 'error');
+  }
+}
+
+/**
+ * ログイン成功後の処理
+ */
+async function completeTeacherLogin(teacher) {
+  const expiresAt = Date.now() + TEACHER_SESSION_TTL_MS;
+  const token = await teacherAuthProvider.createSession(teacher, expiresAt);
+  document.getElementById('teacher-password').value = '';
+  setTeacherSession(teacher, token, expiresAt);
+  showToast('ログインしました');
+  navigateTo('teacher');
+  runTeacherMigrations();
+  
+  // 初期パスワード・リセット後のパスワードは変更してもらう
+  if (teacher.mustChangePassword) {
+    showPasswordChangeModal();
+    showToast('パスワードを変更してください', 'warning');
+  }
+}
+
+/**
+ * 先生ログアウト
+ */
+async function teacherLogout() {
+  setTeacherSession(null);
+  await teacherAuthProvider.signOut();
+  navigateTo('');
+}
+
+// ============================================
+// Teacher - Account Management
+// ============================================
+
+let teacherAccountModalMode = 'add'; // 'add' | 'bootstrap'
+
+/**
+ * 先生アカウント一覧を描画
+ */
+function renderTeacherAccountList() {
+  const session = getTeacherSession();
+  const roleOrder = Object.keys(TEACHER_ROLES);
+  const teachers = [...teachersCache].sort((a, b) => {
+    if (a.role !== b.role) return roleOrder.indexOf(a.role) - roleOrder.indexOf(b.role);
+    return a.displayName.localeCompare(b.displayName);
+  });
+  
+  const container = document.getElementById('teacher-account-list');
+  
+  if (teachers.length === 0) {
+    container.innerHTML = `
+      <div class="empty-list">
+        <div class="empty-list-icon">-</div>
+        <p>先生アカウントが登録されていません</p>
+      </div>
+    `;
+    return;
+  }
+  
+  container.innerHTML = teachers.map(teacher => `
+    <div class="student-card${teacher.disabled ? ' teacher-account-disabled' : ''}">
+      <div class="student-card-info">
+        <div class="student-card-main">
+          <span class="student-card-class">${escapeHtml((TEACHER_ROLES[teacher.role] || {}).label || teacher.role)}</span>
+          <span class="student-card-initials">${escapeHtml(teacher.displayName)}</span>
+          ${teacher.disabled ? '<span class="ticket-badge badge-done">無効</span>' : ''}
+        </div>
+        <div class="teacher-account-login-id">${escapeHtml(teacher.loginId)}${session && session.teacherId === teacher.id ? '（ログイン中）' : ''}</div>
+      </div>
+      <div class="student-card-actions">
+        <button class="student-action-btn" onclick="resetTeacherAccountPassword('${teacher.id}')" title="パスワードをリセット">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M21 2l-2 2m-7.61 7.61a5.5 5.5 0 11-7.778 7.778 5.5 5.5 0 017.777-7.777zm0 0L15.5 7.5m0 0l3 3L22 7l-3-3m-3.5 3.5L19 4"/>
+          </svg>
+        </button>
+        <button class="student-action-btn${teacher.disabled ? '' : ' delete'}" onclick="toggleTeacherAccountDisabled('${teacher.id}')" title="${teacher.disabled ? '有効にする' : '無効にする'}">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            ${teacher.disabled
+              ? '<path d="M20 6L9 17l-5-5"/>'
+              : '<circle cx="12" cy="12" r="10"/><path d="M4.93 4.93l14.14 14.14"/>'}
+          </svg>
+        </button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * 先生アカウントのモーダルを開く
+ */
+function openTeacherAccountModal(mode, loginId = '') {
+  teacherAccountModalMode = mode;
+  const bootstrap = mode === 'bootstrap';
+  document.getElementById('teacher-account-modal-title').textContent = bootstrap ? '最初の管理者アカウントを作成' : '先生アカウントを追加';
+  document.getElementById('teacher-account-bootstrap-hint').classList.toggle('hidden', !bootstrap);
+  document.getElementById('teacher-account-role-group').classList.toggle('hidden', bootstrap);
+  document.getElementById('teacher-account-password-label').textContent = bootstrap ? '新しいパスワード' : '初期パスワード';
+  document.getElementById('teacher-account-login-id').value = loginId;
+  document.getElementById('teacher-account-name').value = '';
+  document.getElementById('teacher-account-role').value = 'teacher';
+  document.getElementById('teacher-account-password').value = '';
+  document.getElementById('teacher-account-modal').classList.remove('hidden');
+}
+
+/**
+ * 先生アカウント追加モーダルを表示
+ */
+function showAddTeacherAccountModal() {
+  openTeacherAccountModal('add');
+}
+
+/**
+ * 最初の管理者アカウント作成モーダルを表示
+ */
+function showBootstrapAdminModal(loginId) {
+  openTeacherAccountModal('bootstrap', loginId);
+}
+
+/**
+ * 先生アカウントのモーダルを閉じる
+ */
+function closeTeacherAccountModal() {
+  document.getElementById('teacher-account-modal').classList.add('hidden');
+}
+
+/**
+ * 先生アカウントを保存
+ */
+async function saveTeacherAccount() {
+  const bootstrap = teacherAccountModalMode === 'bootstrap';
+  if (!bootstrap && !requirePermission('accounts.manage')) return;
+  const loginId = document.getElementById('teacher-account-login-id').value.trim();
+  const displayName = document.getElementById('teacher-account-name').value.trim();
+  const role = document.getElementById('teacher-account-role').value;
+  const password = document.getElementById('teacher-account-password').value;
+  
+  if (!loginId) {
+    showToast('ログインIDを入力してください', 'error');
+    return;
+  }
+  
+  if (teacherAuthProvider.name === 'firebase' && !/^[^@\s]+@[^@\s]+$/.test(loginId)) {
+    showToast('ログインIDにはメールアドレスを入力してください', 'error');
+    return;
+  }
+  
+  if (!displayName) {
+    showToast('表示名を入力してください', 'error');
+    return;
+  }
+  
+  if (!bootstrap && !TEACHER_ROLES[role]) {
+    showToast('権限を選択してください', 'error');
+    return;
+  }
+  
+  if (password.length < MIN_TEACHER_PASSWORD_LENGTH) {
+    showToast(`パスワードは${MIN_TEACHER_PASSWORD_LENGTH}文字以上にしてください`, 'error');
+    return;
+  }
+  
+  if (teachersCache.some(t => t.loginId === loginId)) {
+    showToast('このログインIDは既に使われています', 'error');
+    return;
+  }
+  
+  let teacher;
+  try {
+    if (bootstrap && !(await canBootstrapAdmin(loginId))) {
+      showToast('このメールアドレスでは最初の管理者を作成できません（settings/bootstrapAdminEmail に登録したアドレスを入力してください）', 'error');
+      return;
+    }
+    teacher = bootstrap
+      ? await bootstrapAdminAccount({ loginId, displayName }, password)
+      : await createTeacherAccount({ loginId, displayName, role }, password, { mustChangePassword: true });
+  } catch (error) {
+    console.error('Teacher account creation failed:', error);
+    showToast('アカウントを作成できませんでした', 'error');
+    return;
+  }
+  
+  closeTeacherAccountModal();
+  if (bootstrap) {
+    showToast('管理者アカウントを作成しました');
+    await completeTeacherLogin(teacher);
+  } else {
+    showToast('登録しました');
+    renderTeacherAccountList();
+  }
+}
+
+/**
+ * 先生アカウントの有効・無効を切り替え
+ */
+async function toggleTeacherAccountDisabled(teacherId) {
+  if (!requirePermission('accounts.manage')) return;
+  const teacher = getTeacherById(teacherId);
+  if (!teacher) return;
+  
+  if (!teacher.disabled) {
+    const session = getTeacherSession();
+    if (session && session.teacherId === teacherId) {
+      showToast('自分のアカウントは無効にできません', 'error');
+      return;
+    }
+    
+    if (teacher.role === 'admin' && teachersCache.filter(t => t.role === 'admin' && !t.disabled).length <= 1) {
+      showToast('有効な管理者が1人もいなくなるため無効にできません', 'error');
+      return;
+    }
+    
+    if (!confirm(`${teacher.displayName} のアカウントを無効にしますか？`)) return;
+  }
+  
+  await writeToStorage('update', 'teachers/' + teacherId, { disabled: !teacher.disabled, updatedAt: Date.now() });
+  showToast(teacher.disabled ? '有効にしました' : '無効にしました');
+  renderTeacherAccountList();
+}
+
+/**
+ * 先生アカウントのパスワードをリセット
+ */
+async function resetTeacherAccountPassword(teacherId) {
+  if (!requirePermission('accounts.manage')) return;
+  const teacher = getTeacherById(teacherId);
+  if (!teacher) return;
+  
+  if (!confirm(`${teacher.displayName} のパスワードをリセットしますか？`)) return;
+  
+  try {
+    const result = await teacherAuthProvider.resetPassword(teacher);
+    if (result.temporaryPassword) {
+      showTemporaryPasswordModal(
+        'パスワードをリセットしました',
+        `${teacher.displayName}（${teacher.loginId}）`,
+        result.temporaryPassword,
+        'この仮パスワードは一度しか表示されません。次回ログイン時にパスワードの変更を求められます。'
+      );
+    } else {
+      showToast('パスワード再設定メールを送信しました');
+    }
+  } catch (error) {
+    console.error('Password reset failed:', error);
+    showToast('パスワードをリセットできませんでした', 'error');
+  }
+}
+
+/**
+ * 仮パスワード・PIN の表示モーダルを表示
+ */
+function showTemporaryPasswordModal(title, target, value, hint) {
+  document.getElementById('temporary-password-title').textContent = title;
+  document.getElementById('temporary-password-target').textContent = target;
+  document.getElementById('temporary-password-value').textContent = value;
+  document.getElementById('temporary-password-hint').textContent = hint;
+  document.getElementById('temporary-password-modal').classList.remove('hidden');
+}
+
+/**
+ * 仮パスワード表示モーダルを閉じる
+ */
+function closeTemporaryPasswordModal() {
+  document.getElementById('temporary-password-value').textContent = '';
+  document.getElementById('temporary-password-modal').classList.add('hidden');
+}
+
+// ============================================
+// Teacher - Time Slots
+// ============================================
+
+let timeSlotDate = null; // タイムラインに表示中の日付（YYYY-MM-DD）
+
+/**
+ * 予約枠の日ごとのタイムラインを描画（枠ごとに予約した質問を並べる）
+ */
+function renderTimeSlotTimeline() {
+  if (!timeSlotDate) timeSlotDate = formatDateKey(new Date());
+  document.getElementById('time-slot-date').value = timeSlotDate;
+  
+  const slots = loadTimeSlots().filter(slot => slot.date === timeSlotDate).sort(compareTimeSlots);
+  const container = document.getElementById('time-slot-timeline');
+  
+  if (slots.length === 0) {
+    container.innerHTML = `
+      <div class="empty-list">
+        <div class="empty-list-icon">-</div>
+        <p>この日の予約枠はありません</p>
+      </div>
+    `;
+    return;
+  }
+  
+  const canManage = hasPermission('slots.manage');
+  container.innerHTML = slots.map(slot => {
+    const count = getTimeSlotReservationCount(slot);
+    const tickets = loadTickets().filter(t => t.slotId === slot.id).sort((a, b) => compareQueueTickets(a, b));
+    return `
+      <div class="time-slot-card">
+        <div class="time-slot-time">
+          <span class="time-slot-start">${escapeHtml(slot.startTime)}</span>
+          <span class="time-slot-end">〜${escapeHtml(slot.endTime)}</span>
+        </div>
+        <div class="time-slot-body">
+          <div class="time-slot-header">
+            ${renderSubjectBadge(slot.subject)}
+            <span class="time-slot-capacity${count >= slot.capacity ? ' full' : ''}">予約 ${count} / ${slot.capacity}</span>
+            ${canManage ? `
+            <button class="student-action-btn delete" onclick="deleteTimeSlot('${slot.id}')" title="削除">
+              <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+              </svg>
+            </button>
+            ` : ''}
+          </div>
+          ${tickets.length > 0 ? `
+          <div class="time-slot-tickets">
+            ${tickets.map(ticket => `
+              <button class="time-slot-ticket" onclick="navigateTo('teacher-detail', { id: '${ticket.id}' })">
+                <span class="student-class">${escapeHtml(ticket.className)}</span>
+                <span class="student-name">${escapeHtml(ticket.initials)}</span>
+                <span class="ticket-badge badge-${ticket.status}">${getTicketStatusLabel(ticket.status)}</span>
+              </button>
+            `).join('')}
+          </div>
+          ` : '<div class="time-slot-empty">予約はまだありません</div>'}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * タイムラインの日付を変更
+ */
+function setTimeSlotDate(value) {
+  if (!value) return;
+  timeSlotDate = value;
+  renderTimeSlotTimeline();
+}
+
+/**
+ * タイムラインの日付を前後に移動
+ */
+function shiftTimeSlotDate(days) {
+  const d = new Date(`${timeSlotDate}T00:00`);
+  d.setDate(d.getDate() + days);
+  setTimeSlotDate(formatDateKey(d));
+}
+
+/**
+ * 予約枠追加モーダルを表示
+ */
+function showAddTimeSlotModal() {
+  if (!requirePermission('slots.manage')) return;
+  document.getElementById('time-slot-subject').value = '';
+  document.getElementById('time-slot-modal-date').value = timeSlotDate || formatDateKey(new Date());
+  document.getElementById('time-slot-start').value = '';
+  document.getElementById('time-slot-end').value = '';
+  document.getElementById('time-slot-capacity').value = '1';
+  document.getElementById('time-slot-modal').classList.remove('hidden');
+}
+
+/**
+ * 予約枠追加モーダルを閉じる
+ */
+function closeTimeSlotModal() {
+  document.getElementById('time-slot-modal').classList.add('hidden');
+}
+
+/**
+ * 予約枠を保存
+ */
+async function saveTimeSlot() {
+  if (!requirePermission('slots.manage')) return;
+  
+  const subject = document.getElementById('time-slot-subject').value;
+  const date = document.getElementById('time-slot-modal-date').value;
+  const startTime = document.getElementById('time-slot-start').value;
+  const endTime = document.getElementById('time-slot-end').value;
+  const capacity = Number(document.getElementById('time-slot-capacity').value);
+  
+  if (!subject || !date || !startTime || !endTime) {
+    showToast('全ての項目を入力してください', 'error');
+    return;
+  }
+  if (endTime <= startTime) {
+    showToast('終了時刻は開始時刻より後にしてください', 'error');
+    return;
+  }
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_TIME_SLOT_CAPACITY) {
+    showToast(`定員は1〜${MAX_TIME_SLOT_CAPACITY}人で入力してください`, 'error');
+    return;
+  }
+  
+  const slot = {
+    id: generateUUID(),
+    subject,
+    date,
+    startTime,
+    endTime,
+    capacity,
+    createdBy: getTeacherSession().teacherId,
+    createdAt: Date.now()
+  };
+  await writeToStorage('set', `timeSlots/${slot.id}`, slot);
+  
+  closeTimeSlotModal();
+  showToast('予約枠を追加しました');
+  setTimeSlotDate(date);
+}
+
+/**
+ * 予約枠を削除（予約していた質問は予約なしに戻す）
+ */
+async function deleteTimeSlot(slotId) {
+  if (!requirePermission('slots.manage')) return;
+  const slot = getTimeSlotById(slotId);
+  if (!slot) return;
+  
+  const reserved = loadTickets().filter(t => t.slotId === slotId);
+  const message = reserved.length > 0
+    ? `この予約枠には${reserved.length}件の予約があります。削除すると予約は取り消されます（質問は順番待ちに残ります）。削除しますか？`
+    : 'この予約枠を削除しますか？';
+  if (!confirm(message)) return;
+  
+  const writes = { [`timeSlots/${slotId}`]: null };
+  reserved.forEach(ticket => {
+    writes[`tickets/${ticket.id}/slotId`] = null;
+    Object.assign(writes, ticketHistoryWrite(ticket.id, 'slot', { fields: ['slotId'] }));
+  });
+  await writeToStorage('update', '', writes);
+  showToast('予約枠を削除しました');
+}
+
+// ============================================
+// Teacher - Student Management
+// ============================================
+
+let deleteStudentId = null;
+
+/**
+ * 生徒一覧を描画
+ */
+function renderStudentList() {
+  const filtered = getFilteredStudents();
+  const container = document.getElementById('student-manage-list');
+  const canEdit = hasPermission('students.edit');
+  const canDelete = hasPermission('students.delete');
+  
+  if (filtered.length === 0) {
+    container.innerHTML = `
+      <div class="empty-list">
+        <div class="empty-list-icon">-</div>
+        <p>生徒が登録されていません</p>
+      </div>
+    `;
+    return;
+  }
+  
+  container.innerHTML = filtered.map(student => `
+    <div class="student-card">
+      <div class="student-card-info">
+        <div class="student-card-main">
+          <span class="student-card-class">${escapeHtml(student.className)}</span>
+          <span class="student-card-initials">${escapeHtml(student.initials)}</span>
+          ${student.hasPin ? '<span class="ticket-badge badge-done">PIN</span>' : ''}
+          ${isStudentLoginLocked(getStudentLoginAttempts(student.id)) ? '<span class="ticket-badge badge-submitted">ロック中</span>' : ''}
+        </div>
+      </div>
+      <div class="student-card-actions">
+        <button class="student-action-btn" onclick="navigateTo('teacher-student-profile', { id: '${student.id}' })" title="プロフィール">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
+            <path d="M14 2v6h6M16 13H8M16 17H8M10 9H8"/>
+          </svg>
+        </button>
+        ${canEdit && isStudentLoginLocked(getStudentLoginAttempts(student.id)) ? `<button class="student-action-btn" onclick="unlockStudentLogin('${student.id}')" title="ロック解除">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+            <path d="M7 11V7a5 5 0 019.9-1"/>
+          </svg>
+        </button>` : ''}
+        ${canEdit ? `<button class="student-action-btn" onclick="issueStudentPin('${student.id}')" title="PINを発行">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M21 2l-2 2m-7.61 7.61a5.5 5.5 0 11-7.778 7.778 5.5 5.5 0 017.777-7.777zm0 0L15.5 7.5m0 0l3 3L22 7l-3-3m-3.5 3.5L19 4"/>
+          </svg>
+        </button>` : ''}
+        ${canEdit ? `<button class="student-action-btn" onclick="showEditStudentModal('${student.id}')" title="編集">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
+            <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
+          </svg>
+        </button>` : ''}
+        ${canDelete ? `<button class="student-action-btn delete" onclick="showDeleteStudentModal('${student.id}')" title="削除">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+          </svg>
+        </button>` : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * 生徒管理画面のクラスフィルタで絞り込んだ生徒一覧（クラス順・イニシャル順）
+ */
+function getFilteredStudents() {
+  const students = loadStudents();
+  const classFilter = document.getElementById('filter-student-class').value;
+  
+  let filtered = students;
+  if (classFilter) {
+    filtered = students.filter(s => s.className === classFilter);
+  }
+  
+  // クラス順、イニシャル順にソート
+  const classOrder = getOptionNames('classOptions', true);
+  filtered.sort((a, b) => {
+    const classA = classOrder.indexOf(a.className);
+    const classB = classOrder.indexOf(b.className);
+    if (classA !== classB) return classA - classB;
+    return a.initials.localeCompare(b.initials);
+  });
+  
+  return filtered;
+}
+
+/**
+ * 生徒追加モーダルを表示
+ */
+function showAddStudentModal() {
+  if (!requirePermission('students.edit')) return;
+  document.getElementById('student-modal-title').textContent = '生徒を追加';
+  document.getElementById('edit-student-id').value = '';
+  document.getElementById('edit-student-class').value = '';
+  document.getElementById('edit-student-initials').value = '';
+  document.getElementById('edit-student-birthday').value = '';
+  document.getElementById('edit-student-birthday-hint').textContent = '4桁の数字（月日）';
+  document.getElementById('student-modal').classList.remove('hidden');
+}
+
+/**
+ * 生徒編集モーダルを表示
+ */
+function showEditStudentModal(studentId) {
+  if (!requirePermission('students.edit')) return;
+  const student = getStudentById(studentId);
+  if (!student) return;
+  
+  document.getElementById('student-modal-title').textContent = '生徒を編集';
+  document.getElementById('edit-student-id').value = student.id;
+  renderOptionSelect(document.getElementById('edit-student-class'), 'classOptions', '選択してください', false, student.className);
+  document.getElementById('edit-student-initials').value = student.initials;
+  // 誕生日はハッシュでしか保存していないため、変更する場合のみ入力してもらう
+  document.getElementById('edit-student-birthday').value = '';
+  document.getElementById('edit-student-birthday-hint').textContent = '4桁の数字（月日）。変更する場合のみ入力';
+  document.getElementById('student-modal').classList.remove('hidden');
+}
+
+/**
+ * 生徒モーダルを閉じる
+ */
+function closeStudentModal() {
+  document.getElementById('student-modal').classList.add('hidden');
+}
+
+/**
+ * 生徒の入力内容を検証し、問題があればメッセージを返す（誕生日は新しく登録するときだけ必須）
+ */
+function validateStudentFields(className, initials, birthday, isNew) {
+  if (!className) return 'クラスを選択してください';
+  if (!initials) return 'イニシャルを入力してください';
+  if (initials.length > 10) return 'イニシャルは10文字以内で入力してください';
+  if ((isNew || birthday) && !/^\d{4}$/.test(birthday)) return '誕生日は4桁の数字で入力してください';
+  return null;
+}
+
+/**
+ * 同じクラス・イニシャルの別の生徒を探す（生徒の保存と CSV 取り込みで共通の重複チェック）
+ */
+function findDuplicateStudent(students, className, initials, id) {
+  return students.find(s => 
+    s.className === className && 
+    s.initials.toUpperCase() === initials && 
+    s.id !== id
+  );
+}
+
+/**
+ * 生徒を保存
+ */
+async function saveStudent() {
+  if (!requirePermission('students.edit')) return;
+  const id = document.getElementById('edit-student-id').value;
+  const className = document.getElementById('edit-student-class').value;
+  const initials = document.getElementById('edit-student-initials').value.trim().toUpperCase();
+  const birthday = document.getElementById('edit-student-birthday').value.trim();
+  
+  const error = validateStudentFields(className, initials, birthday, !id);
+  if (error) {
+    showToast(error, 'error');
+    return;
+  }
+  
+  // 重複チェック（同じクラス・イニシャルの生徒がいないか）
+  if (findDuplicateStudent(loadStudents(), className, initials, id)) {
+    showToast('同じクラス・イニシャルの生徒が既に登録されています', 'error');
+    return;
+  }
+  
+  const student = {
+    id: id || generateUUID(),
+    className,
+    initials
+  };
+  
+  await upsertStudent(student);
+  if (birthday) {
+    await setStudentCredential(student.id, 'birthday', birthday);
+  }
+  closeStudentModal();
+  showToast(id ? '更新しました' : '登録しました');
+  renderStudentList();
+}
+
+/**
+ * 削除確認モーダルを表示
+ */
+function showDeleteStudentModal(studentId) {
+  if (!requirePermission('students.delete')) return;
+  deleteStudentId = studentId;
+  const student = getStudentById(studentId);
+  if (!student) return;
+  
+  document.getElementById('delete-modal-message').textContent = 
+    `${student.className} / ${student.initials} を削除しますか？（ゴミ箱から復元できます）`;
+  document.getElementById('delete-modal').classList.remove('hidden');
+}
+
+/**
+ * 削除モーダルを閉じる
+ */
+function closeDeleteModal() {
+  document.getElementById('delete-modal').classList.add('hidden');
+  deleteStudentId = null;
+}
+
+/**
+ * 生徒削除を実行
+ */
+async function confirmDeleteStudent() {
+  if (!deleteStudentId || !requirePermission('students.delete')) return;
+  
+  try {
+    await deleteStudent(deleteStudentId);
+  } catch (error) {
+    console.error('Failed to delete student:', error);
+    showToast('接続できないため削除できませんでした。通信状態を確認してからもう一度お試しください', 'error');
+    return;
+  }
+  closeDeleteModal();
+  showToast('ゴミ箱に移しました');
+  renderStudentList();
+}
+
+/**
+ * ランダムな数字の PIN を生成
+ */
+function generateStudentPin() {
+  return Array.from(crypto.getRandomValues(new Uint32Array(STUDENT_PIN_LENGTH)), n => n % 10).join('');
+}
+
+/**
+ * 生徒に新しい PIN を発行（発行後は誕生日ではログインできなくなる）
+ */
+async function issueStudentPin(studentId) {
+  if (!requirePermission('students.edit')) return;
+  const student = getStudentById(studentId);
+  if (!student) return;
+  
+  const message = student.hasPin
+    ? `${student.className} / ${student.initials} の PIN を再発行しますか？今の PIN は使えなくなります。`
+    : `${student.className} / ${student.initials} に PIN を発行しますか？発行後は誕生日ではログインできなくなります。`;
+  if (!confirm(message)) return;
+  
+  const pin = generateStudentPin();
+  await setStudentCredential(studentId, 'pin', pin);
+  await writeToStorage('update', '', {
+    ['students/' + studentId + '/hasPin']: true,
+    ['studentLoginAttempts/' + studentId]: null
+  });
+  
+  showTemporaryPasswordModal(
+    'PINを発行しました',
+    `${student.className} / ${student.initials}`,
+    pin,
+    'この PIN は一度しか表示されません。生徒に伝えてください。'
+  );
+  renderStudentList();
+}
+
+/**
+ * 生徒のログインロックを解除
+ */
+async function unlockStudentLogin(studentId) {
+  if (!requirePermission('students.edit')) return;
+  const student = getStudentById(studentId);
+  if (!student) return;
+  
+  await writeToStorage('remove', 'studentLoginAttempts/' + studentId);
+  showToast('ロックを解除しました');
+  renderStudentList();
+}
+
+/**
+ * QRコードの SVG を作成（qrcode-generator を使用）
+ */
+function createQrSvg(text) {
+  const qr = qrcode(0, 'M');
+  qr.addData(text);
+  qr.make();
+  return qr.createSvgTag(4, 2);
+}
+
+/**
+ * 表示中の生徒の QR ログインカードを発行して印刷
+ * 発行のたびにトークンを作り直すため、以前に印刷したカードは使えなくなる
+ */
+async function printStudentQrCards() {
+  if (!requirePermission('students.edit')) return;
+  
+  if (typeof qrcode === 'undefined') {
+    showToast('QRコードを作成できません。通信環境を確認してください', 'error');
+    return;
+  }
+  
+  const students = getFilteredStudents();
+  if (students.length === 0) {
+    showToast('生徒が登録されていません', 'error');
+    return;
+  }
+  
+  if (!confirm(`${students.length}人分の QR ログインカードを発行します。以前に印刷したカードは使えなくなります。よろしいですか？`)) return;
+  
+  const baseUrl = window.location.href.split('#')[0];
+  const cards = [];
+  for (const student of students) {
+    const secret = generateTemporaryPassword() + generateTemporaryPassword();
+    await setStudentCredential(student.id, 'qr', secret);
+    cards.push({ student, url: `${baseUrl}#student-qr?token=${student.id}.${secret}` });
+  }
+  
+  const sheet = document.getElementById('qr-card-sheet');
+  sheet.innerHTML = cards.map(({ student, url }) => `
+    <div class="qr-card">
+      <div class="qr-card-code">${createQrSvg(url)}</div>
+      <div class="qr-card-name">${escapeHtml(student.className)} / ${escapeHtml(student.initials)}</div>
+      <div class="qr-card-hint">タブレットのカメラで読み取るとログインできます</div>
+    </div>
+  `).join('');
+  
+  document.body.classList.add('printing-qr-cards');
+  window.addEventListener('afterprint', () => {
+    document.body.classList.remove('printing-qr-cards');
+    sheet.innerHTML = '';
+  }, { once: true });
+  window.print();
+}
+
+// ============================================
+// Teacher - Student CSV
+// ============================================
+/*
+  名簿の CSV 取り込み・書き出し
+  列は「ID・クラス・イニシャル・誕生日」（1行目は見出し。Excel の UTF-8（BOM 付き）CSV も読める）。
+  取り込みは先に全行を検証して、追加・更新・変更なし・競合を表示し、確認してから競合のない行だけ書き込む。
+  - ID がある行: その生徒を更新（ID の生徒がいなければ競合）
+  - ID がない行: 同じクラス・イニシャルの生徒がいれば誕生日を更新、いなければ追加（誕生日が必要）
+  検証は生徒の保存と同じ validateStudentFields / findDuplicateStudent を使い、ファイル内の重複も競合にする。
+  誕生日はハッシュでしか保存していないため、書き出しでは空欄にする。
+*/
+
+let studentImportRows = [];
+
+/**
+ * 絞り込み中の生徒一覧を CSV に書き出す
+ */
+function exportStudentCsv() {
+  const students = getFilteredStudents();
+  if (students.length === 0) {
+    showToast('生徒が登録されていません', 'error');
+    return;
+  }
+  
+  const header = Object.keys(STUDENT_CSV_COLUMNS).map(key => STUDENT_CSV_COLUMNS[key][0]);
+  const rows = students.map(student => [student.id, student.className, student.initials, '']);
+  const classFilter = document.getElementById('filter-student-class').value;
+  downloadFile(`students-${classFilter || 'all'}-${formatDateKey(new Date())}.csv`, toCsv([header, ...rows]), 'text/csv');
+}
+
+/**
+ * CSV 取り込みモーダルを表示
+ */
+function showStudentImportModal() {
+  if (!requirePermission('students.edit')) return;
+  studentImportRows = [];
+  document.getElementById('student-import-file').value = '';
+  document.getElementById('student-import-preview').classList.add('hidden');
+  document.getElementById('student-import-btn').classList.add('hidden');
+  document.getElementById('student-import-modal').classList.remove('hidden');
+}
+
+/**
+ * CSV 取り込みモーダルを閉じる
+ */
+function closeStudentImportModal() {
+  document.getElementById('student-import-modal').classList.add('hidden');
+  studentImportRows = [];
+}
+
+/**
+ * CSV の各行を検証し、行ごとの取り込み内容（追加・更新・変更なし・競合）を返す
+ */
+function getStudentImportRows(records) {
+  const header = records[0].map(cell => cell.trim().toLowerCase());
+  const columns = {};
+  Object.keys(STUDENT_CSV_COLUMNS).forEach(key => {
+    columns[key] = header.findIndex(cell => STUDENT_CSV_COLUMNS[key].some(name => name.toLowerCase() === cell));
+  });
+  if (columns.className < 0 || columns.initials < 0) {
+    throw new Error('1行目に「クラス」「イニシャル」の見出しがありません');
+  }
+  
+  const students = loadStudents();
+  const classNames = getOptionNames('classOptions');
+  const seenIds = new Set();
+  const seenKeys = new Set();
+  const cell = (record, key) => columns[key] >= 0 ? (record[columns[key]] || '').trim() : '';
+  
+  return records.slice(1).map((record, index) => {
+    const row = {
+      line: index + 2,
+      id: cell(record, 'id'),
+      className: cell(record, 'className'),
+      initials: cell(record, 'initials').toUpperCase(),
+      birthday: cell(record, 'birthday')
+    };
+    if (record.every(value => !value.trim())) return null;
+    
+    const existing = row.id
+      ? students.find(s => s.id === row.id)
+      : findDuplicateStudent(students, row.className, row.initials, null);
+    const conflict = (error) => ({ ...row, action: 'conflict', error });
+    
+    if (row.id && !existing) return conflict('この ID の生徒は登録されていません（新しく登録する場合は ID を空欄にしてください）');
+    if (!classNames.includes(row.className)) return conflict(`クラス「${row.className}」は登録できません`);
+    const error = validateStudentFields(row.className, row.initials, row.birthday, !existing);
+    if (error) return conflict(error);
+    if (existing && findDuplicateStudent(students, row.className, row.initials, existing.id)) {
+      return conflict('同じクラス・イニシャルの生徒が既に登録されています');
+    }
+    
+    const key = `${row.className}\t${row.initials}`;
+    if (seenKeys.has(key) || (existing && seenIds.has(existing.id))) {
+      return conflict('ファイル内で同じ生徒が重複しています');
+    }
+    seenKeys.add(key);
+    if (existing) seenIds.add(existing.id);
+    
+    if (!existing) return { ...row, action: 'insert' };
+    const changed = existing.className !== row.className || existing.initials !== row.initials || row.birthday;
+    return { ...row, id: existing.id, previous: existing, action: changed ? 'update' : 'unchanged' };
+  }).filter(Boolean);
+}
+
+/**
+ * CSV ファイルを読み込み、取り込み内容を表示（まだ書き込まない）
+ */
+async function loadStudentImportFile(file) {
+  studentImportRows = [];
+  if (!file) return;
+  
+  const preview = document.getElementById('student-import-preview');
+  const importButton = document.getElementById('student-import-btn');
+  preview.classList.remove('hidden');
+  importButton.classList.add('hidden');
+  
+  let rows;
+  try {
+    const records = parseCsv(await file.text());
+    if (records.length === 0) throw new Error('ファイルが空です');
+    rows = getStudentImportRows(records);
+  } catch (error) {
+    preview.innerHTML = `<p class="form-error">${escapeHtml(error.message)}</p>`;
+    return;
+  }
+  
+  const byAction = (action) => rows.filter(row => row.action === action);
+  const inserts = byAction('insert');
+  const updates = byAction('update');
+  const conflicts = byAction('conflict');
+  const describe = (row) => {
+    const name = `${escapeHtml(row.className)} / ${escapeHtml(row.initials)}`;
+    if (row.action !== 'update') return name;
+    const renamed = row.previous.className !== row.className || row.previous.initials !== row.initials;
+    return `${renamed ? `${escapeHtml(row.previous.className)} / ${escapeHtml(row.previous.initials)} → ` : ''}${name}${row.birthday ? '（誕生日を変更）' : ''}`;
+  };
+  
+  studentImportRows = [...inserts, ...updates];
+  preview.innerHTML = `
+    <table class="backup-changes">
+      <tr><th>追加</th><td>${inserts.length}</td></tr>
+      <tr><th>更新</th><td>${updates.length}</td></tr>
+      <tr><th>変更なし</th><td>${byAction('unchanged').length}</td></tr>
+      <tr><th>競合（取り込みません）</th><td>${conflicts.length}</td></tr>
+    </table>
+    ${conflicts.length > 0 ? `
+      <ul class="backup-errors">
+        ${conflicts.map(row => `<li>${row.line}行目: ${escapeHtml(row.error)}</li>`).join('')}
+      </ul>
+    ` : ''}
+    ${studentImportRows.length > 0 ? `
+      <ul class="student-import-list">
+        ${inserts.map(row => `<li><span class="ticket-badge badge-in_progress">追加</span>${describe(row)}</li>`).join('')}
+        ${updates.map(row => `<li><span class="ticket-badge badge-draft">更新</span>${describe(row)}</li>`).join('')}
+      </ul>
+    ` : '<p class="form-hint">取り込む行はありません</p>'}
+  `;
+  importButton.textContent = `${studentImportRows.length}件を取り込む`;
+  importButton.classList.toggle('hidden', studentImportRows.length === 0);
+}
+
+/**
+ * 確認した内容で生徒を追加・更新
+ */
+async function confirmStudentImport() {
+  if (!requirePermission('students.edit')) return;
+  const rows = studentImportRows;
+  if (rows.length === 0) return;
+  
+  const importButton = document.getElementById('student-import-btn');
+  importButton.disabled = true;
+  let imported = 0;
+  try {
+    for (const row of rows) {
+      const student = await upsertStudent({ id: row.id || generateUUID(), className: row.className, initials: row.initials });
+      if (row.birthday) {
+        await setStudentCredential(student.id, 'birthday', row.birthday);
+      }
+      imported++;
+    }
+  } catch (error) {
+    console.error('Failed to import students:', error);
+    showToast(`${imported}件を取り込んだところで失敗しました`, 'error');
+    renderStudentList();
+    return;
+  } finally {
+    importButton.disabled = false;
+  }
+  
+  closeStudentImportModal();
+  showToast(`${imported}件を取り込みました`);
+  renderStudentList();
+}
+
+// ============================================
+// Teacher - Student Profile
+// ============================================
+/*
+  生徒ごとのプロフィール（先生用）
+  ticketsCache から生徒の質問（下書きを除く）を集め、件数・教科の内訳・平均待ち時間・事前に考えたことの傾向を表示する。
+  待ち時間は送信から最初に対応（対応開始・呼び出し・完了のいずれか）されるまで。
+  先生用メモは生徒から読めないよう studentNotes/<生徒ID> = { studentId, text, updatedAt, updatedById, updatedByName } に保存し、
+  画面を開いている間だけ購読する（生徒の削除・一括削除・バックアップでは生徒データと一緒に扱う）。
+*/
+
+let currentProfileStudentId = null;
+let studentNote = { studentId: null, note: null }; // プロフィール画面に表示中の先生用メモ（再描画のたびに空に戻さない）
+let studentNoteSaveTimer = null;
+let studentNoteUnsubscribe = null;
+
+/**
+ * 送信から最初に対応されるまでの時間（まだ対応されていなければ null）
+ */
+function getTicketWaitTime(ticket) {
+  const submittedAt = getTicketSubmittedAt(ticket);
+  const respondedAt = [ticket.startedAt, ticket.calledAt, ticket.doneAt].filter(time => time && time >= submittedAt);
+  if (!submittedAt || respondedAt.length === 0) return null;
+  return Math.min(...respondedAt) - submittedAt;
+}
+
+/**
+ * 生徒のプロフィールを描画
+ */
+function renderStudentProfile(studentId) {
+  // 自動保存の前に描き直す場合は、入力内容を書き換える前に保存する
+  if (studentNoteSaveTimer) saveStudentNote();
+  currentProfileStudentId = studentId;
+  const student = getStudentById(studentId);
+  const container = document.getElementById('student-profile-content');
+  if (!student) {
+    document.getElementById('student-profile-title').textContent = 'プロフィール';
+    container.innerHTML = `
+      <div class="empty-list">
+        <div class="empty-list-icon">-</div>
+        <p>生徒が見つかりません</p>
+      </div>
+    `;
+    return;
+  }
+  
+  const tickets = loadTickets()
+    .filter(ticket => ticket.studentId === studentId && ticket.status !== 'draft' && getTicketSubmittedAt(ticket))
+    .sort((a, b) => getTicketSubmittedAt(b) - getTicketSubmittedAt(a));
+  const waits = tickets.map(getTicketWaitTime).filter(wait => wait !== null);
+  const averageWait = waits.length > 0 ? waits.reduce((sum, wait) => sum + wait, 0) / waits.length : null;
+  const subjects = groupAnalyticsTickets(tickets, ticket => ticket.subject)
+    .map(group => ({ label: escapeHtml(group.key), count: group.count, median: group.median }));
+  
+  // 事前に考えたこと（質問のときだけ選ぶ）の、選んだ割合
+  const questions = tickets.filter(ticket => ticket.purpose === 'question');
+  const materials = groupAnalyticsTickets(questions.flatMap(ticket => (ticket.checkedMaterials || []).map(material => ({ material }))), item => item.material)
+    .map(group => ({ label: escapeHtml(group.key), count: group.count }));
+  
+  const canEditNote = hasPermission('tickets.memo');
+  const note = studentNote.studentId === studentId ? studentNote.note : null;
+  
+  document.getElementById('student-profile-title').textContent = `${student.className} / ${student.initials}`;
+  container.innerHTML = `
+    <div class="analytics-summary">
+      <div class="analytics-stat"><div class="analytics-stat-value">${tickets.length}</div><div class="analytics-stat-label">質問</div></div>
+      <div class="analytics-stat"><div class="analytics-stat-value">${tickets.filter(isActiveTicket).length}</div><div class="analytics-stat-label">受付中</div></div>
+      <div class="analytics-stat"><div class="analytics-stat-value">${tickets.filter(ticket => ticket.status === 'done').length}</div><div class="analytics-stat-label">対応完了</div></div>
+      <div class="analytics-stat"><div class="analytics-stat-value">${formatDuration(averageWait)}</div><div class="analytics-stat-label">平均待ち時間</div></div>
+    </div>
+    
+    <div class="form-card analytics-section">
+      <div class="detail-section-title">先生用メモ</div>
+      <textarea id="input-student-note" class="form-textarea" rows="4" 
+        placeholder="この生徒について先生どうしで共有したいこと" maxlength="2000" ${canEditNote ? '' : 'readonly'}>${escapeHtml(note ? note.text : '')}</textarea>
+      <p id="student-note-meta" class="form-hint">${renderStudentNoteMeta(note)}</p>
+      ${canEditNote ? `
+      <button class="btn btn-memo-save" onclick="saveStudentNoteWithToast()">先生用メモを保存</button>
+      ` : ''}
+    </div>
+    
+    ${tickets.length > 0 ? `
+      <div class="form-card analytics-section">
+        <div class="detail-section-title">教科ごと（件数・完了までの中央値）</div>
+        ${renderAnalyticsBars(subjects, subjects[0].count)}
+      </div>
+      
+      <div class="form-card analytics-section">
+        <div class="detail-section-title">事前に考えたこと（質問${questions.length}件のうち）</div>
+        ${materials.length > 0 ? renderAnalyticsBars(materials, questions.length) : '<p class="form-hint">まだ選ばれていません</p>'}
+      </div>
+    ` : ''}
+    
+    <div class="detail-section-title">質問の一覧</div>
+    <div class="ticket-list">
+      ${tickets.length > 0 ? tickets.map(renderTeacherTicketCard).join('') : `
+        <div class="empty-list">
+          <div class="empty-list-icon">-</div>
+          <p>まだ質問はありません</p>
+        </div>
+      `}
+    </div>
+  `;
+  
+  loadLazyImages(container);
+  openStudentNote(studentId);
+  
+  // メモの自動保存（入力中に保存）
+  const noteInput = document.getElementById('input-student-note');
+  if (canEditNote && noteInput) {
+    noteInput.oninput = function() {
+      clearTimeout(studentNoteSaveTimer);
+      studentNoteSaveTimer = setTimeout(() => {
+        saveStudentNote();
+      }, 1000);
+    };
+  }
+}
+
+/**
+ * 先生用メモの最終更新を表示用にフォーマット
+ */
+function renderStudentNoteMeta(note) {
+  if (!note || !note.updatedAt) return '';
+  return `${formatDateTime(note.updatedAt)} に${escapeHtml(note.updatedByName || '先生')}が更新`;
+}
+
+/**
+ * 生徒の先生用メモの購読を始める（同じ生徒なら購読を続ける）
+ */
+function openStudentNote(studentId) {
+  if (studentNoteUnsubscribe && studentNote.studentId === studentId) return;
+  closeStudentNote();
+  studentNote = { studentId, note: null };
+  studentNoteUnsubscribe = storage.subscribe(`studentNotes/${studentId}`, (note) => {
+    applyStudentNote(studentId, note);
+  }, (error) => {
+    console.warn('Failed to load student note:', error);
+  });
+}
+
+/**
+ * 先生用メモの購読を止める
+ */
+function closeStudentNote() {
+  if (studentNoteUnsubscribe) studentNoteUnsubscribe();
+  studentNoteUnsubscribe = null;
+  studentNote = { studentId: null, note: null };
+}
+
+/**
+ * 購読した先生用メモを表示（入力中は書き換えない）
+ */
+function applyStudentNote(studentId, note) {
+  if (studentNote.studentId !== studentId) return;
+  
+  studentNote = { studentId, note: applyPendingWrites(`studentNotes/${studentId}`, note) };
+  const noteInput = document.getElementById('input-student-note');
+  if (noteInput && document.activeElement !== noteInput) {
+    noteInput.value = studentNote.note ? studentNote.note.text : '';
+  }
+  const meta = document.getElementById('student-note-meta');
+  if (meta) meta.innerHTML = renderStudentNoteMeta(studentNote.note);
+}
+
+/**
+ * 生徒の先生用メモを保存（自動保存用）
+ */
+async function saveStudentNote() {
+  clearTimeout(studentNoteSaveTimer);
+  studentNoteSaveTimer = null;
+  const studentId = currentProfileStudentId;
+  const noteInput = document.getElementById('input-student-note');
+  if (!studentId || !noteInput || !hasPermission('tickets.memo')) return;
+  
+  const session = getTeacherSession();
+  const note = {
+    studentId,
+    text: noteInput.value,
+    updatedAt: Date.now(),
+    updatedById: session.teacherId,
+    updatedByName: session.displayName || ''
+  };
+  studentNote = { studentId, note };
+  await writeToStorage('set', `studentNotes/${studentId}`, note);
+  
+  const meta = document.getElementById('student-note-meta');
+  if (meta) meta.innerHTML = renderStudentNoteMeta(note);
+}
+
+/**
+ * 生徒の先生用メモを保存（ボタン用・トースト付き）
+ */
+async function saveStudentNoteWithToast() {
+  if (!requirePermission('tickets.memo')) return;
+  await saveStudentNote();
+  showToast('先生用メモを保存しました');
+}
+
+// ============================================
+// Teacher - Options
+// ============================================
+
+/**
+ * 選択肢の設定画面を描画
+ */
+function renderOptionSettings() {
+  document.getElementById('option-settings').innerHTML = Object.keys(OPTION_LISTS).map(root => {
+    const list = OPTION_LISTS[root];
+    const entries = getOptionEntries(root);
+    return `
+      <div class="form-card option-section">
+        <div class="detail-section-title">${list.label}</div>
+        <div class="option-list">
+          ${entries.map((entry, index) => `
+            <div class="option-item ${entry.archived ? 'option-archived' : ''}">
+              ${list.hasColor ? `<input type="color" class="option-color" value="${escapeHtml(getSubjectColor(entry.name))}" onchange="changeOptionColor('${root}', '${entry.id}', this.value)" title="バッジの色">` : ''}
+              <span class="option-name">${escapeHtml(entry.name)}</span>
+              ${entry.archived ? '<span class="ticket-badge badge-done">アーカイブ</span>' : ''}
+              <div class="student-card-actions">
+                <button class="student-action-btn" onclick="moveOption('${root}', '${entry.id}', -1)" title="上へ" ${index === 0 ? 'disabled' : ''}>
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 15l-6-6-6 6"/>
+                  </svg>
+                </button>
+                <button class="student-action-btn" onclick="moveOption('${root}', '${entry.id}', 1)" title="下へ" ${index === entries.length - 1 ? 'disabled' : ''}>
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M6 9l6 6 6-6"/>
+                  </svg>
+                </button>
+                <button class="student-action-btn" onclick="toggleOptionArchived('${root}', '${entry.id}')" title="${entry.archived ? '元に戻す' : 'アーカイブ'}">
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    ${entry.archived ? '<path d="M1 4v6h6"/><path d="M3.51 15a9 9 0 102.13-9.36L1 10"/>' : '<path d="M21 8v13H3V8M1 3h22v5H1zM10 12h4"/>'}
+                  </svg>
+                </button>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        <div class="option-add">
+          <input type="text" id="option-new-${root}" class="form-input" maxlength="${list.maxLength}" placeholder="${list.label}を追加">
+          <button class="btn btn-outline" onclick="addOption('${root}')">追加</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * 選択肢を追加
+ */
+async function addOption(root) {
+  if (!requirePermission('options.manage')) return;
+  const list = OPTION_LISTS[root];
+  const input = document.getElementById(`option-new-${root}`);
+  const name = input.value.trim();
+  const entries = getOptionEntries(root);
+  
+  if (!name) {
+    showToast(`${list.label}を入力してください`, 'error');
+    return;
+  }
+  if (name.length > list.maxLength || /["<>]/.test(name)) {
+    showToast(`${list.maxLength}文字以内で、" < > を含まない名前にしてください`, 'error');
+    return;
+  }
+  if (entries.some(entry => entry.name === name)) {
+    showToast('同じ名前が既にあります（アーカイブしている場合は元に戻してください）', 'error');
+    return;
+  }
+  
+  const entry = {
+    id: generateUUID(),
+    name,
+    order: entries.length > 0 ? Math.max(...entries.map(e => e.order || 0)) + 1 : 0,
+    archived: false,
+    ...(list.hasColor ? { color: DEFAULT_SUBJECT_COLOR } : {})
+  };
+  await saveOptionEntries(root, [entry]);
+  input.value = '';
+  showToast('追加しました');
+  renderOptionSettings();
+}
+
+/**
+ * 選択肢の並び順を1つ上（-1）・下（1）に移動
+ */
+async function moveOption(root, id, direction) {
+  if (!requirePermission('options.manage')) return;
+  const entries = getOptionEntries(root);
+  const index = entries.findIndex(entry => entry.id === id);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= entries.length) return;
+  
+  [entries[index], entries[target]] = [entries[target], entries[index]];
+  await saveOptionEntries(root, entries.map((entry, order) => ({ ...entry, order })));
+  renderOptionSettings();
+}
+
+/**
+ * 選択肢をアーカイブする・元に戻す（使える選択肢が1つもなくならないようにし、生徒のいるクラスはアーカイブしない）
+ */
+async function toggleOptionArchived(root, id) {
+  if (!requirePermission('options.manage')) return;
+  const entries = getOptionEntries(root);
+  const entry = entries.find(e => e.id === id);
+  if (!entry) return;
+  
+  if (!entry.archived && entries.filter(e => !e.archived).length <= 1) {
+    showToast(`${OPTION_LISTS[root].label}は1つ以上必要です`, 'error');
+    return;
+  }
+  // 生徒が残っているクラスをアーカイブすると、ログインやCSV取り込みで選べなくなる
+  if (!entry.archived && root === 'classOptions' && loadStudents().some(s => s.className === entry.name)) {
+    showToast('このクラスには生徒が登録されています。生徒を別のクラスに移してからアーカイブしてください', 'error');
+    return;
+  }
+  if (!entry.archived && !confirm(`「${entry.name}」をアーカイブしますか？（新しく選べなくなります。登録済みのデータはそのまま残ります）`)) return;
+  
+  await saveOptionEntries(root, [{ ...entry, archived: !entry.archived }]);
+  showToast(entry.archived ? '元に戻しました' : 'アーカイブしました');
+  renderOptionSettings();
+}
+
+/**
+ * 教科バッジの色を変更
+ */
+async function changeOptionColor(root, id, color) {
+  if (!requirePermission('options.manage')) return;
+  const entry = getOptionEntries(root).find(e => e.id === id);
+  if (!entry || !/^#[0-9a-fA-F]{6}$/.test(color)) return;
+  
+  await saveOptionEntries(root, [{ ...entry, color }]);
+  showToast('色を変更しました');
+}
+
+// ============================================
+// Data Deletion
+// ============================================
+
+/**
+ * データ削除モーダルを表示
+ */
+function showDeleteAllDataModal() {
+  if (!requirePermission('data.delete')) return;
+  document.getElementById('delete-all-modal').classList.remove('hidden');
+}
+
+/**
+ * データ削除モーダルを閉じる
+ */
+function closeDeleteAllDataModal() {
+  document.getElementById('delete-all-modal').classList.add('hidden');
+}
+
+/**
+ * 全ての質問データを削除
+ */
+async function deleteAllTickets() {
+  if (!requirePermission('data.delete')) return;
+  if (confirm('全ての質問データを削除しますか？（ゴミ箱から復元できます）')) {
+    const writes = { tickets: null, activeTickets: null, ticketMessages: null, ticketQueue: null, ticketHistory: null };
+    loadTimeSlots().forEach(slot => { writes[`timeSlots/${slot.id}/reservations`] = null; });
+    // 削除記録は残し、消した質問の分も加える（生徒の画面に削除されたことを表示するため）
+    loadTickets().forEach(ticket => { writes[`deletedTickets/${ticket.id}`] = createDeletedTicketRecord(ticket, 'deleted'); });
+    if (!(await deleteWithSnapshot('質問データを一括削除', writes))) return;
+    closeDeleteAllDataModal();
+    showToast('質問データを削除しました');
+    navigateTo('teacher');
+  }
+}
+
+/**
+ * 全ての生徒データを削除
+ */
+async function deleteAllStudents() {
+  if (!requirePermission('data.delete')) return;
+  if (confirm('全ての生徒データを削除しますか？（ゴミ箱から復元できます）')) {
+    if (!(await deleteWithSnapshot('生徒データを一括削除', { students: null, studentCredentials: null, studentNotes: null, activeTickets: null }))) return;
+    closeDeleteAllDataModal();
+    showToast('生徒データを削除しました');
+    navigateTo('teacher');
+  }
+}
+
+/**
+ * 全てのデータを削除
+ */
+async function deleteAllData() {
+  if (!requirePermission('data.delete')) return;
+  if (confirm('全てのデータを削除しますか？（ゴミ箱から復元できます）')) {
+    if (!(await deleteWithSnapshot('全てのデータを一括削除', { tickets: null, students: null, studentCredentials: null, studentNotes: null, activeTickets: null, ticketMessages: null, ticketQueue: null, timeSlots: null, deletedTickets: null, ticketHistory: null }))) return;
+    closeDeleteAllDataModal();
+    showToast('全てのデータを削除しました');
+    navigateTo('teacher');
+  }
+}
+
+/**
+ * 削除前のスナップショットをゴミ箱に移してから一括削除する
+ * スナップショットを取れない（接続できない）場合は削除せず false を返す
+ */
+async function deleteWithSnapshot(label, writes) {
+  let snapshot;
+  try {
+    snapshot = await trashSnapshotWrite(label, writes);
+  } catch (error) {
+    console.error('Failed to take snapshot:', error);
+    showToast('接続できないため削除できませんでした。通信状態を確認してからもう一度お試しください', 'error');
+    return false;
+  }
+  await writeToStorage('update', '', { ...writes, ...snapshot });
+  return true;
+}
+
+// ============================================
+// Teacher - Trash
+// ============================================
+
+let trashItems = [];
+
+/**
+ * ゴミ箱の一覧を描画（保存期間を過ぎたものは先に完全に削除する）
+ */
+async function renderTrashList() {
+  const container = document.getElementById('trash-list');
+  try {
+    trashItems = await purgeExpiredTrash();
+  } catch (error) {
+    console.error('Failed to load trash:', error);
+    container.innerHTML = `
+      <div class="empty-list">
+        <div class="empty-list-icon">-</div>
+        <p>ゴミ箱を読み込めませんでした。通信状態を確認してください</p>
+      </div>
+    `;
+    return;
+  }
+  if (parseHash().page !== 'teacher-trash') return;
+  
+  const select = document.getElementById('trash-retention');
+  const options = TRASH_RETENTION_OPTIONS.includes(trashRetentionDays) ? TRASH_RETENTION_OPTIONS : [...TRASH_RETENTION_OPTIONS, trashRetentionDays].sort((a, b) => a - b);
+  select.innerHTML = options.map(days => `<option value="${days}">${days}日</option>`).join('');
+  select.value = String(trashRetentionDays);
+  select.disabled = !hasPermission('data.delete');
+  
+  if (trashItems.length === 0) {
+    container.innerHTML = `
+      <div class="empty-list">
+        <div class="empty-list-icon">-</div>
+        <p>ゴミ箱は空です</p>
+      </div>
+    `;
+    return;
+  }
+  
+  const canPurge = hasPermission('data.delete');
+  container.innerHTML = trashItems.map(item => {
+    // 一括削除の復元は一括削除できる先生だけが行う
+    const canRestore = item.type !== 'snapshot' || canPurge;
+    return `
+      <div class="student-card">
+        <div class="student-card-info">
+          <div class="student-card-main">
+            <span class="student-card-class">${escapeHtml(TRASH_TYPES[item.type] || item.type)}</span>
+            <span class="student-card-initials">${escapeHtml(item.label)}</span>
+          </div>
+          <div class="trash-item-meta">
+            ${formatDateTime(item.deletedAt)} に${escapeHtml(item.deletedByName || '先生')}が削除・${formatDateTime(getTrashExpiresAt(item))} に完全に削除
+          </div>
+        </div>
+        <div class="student-card-actions">
+          ${canRestore ? `
+          <button class="student-action-btn" onclick="restoreTrash('${item.id}')" title="復元">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M1 4v6h6"/>
+              <path d="M3.51 15a9 9 0 102.13-9.36L1 10"/>
+            </svg>
+          </button>
+          ` : ''}
+          ${canPurge ? `
+          <button class="student-action-btn delete" onclick="purgeTrash('${item.id}')" title="完全に削除">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+            </svg>
+          </button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * ゴミ箱の保存期間を変更
+ */
+async function saveTrashRetentionDays(value) {
+  if (!requirePermission('data.delete')) return;
+  const days = Number(value);
+  if (!TRASH_RETENTION_OPTIONS.includes(days)) return;
+  if (days < trashRetentionDays && !confirm(`保存期間を${days}日にしますか？${days}日より前に削除したデータは完全に削除されます。`)) {
+    document.getElementById('trash-retention').value = String(trashRetentionDays);
+    return;
+  }
+  
+  await writeToStorage('set', 'settings/trashRetentionDays', days);
+  trashRetentionDays = days;
+  showToast('保存期間を変更しました');
+  renderTrashList();
+}
+
+/**
+ * ゴミ箱の項目を復元
+ */
+async function restoreTrash(itemId) {
+  const item = trashItems.find(i => i.id === itemId);
+  if (!item || !requirePermission(item.type === 'snapshot' ? 'data.delete' : 'trash.manage')) return;
+  const message = item.type === 'snapshot'
+    ? `「${item.label}」で削除したデータを復元しますか？\n削除後に追加・変更したデータはそのまま残り、同じデータは削除前の内容に戻ります。`
+    : `${item.label}を復元しますか？`;
+  if (!confirm(message)) return;
+  
+  let error;
+  try {
+    error = await restoreTrashItem(item);
+  } catch (e) {
+    console.error('Failed to restore:', e);
+    showToast('接続できないため復元できませんでした。通信状態を確認してからもう一度お試しください', 'error');
+    return;
+  }
+  if (error) {
+    showToast(error, 'error');
+    return;
+  }
+  showToast('復元しました');
+  renderTrashList();
+}
+
+/**
+ * ゴミ箱の項目を完全に削除
+ */
+async function purgeTrash(itemId) {
+  if (!requirePermission('data.delete')) return;
+  const item = trashItems.find(i => i.id === itemId);
+  if (!item) return;
+  if (!confirm(`${item.label}を完全に削除しますか？この操作は取り消せません。`)) return;
+  
+  await purgeTrashItems([item], trashItems);
+  showToast('完全に削除しました');
+  renderTrashList();
+}
+
+// ============================================
+// Data Backup
+// ============================================
+/*
+  バックアップ（管理者のみ）
+  生徒・認証情報（ハッシュ）・生徒ごとの先生用メモ・選択肢・質問・やりとり・変更履歴・削除記録・予約枠・先生アカウント・設定を
+  format / version 付きの1つの JSON ファイルに書き出す。画像は参照のまま書き出すか、data URL で同梱する。
+  復元はファイルを検証し、変わる件数を表示してから次のどちらかで書き込む（生徒・質問は upsertStudent / upsertTicket を通す）。
+  - 追加・上書き（merge）: 同じIDのデータを上書きし、それ以外は残す
+  - 置き換え（replace）: 今のデータをゴミ箱にスナップショットしてから削除し、バックアップの内容にする
+  先生アカウントは削除・上書きせず、ない場合だけ追加する（ローカル認証のときはパスワードのハッシュも戻す）。
+  やりとり・変更履歴・削除記録は追記のみのため、ないものだけ追加する。
+*/
+
+// バックアップに含めるデータ
+const BACKUP_ROOTS = ['students', 'studentCredentials', 'studentNotes', 'tickets', 'ticketMessages', 'ticketHistory', 'deletedTickets', 'timeSlots', 'classOptions', 'subjectOptions', 'materialOptions', 'teachers'];
+
+// 復元内容の確認に表示するデータ
+const BACKUP_PREVIEW_ROOTS = { students: '生徒', tickets: '質問', timeSlots: '予約枠', teachers: '先生アカウント' };
+
+let backupArchive = null;
+
+/**
+ * バックアップモーダルを表示
+ */
+function showBackupModal() {
+  if (!requirePermission('data.backup')) return;
+  backupArchive = null;
+  document.getElementById('backup-file').value = '';
+  document.getElementById('backup-preview').classList.add('hidden');
+  document.getElementById('backup-restore-btn').classList.add('hidden');
+  document.getElementById('backup-modal').classList.remove('hidden');
+}
+
+/**
+ * バックアップモーダルを閉じる
+ */
+function closeBackupModal() {
+  document.getElementById('backup-modal').classList.add('hidden');
+  backupArchive = null;
+}
+
+/**
+ * 全データを読み込んでバックアップを作成（includeImages の場合は画像を data URL で同梱）
+ */
+async function createBackupArchive(includeImages) {
+  const values = await withWriteTimeout(Promise.all(BACKUP_ROOTS.map(root => storage.get(root))));
+  const data = {};
+  BACKUP_ROOTS.forEach((root, index) => { data[root] = values[index] || {}; });
+  
+  // Firebase ではパスワードは Firebase Authentication が持つため読めない
+  try {
+    const credentials = await storage.get('teacherCredentials');
+    if (credentials) data.teacherCredentials = credentials;
+  } catch (error) {
+    console.warn('Teacher credentials are not exported:', error);
+  }
+  data.settings = { trashRetentionDays: await loadTrashRetentionDays() };
+  
+  const images = {};
+  if (includeImages) {
+    for (const ref of new Set(collectImageRefs([data.tickets, data.ticketMessages]))) {
+      try {
+        images[ref] = await readFileAsDataUrl(await (await fetch(await getImageUrl(ref))).blob());
+      } catch (error) {
+        console.warn('Failed to export image:', ref, error);
+      }
+    }
+  }
+  
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: Date.now(),
+    exportedBy: getTeacherSession().displayName || '',
+    data,
+    images
+  };
+}
+
+/**
+ * バックアップをファイルに保存
+ */
+async function exportBackup() {
+  if (!requirePermission('data.backup')) return;
+  const includeImages = document.getElementById('backup-include-images').checked;
+  
+  let archive;
+  try {
+    archive = await createBackupArchive(includeImages);
+  } catch (error) {
+    console.error('Failed to create backup:', error);
+    showToast('接続できないためバックアップを作成できませんでした', 'error');
+    return;
+  }
+  downloadFile(`question-reservation-backup-${formatDateKey(new Date())}.json`, JSON.stringify(archive), 'application/json');
+  showToast('バックアップを保存しました');
+}
+
+/**
+ * バックアップの内容を検証し、問題の一覧を返す（問題がなければ空）
+ */
+function validateBackupArchive(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+    return ['このアプリのバックアップファイルではありません'];
+  }
+  if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+    return ['新しいバージョンのアプリで作成されたバックアップのため復元できません'];
+  }
+  if (!archive.data || typeof archive.data !== 'object') {
+    return ['バックアップにデータが含まれていません'];
+  }
+  
+  const errors = [];
+  const data = archive.data;
+  BACKUP_ROOTS.forEach(root => {
+    if (data[root] !== undefined && (typeof data[root] !== 'object' || Array.isArray(data[root]))) {
+      errors.push(`${root} の形式が正しくありません`);
+    }
+  });
+  if (errors.length > 0) return errors;
+  
+  const check = (root, label, isValid) => {
+    Object.entries(data[root] || {}).forEach(([id, item]) => {
+      if (!item || item.id !== id || !isValid(item)) errors.push(`${label}（${id.slice(0, 8)}）の内容が正しくありません`);
+    });
+  };
+  check('students', '生徒', s => typeof s.className === 'string' && typeof s.initials === 'string');
+  check('tickets', '質問', t => typeof t.studentId === 'string' && typeof t.subject === 'string' && !!TICKET_STATUSES[t.status]);
+  check('timeSlots', '予約枠', s => /^\d{4}-\d{2}-\d{2}$/.test(s.date) && s.startTime < s.endTime);
+  Object.keys(OPTION_LISTS).forEach(root => {
+    check(root, `${OPTION_LISTS[root].label}の選択肢`, o => typeof o.name === 'string' && typeof o.order === 'number');
+  });
+  check('teachers', '先生アカウント', t => typeof t.loginId === 'string' && !!TEACHER_ROLES[t.role]);
+  return errors;
+}
+
+/**
+ * 追加・上書きで復元すると重複する生徒の一覧
+ * 同じクラス・イニシャルの生徒が別のIDで登録されていると、ログイン時に区別できない
+ */
+function getBackupConflicts(archive) {
+  return Object.values(archive.data.students || {})
+    .filter(student => {
+      const existing = findStudent(student.className, student.initials);
+      return existing && existing.id !== student.id;
+    })
+    .map(student => `${student.className} / ${student.initials} は別の生徒として登録済みです`);
+}
+
+/**
+ * 復元で変わる件数を集計（mode: 'merge' | 'replace'）
+ */
+function getBackupChanges(archive, mode) {
+  const current = {
+    students: loadStudents(),
+    tickets: loadTickets(),
+    timeSlots: loadTimeSlots(),
+    teachers: teachersCache
+  };
+  return Object.keys(BACKUP_PREVIEW_ROOTS).map(root => {
+    const incoming = archive.data[root] || {};
+    const existingIds = new Set(current[root].map(item => item.id));
+    const ids = Object.keys(incoming);
+    const overwrite = root !== 'teachers';
+    return {
+      label: BACKUP_PREVIEW_ROOTS[root],
+      added: ids.filter(id => !existingIds.has(id)).length,
+      updated: overwrite ? ids.filter(id => existingIds.has(id)).length : 0,
+      removed: mode === 'replace' && overwrite ? [...existingIds].filter(id => !incoming[id]).length : 0
+    };
+  });
+}
+
+/**
+ * 選択したバックアップファイルを読み込んで確認内容を表示
+ */
+async function loadBackupFile(file) {
+  backupArchive = null;
+  if (!file) return;
+  
+  let archive = null;
+  let errors;
+  try {
+    archive = JSON.parse(await file.text());
+    errors = validateBackupArchive(archive);
+  } catch (error) {
+    errors = ['ファイルを読み込めませんでした（JSON 形式ではありません）'];
+  }
+  
+  const preview = document.getElementById('backup-preview');
+  preview.classList.remove('hidden');
+  if (errors.length > 0) {
+    preview.innerHTML = `
+      <p class="form-error">このバックアップは復元できません</p>
+      <ul class="backup-errors">
+        ${errors.slice(0, 10).map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+        ${errors.length > 10 ? `<li>ほか${errors.length - 10}件</li>` : ''}
+      </ul>
+    `;
+    document.getElementById('backup-restore-btn').classList.add('hidden');
+    return;
+  }
+  
+  backupArchive = archive;
+  preview.innerHTML = `
+    <p class="form-hint">${formatDateTime(archive.exportedAt)} に${escapeHtml(archive.exportedBy || '先生')}が作成（画像${Object.keys(archive.images || {}).length}枚を含む）</p>
+    <div class="toggle-group backup-mode">
+      <label class="checkbox-item">
+        <input type="radio" name="backup-mode" value="merge" checked onchange="renderBackupChanges()">
+        <span class="checkbox-text">追加・上書き</span>
+      </label>
+      <label class="checkbox-item">
+        <input type="radio" name="backup-mode" value="replace" onchange="renderBackupChanges()">
+        <span class="checkbox-text">置き換え</span>
+      </label>
+    </div>
+    <div id="backup-changes"></div>
+  `;
+  renderBackupChanges();
+}
+
+/**
+ * 選択中の方法で復元したときの変更内容を表示
+ */
+function renderBackupChanges() {
+  if (!backupArchive) return;
+  const mode = getBackupMode();
+  const conflicts = mode === 'merge' ? getBackupConflicts(backupArchive) : [];
+  document.getElementById('backup-restore-btn').classList.toggle('hidden', conflicts.length > 0);
+  document.getElementById('backup-changes').innerHTML = `
+    ${conflicts.length > 0 ? `
+      <p class="form-error">追加・上書きでは復元できません（置き換えなら復元できます）</p>
+      <ul class="backup-errors">
+        ${conflicts.map(conflict => `<li>${escapeHtml(conflict)}</li>`).join('')}
+      </ul>
+    ` : ''}
+    <p class="form-hint">${mode === 'replace'
+      ? '今のデータはゴミ箱に移してから削除し、バックアップの内容に置き換えます（先生アカウントは残します）'
+      : '同じデータは上書きし、バックアップにないデータはそのまま残します'}</p>
+    <table class="backup-changes">
+      <tr><th></th><th>追加</th><th>上書き</th><th>削除</th></tr>
+      ${getBackupChanges(backupArchive, mode).map(row => `
+        <tr><th>${row.label}</th><td>${row.added}</td><td>${row.updated}</td><td>${row.removed}</td></tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+/**
+ * 選択中の復元方法
+ */
+function getBackupMode() {
+  const checked = document.querySelector('input[name="backup-mode"]:checked');
+  return checked ? checked.value : 'merge';
+}
+
+/**
+ * 同梱された画像のうち、今の質問で使われていないものをアップロードし直し、参照の付け替え表を返す
+ */
+async function restoreBackupImages(archive) {
+  const refs = new Map();
+  const inUse = new Set(collectImageRefs(loadTickets()));
+  for (const [ref, dataUrl] of Object.entries(archive.images || {})) {
+    if (inUse.has(ref)) continue;
+    const uploaded = await uploadImage(dataUrl);
+    if (uploaded !== dataUrl) refs.set(ref, uploaded);
+  }
+  return refs;
+}
+
+/**
+ * バックアップの内容を書き込む
+ * 置き換えの場合はスナップショットを取れなければ何もせず false を返す。
+ */
+async function restoreBackupArchive(archive, mode) {
+  const data = archive.data;
+  if (mode === 'replace') {
+    const writes = { tickets: null, students: null, studentCredentials: null, studentNotes: null, activeTickets: null, ticketMessages: null, ticketQueue: null, timeSlots: null, deletedTickets: null, ticketHistory: null, classOptions: null, subjectOptions: null, materialOptions: null };
+    if (!(await deleteWithSnapshot('バックアップから置き換える前のデータ', writes))) return false;
+  }
+  
+  const imageRefs = await restoreBackupImages(archive);
+  const replaceImages = values => values.map(value => imageRefs.get(value) || value);
+  
+  for (const student of Object.values(data.students || {})) {
+    await upsertStudent(student);
+  }
+  
+  const writes = {};
+  // 質問はバックアップの内容のまま書き込み、待ち行列と受付中の枠を作り直す（変更履歴はバックアップのものを戻す）
+  Object.values(data.tickets || {}).forEach(ticket => {
+    TICKET_IMAGE_FIELDS.forEach(field => {
+      if (ticket[field]) ticket[field] = replaceImages(ticket[field]);
+    });
+    writes[`tickets/${ticket.id}`] = ticket;
+    writes[`ticketQueue/${ticket.id}`] = getTicketQueueEntry(ticket);
+    writes[`activeTickets/${ticket.studentId}/${ticket.id}`] = isActiveTicket(ticket) ? true : null;
+  });
+  Object.entries(data.studentCredentials || {}).forEach(([id, credential]) => { writes[`studentCredentials/${id}`] = credential; });
+  Object.entries(data.studentNotes || {}).forEach(([id, note]) => { writes[`studentNotes/${id}`] = note; });
+  Object.entries(data.timeSlots || {}).forEach(([id, slot]) => { writes[`timeSlots/${id}`] = slot; });
+  Object.keys(OPTION_LISTS).forEach(root => {
+    Object.entries(data[root] || {}).forEach(([id, entry]) => { writes[`${root}/${id}`] = entry; });
+  });
+  if (data.settings && data.settings.trashRetentionDays) writes['settings/trashRetentionDays'] = data.settings.trashRetentionDays;
+  
+  // 追記のみのデータは、ないものだけ追加する
+  const [messages, history, deleted] = await withWriteTimeout(Promise.all(['ticketMessages', 'ticketHistory', 'deletedTickets'].map(root => storage.get(root))));
+  Object.entries(data.ticketMessages || {}).forEach(([ticketId, thread]) => {
+    Object.entries(thread || {}).forEach(([id, message]) => {
+      if (messages && messages[ticketId] && messages[ticketId][id]) return;
+      writes[`ticketMessages/${ticketId}/${id}`] = message.images ? { ...message, images: replaceImages(message.images) } : message;
+    });
+  });
+  Object.entries(data.ticketHistory || {}).forEach(([ticketId, entries]) => {
+    Object.entries(entries || {}).forEach(([id, entry]) => {
+      if (!(history && history[ticketId] && history[ticketId][id])) writes[`ticketHistory/${ticketId}/${id}`] = entry;
+    });
+  });
+  Object.entries(data.deletedTickets || {}).forEach(([id, record]) => {
+    if (!(deleted && deleted[id])) writes[`deletedTickets/${id}`] = record;
+  });
+  
+  // 先生アカウントはないものだけ追加する
+  Object.entries(data.teachers || {}).forEach(([id, teacher]) => {
+    if (getTeacherById(id)) return;
+    writes[`teachers/${id}`] = teacher;
+    if (teacherAuthProvider.name === 'local' && data.teacherCredentials && data.teacherCredentials[id]) {
+      writes[`teacherCredentials/${id}`] = data.teacherCredentials[id];
+    }
+  });
+  
+  if (Object.keys(writes).length > 0) await writeToStorage('update', '', writes);
+  return true;
+}
+
+/**
+ * 確認のうえバックアップから復元
+ */
+async function confirmRestoreBackup() {
+  if (!backupArchive || !requirePermission('data.backup')) return;
+  const mode = getBackupMode();
+  if (mode === 'merge' && getBackupConflicts(backupArchive).length > 0) return;
+  const message = mode === 'replace'
+    ? '今のデータをバックアップの内容に置き換えますか？\n今のデータはゴミ箱から復元できます。'
+    : 'バックアップの内容を追加・上書きしますか？';
+  if (!confirm(message)) return;
+  
+  try {
+    if (!(await restoreBackupArchive(backupArchive, mode))) return;
+  } catch (error) {
+    console.error('Failed to restore backup:', error);
+    showToast('復元の途中でエラーが発生しました。通信状態を確認してからもう一度お試しください', 'error');
+    return;
+  }
+  closeBackupModal();
+  showToast('バックアップから復元しました');
+}
+
+// ============================================
+// Teacher List Page
+// ============================================
+
+// 並び順: 'asc' = 古い順（デフォルト）, 'desc' = 新しい順
+let teacherListSortOrder = 'asc';
+
+/**
+ * 並び順を切り替え
+ */
+function toggleSortOrder() {
+  teacherListSortOrder = teacherListSortOrder === 'asc' ? 'desc' : 'asc';
+  updateSortButton();
+  renderTeacherList();
+}
+
+/**
+ * 並び順ボタンの表示を更新
+ */
+function updateSortButton() {
+  const btn = document.getElementById('sort-order-btn');
+  if (btn) {
+    if (teacherListSortOrder === 'asc') {
+      btn.innerHTML = '<span class="sort-icon">↑</span> 古い順';
+    } else {
+      btn.innerHTML = '<span class="sort-icon">↓</span> 新しい順';
     }
-  };
+  }
+}
+
+/**
+ * クラスフィルタ変更時に生徒フィルタを更新
+ */
+function onTeacherClassFilterChange() {
+  const classFilter = document.getElementById('filter-class').value;
+  const studentSelect = document.getElementById('filter-student');
+  
+  // 生徒フィルタをリセット
+  studentSelect.innerHTML = '<option value="">全生徒</option>';
+  
+  if (classFilter) {
+    // 選択されたクラスの生徒を取得
+    const students = loadStudents().filter(s => s.className === classFilter);
+    students.sort((a, b) => a.initials.localeCompare(b.initials));
+    
+    students.forEach(student => {
+      const option = document.createElement('option');
+      option.value = student.initials;
+      option.textContent = student.initials;
+      studentSelect.appendChild(option);
+    });
+  }
+  
+  renderTeacherList();
+}
+
+/**
+ * 先生一覧での状態の並び順
+ */
+function getTicketStatusOrder(status) {
+  const order = { called: 0, in_progress: 1, submitted: 2, reopened: 2, draft: 3, done: 4, cancelled: 5 };
+  return status in order ? order[status] : 4;
+}
+
+/**
+ * 先生一覧を描画
+ * changedIds を渡すと変更のあったカードだけを更新する
+ */
+function renderTeacherList(changedIds = null) {
+  const tickets = loadTickets();
+  const classFilter = document.getElementById('filter-class').value;
+  const studentFilter = document.getElementById('filter-student').value;
+  const subjectFilter = document.getElementById('filter-subject').value;
+  const statusFilter = document.getElementById('filter-status').value;
+  
+  let filtered = tickets.filter(t => {
+    if (classFilter && t.className !== classFilter) return false;
+    if (studentFilter && t.initials !== studentFilter) return false;
+    if (subjectFilter && t.subject !== subjectFilter) return false;
+    if (statusFilter === 'active' ? !isActiveTicket(t) : (statusFilter && t.status !== statusFilter)) return false;
+    return true;
+  });
+  
+  // 並び順: 状態（呼び出し中・対応中・対応待ち…の順）、同じ状態の中では古い順（asc）または新しい順（desc）
+  filtered.sort((a, b) => compareQueueTickets(a, b, teacherListSortOrder));
+  
+  const container = document.getElementById('teacher-list');
+  
+  if (filtered.length === 0) {
+    container.innerHTML = `
+      <div class="empty-list">
+        <div class="empty-list-icon">-</div>
+        <p>該当する質問がありません</p>
+      </div>
+    `;
+    return;
+  }
+  
+  patchCardList(container, filtered, renderTeacherTicketCard, changedIds);
+}
+
+/**
+ * 先生一覧の質問カードを描画
+ */
+function renderTeacherTicketCard(ticket) {
+  const purposeClass = ticket.purpose === 'grading' ? 'badge-grading' : 'badge-question';
+  const purposeIcon = ticket.purpose === 'grading' 
+    ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/></svg>'
+    : '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r="0.5" fill="currentColor"/></svg>';
+  const purposeText = ticket.purpose === 'grading' ? '採点' : '質問';
+  const statusClass = `badge-${ticket.status}`;
+  const statusText = getTicketStatusLabel(ticket.status);
+  const questionImages = ticket.questionImages || [];
+  const hasImages = questionImages.length > 0;
+  const slot = ticket.slotId ? getTimeSlotById(ticket.slotId) : null;
+  
+  return `
+    <div class="ticket-card" data-ticket-id="${ticket.id}" onclick="navigateTo('teacher-detail', { id: '${ticket.id}' })">
+      <div class="${hasImages ? 'ticket-card-with-image' : ''}">
+        <div class="ticket-card-content">
+          <div class="ticket-card-header">
+            ${renderSubjectBadge(ticket.subject)}
+            <span class="purpose-badge ${purposeClass}">${purposeIcon}${purposeText}</span>
+            ${hasUnreadMessages(ticket, 'teacher') ? '<span class="ticket-badge badge-unread">新着メッセージ</span>' : ''}
+            <span class="ticket-badge ${statusClass}">${statusText}</span>
+            ${ticket.status === 'called' && !isTicketCallPending(ticket) ? '<span class="ticket-badge badge-acknowledged">生徒確認済み</span>' : ''}
+          </div>
+          <div class="ticket-student">
+            <span class="student-class">${escapeHtml(ticket.className)}</span>
+            <span class="student-name">${escapeHtml(ticket.initials)}</span>
+          </div>
+          <div class="ticket-meta">
+            <span>${formatDateTime(ticket.createdAt)}</span>
+            ${slot ? `<span class="ticket-slot">予約 ${escapeHtml(formatTimeSlot(slot))}</span>` : ''}
+          </div>
+          <div class="ticket-reason">${escapeHtml(ticket.questionReason || (ticket.purpose === 'grading' ? '採点依頼' : ''))}</div>
+        </div>
+        ${hasImages ? `
+        <div class="ticket-card-thumbnail">
+          <img ${imageSrcAttrs(questionImages[0])} alt="問題画像">
+          ${questionImages.length > 1 ? `<div class="thumbnail-more">+${questionImages.length - 1}</div>` : ''}
+        </div>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
+// ============================================
+// Teacher Detail Page
+// ============================================
+
+let currentDetailTicketId = null;
+
+/**
+ * 先生詳細画面を描画
+ */
+function renderTeacherDetail(id) {
+  currentDetailTicketId = id;
+  const ticket = getTicketById(id);
+  
+  if (!ticket) {
+    showToast('チケットが見つかりません', 'error');
+    navigateTo('teacher');
+    return;
+  }
+  
+  const isClosed = ticket.status === 'done' || ticket.status === 'cancelled';
+  const canEditMemo = !isClosed && hasPermission('tickets.memo');
+  const purposeText = ticket.purpose === 'grading' ? '採点をお願いする' : '質問する';
+  const purposeClass = ticket.purpose === 'grading' ? 'badge-grading' : 'badge-question';
+  const purposeIcon = ticket.purpose === 'grading' 
+    ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/></svg>'
+    : '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r="0.5" fill="currentColor"/></svg>';
+  const studentDisplay = ticket.initials;
+  const slot = ticket.slotId ? getTimeSlotById(ticket.slotId) : null;
+  
+  const content = document.getElementById('teacher-detail-content');
+  content.innerHTML = `
+    <div class="detail-wrapper">
+      <!-- 基本情報 -->
+      <div class="detail-row">
+        <span class="detail-label">クラス</span>
+        <span class="detail-value">${escapeHtml(ticket.className)}</span>
+      </div>
+      <div class="detail-row">
+        <span class="detail-label">生徒</span>
+        ${hasPermission('students.view') && getStudentById(ticket.studentId) ? `
+          <button class="detail-value detail-link" onclick="navigateTo('teacher-student-profile', { id: '${ticket.studentId}' })">${escapeHtml(studentDisplay)}</button>
+        ` : `<span class="detail-value">${escapeHtml(studentDisplay)}</span>`}
+      </div>
+      <div class="detail-row">
+        <span class="detail-label">教科</span>
+        ${renderSubjectBadge(ticket.subject)}
+      </div>
+      <div class="detail-row">
+        <span class="detail-label">目的</span>
+        <span class="purpose-badge ${purposeClass}">${purposeIcon}${purposeText}</span>
+      </div>
+      <div class="detail-row">
+        <span class="detail-label">状態</span>
+        <span class="ticket-badge badge-${ticket.status}">${getTicketStatusLabel(ticket.status)}</span>
+      </div>
+      <div class="detail-row">
+        <span class="detail-label">受付日時</span>
+        <span class="detail-value">${formatDateTime(ticket.createdAt)}</span>
+      </div>
+      ${slot ? `
+        <div class="detail-row">
+          <span class="detail-label">予約</span>
+          <span class="detail-value">${escapeHtml(formatTimeSlot(slot))}</span>
+        </div>
+      ` : ''}
+      ${renderTicketStatusTimes(ticket)}
+      ${ticket.assignedTeacherName && ticket.status === 'in_progress' ? `
+        <div class="detail-row">
+          <span class="detail-label">担当</span>
+          <span class="detail-value">${escapeHtml(ticket.assignedTeacherName)}</span>
+        </div>
+      ` : ''}
+      ${renderTicketStatusActions(ticket)}
+      
+      ${ticket.purpose === 'question' ? `
+        <!-- 確認事項 -->
+        <div class="detail-divider"></div>
+        <div class="detail-section-title">確認したこと</div>
+        <div class="detail-checks">
+          ${(ticket.checkedMaterials || []).map(m => `<span class="detail-check-item">${escapeHtml(m)}</span>`).join('')}
+        </div>
+        
+        <!-- 質問内容 -->
+        <div class="detail-section-title" style="margin-top: 16px;">質問内容</div>
+        <div class="detail-highlight-content">${escapeHtml(ticket.questionReason || '')}</div>
+      ` : ''}
+      
+      <!-- 問題画像 -->
+      ${(ticket.questionImages || []).length > 0 ? `
+        <div class="detail-divider"></div>
+        <div class="detail-section-title">問題画像（${ticket.questionImages.length}枚）</div>
+        <div class="detail-gallery">
+          ${ticket.questionImages.map(src => `
+            <div class="detail-gallery-item">
+              <img ${imageSrcAttrs(src)} alt="問題画像" onclick="openDetailImageModal(this.src)">
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      
+      <!-- 自分の答案画像 -->
+      ${(ticket.myAnswerImages || []).length > 0 ? `
+        <div class="detail-divider"></div>
+        <div class="detail-section-title">自分の答案（${ticket.myAnswerImages.length}枚）</div>
+        <div class="detail-gallery">
+          ${ticket.myAnswerImages.map(src => `
+            <div class="detail-gallery-item">
+              <img ${imageSrcAttrs(src)} alt="自分の答案" onclick="openDetailImageModal(this.src)">
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      
+      <!-- 解答画像 -->
+      ${(ticket.answerImages || []).length > 0 ? `
+        <div class="detail-divider"></div>
+        <div class="detail-section-title">解答・解説画像（${ticket.answerImages.length}枚）</div>
+        <div class="detail-gallery">
+          ${ticket.answerImages.map(src => `
+            <div class="detail-gallery-item">
+              <img ${imageSrcAttrs(src)} alt="解答画像" onclick="openDetailImageModal(this.src)">
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      
+      <!-- 先生メモ -->
+      <div class="detail-divider"></div>
+      <div class="detail-section-title">先生用メモ</div>
+      <textarea id="input-teacherMemo" class="form-textarea" rows="3" 
+        placeholder="先生用メモを入力" ${canEditMemo ? '' : 'readonly'}>${escapeHtml(ticket.teacherMemo || '')}</textarea>
+      ${canEditMemo ? `
+      <button class="btn btn-memo-save" onclick="saveTeacherMemoWithToast()">先生用メモを保存</button>
+      ` : ''}
+      
+      <!-- 変更履歴 -->
+      <div class="detail-divider"></div>
+      <div class="detail-section-title">変更履歴</div>
+      <div id="teacher-ticket-history" class="history-timeline">
+        ${ticketHistory.ticketId === ticket.id ? renderTicketHistoryItems(ticketHistory.entries) : ''}
+      </div>
+    </div>
+  `;
+  
+  loadLazyImages(content);
+  openTicketThread(ticket, 'teacher');
+  loadTicketHistory(ticket.id);
+  
+  // メモの自動保存（入力中に保存）
+  if (canEditMemo) {
+    const memoInput = document.getElementById('input-teacherMemo');
+    if (memoInput) {
+      let saveTimeout;
+      memoInput.oninput = function() {
+        clearTimeout(saveTimeout);
+        saveTimeout = setTimeout(() => {
+          saveTeacherMemo();
+        }, 1000);
+      };
+    }
+  }
+  
+  const footer = document.getElementById('teacher-detail-footer');
+  const deleteButton = hasPermission('tickets.delete')
+    ? '<button class="btn btn-danger-outline" onclick="deleteTeacherTicket()">削除</button>'
+    : '';
+  if (!canTransitionTicket(ticket.status, 'done') || !hasPermission('tickets.complete')) {
+    footer.innerHTML = `
+      <button class="btn btn-outline" onclick="navigateTo('teacher')">一覧へ戻る</button>
+      ${deleteButton}
+    `;
+  } else {
+    footer.innerHTML = `
+      <button class="btn btn-outline" onclick="navigateTo('teacher')">戻る</button>
+      ${deleteButton}
+      <button class="btn btn-primary" onclick="completeTicket()">対応完了</button>
+    `;
+  }
+}
+
+/**
+ * 先生メモを保存（自動保存用）
+ */
+async function saveTeacherMemo() {
+  const ticket = getTicketById(currentDetailTicketId);
+  if (!ticket || !hasPermission('tickets.memo')) return;
+  
+  const memoInput = document.getElementById('input-teacherMemo');
+  if (memoInput) {
+    ticket.teacherMemo = memoInput.value;
+    await upsertTicket(ticket);
+  }
 }
 
 /**
- * 画像アップロード処理（複数対応）
+ * メモを保存（ボタン用・トースト付き）
  */
-function handleImageUpload(files, type) {
-  const imageArray = type === 'question' ? questionImages : (type === 'answer' ? answerImages : myAnswerImages);
-  
-  Array.from(files).forEach(file => {
-    const reader = new FileReader();
-    reader.onload = function(e) {
-      const dataUrl = e.target.result;
-      imageArray.push(dataUrl);
-      renderImagePreviews(type);
-      updateImageCount(type);
-    };
-    reader.readAsDataURL(file);
-  });
+async function saveTeacherMemoWithToast() {
+  if (!requirePermission('tickets.memo')) return;
+  await saveTeacherMemo();
+  showToast('先生用メモを保存しました');
 }
 
 /**
- * 画像枚数表示を更新
+ * チケットを完了（この質問への対応を完了）
  */
-function updateImageCount(type) {
-  const images = type === 'question' ? questionImages : (type === 'answer' ? answerImages : myAnswerImages);
-  const countEl = document.getElementById(`count-${type}Images`);
-  
-  if (!countEl) return;
+async function completeTicket() {
+  if (!requirePermission('tickets.complete')) return;
+  const ticket = getTicketById(currentDetailTicketId);
+  if (!ticket) return;
   
-  if (images.length > 0) {
-    countEl.innerHTML = `<span class="image-count-badge">${images.length}枚選択中</span>`;
-    countEl.classList.remove('hidden');
-  } else {
-    countEl.classList.add('hidden');
+  const changes = {};
+  const memoInput = document.getElementById('input-teacherMemo');
+  if (memoInput && hasPermission('tickets.memo')) {
+    changes.teacherMemo = memoInput.value;
   }
+  
+  if (!(await transitionTicket(ticket, 'done', changes))) return;
+  showToast('対応完了しました');
+  navigateTo('teacher');
 }
 
 /**
- * 画像プレビュー描画
+ * 状態ごとの遷移時刻を描画
  */
-function renderImagePreviews(type) {
-  const container = document.getElementById(`preview-${type}Images`);
-  if (!container) return;
-  
-  const images = type === 'question' ? questionImages : (type === 'answer' ? answerImages : myAnswerImages);
-  
-  container.innerHTML = images.map((src, index) => `
-    <div class="image-preview-item">
-      <img src="${src}" alt="画像${index + 1}">
-      <div class="image-preview-actions">
-        <button type="button" class="image-action-btn" onclick="openImageModalByIndex('${type}', ${index})" title="拡大">
-          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <circle cx="11" cy="11" r="8"/><path d="m21 21-4.35-4.35"/>
-          </svg>
-        </button>
-        <button type="button" class="image-action-btn" onclick="removeImage('${type}', ${index})" title="削除">
-          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M18 6L6 18M6 6l12 12"/>
-          </svg>
-        </button>
+function renderTicketStatusTimes(ticket) {
+  const labels = {
+    submittedAt: '送信日時',
+    startedAt: '対応開始',
+    calledAt: '呼び出し',
+    callAcknowledgedAt: '生徒が確認',
+    reopenedAt: '再開日時',
+    doneAt: '完了日時',
+    cancelledAt: '取り下げ日時'
+  };
+  return Object.keys(labels)
+    .filter(field => ticket[field] && !(field === 'submittedAt' && ticket.submittedAt === ticket.createdAt))
+    .map(field => `
+      <div class="detail-row">
+        <span class="detail-label">${labels[field]}</span>
+        <span class="detail-value">${formatDateTime(ticket[field])}</span>
       </div>
-    </div>
-  `).join('');
+    `).join('');
 }
 
 /**
- * インデックスで画像拡大モーダルを開く
+ * 先生が行える状態変更のボタンを描画（対応完了はフッターに表示）
  */
-function openImageModalByIndex(type, index) {
-  const images = type === 'question' ? questionImages : answerImages;
-  const modal = document.getElementById('image-modal');
-  const img = document.getElementById('image-modal-img');
-  img.src = images[index];
-  modal.classList.remove('hidden');
+function renderTicketStatusActions(ticket) {
+  if (!hasPermission('tickets.complete')) return '';
+  const actions = {
+    in_progress: '対応開始',
+    called: '呼び出し',
+    submitted: '対応待ちに戻す',
+    reopened: '再開する',
+    cancelled: '取り下げにする'
+  };
+  const buttons = Object.keys(actions)
+    .filter(status => canTransitionTicket(ticket.status, status))
+    .map(status => `
+      <button class="btn ${status === 'cancelled' ? 'btn-outline' : 'btn-secondary'}" onclick="changeTicketStatus('${status}')">${actions[status]}</button>
+    `).join('') + (ticket.status === 'called' ? `
+      <button class="btn btn-secondary" onclick="recallTicket()">もう一度呼ぶ</button>
+    ` : '');
+  return buttons ? `<div class="ticket-status-actions">${buttons}</div>` : '';
 }
 
 /**
- * 画像拡大モーダルを閉じる
+ * 先生がチケットの状態を変更する
  */
-function closeImageModal() {
-  document.getElementById('image-modal').classList.add('hidden');
+async function changeTicketStatus(status) {
+  if (!requirePermission('tickets.complete')) return;
+  const ticket = getTicketById(currentDetailTicketId);
+  if (!ticket) return;
+  if (status === 'cancelled' && !confirm('この質問を取り下げにしますか？')) return;
+  
+  const session = getTeacherSession();
+  const changes = {};
+  if (status === 'in_progress') {
+    changes.assignedTeacherId = session.teacherId;
+    changes.assignedTeacherName = session.displayName || '';
+  }
+  if (status === 'called') {
+    changes.calledByName = session.displayName || '';
+  }
+  
+  if (!(await transitionTicket(ticket, status, changes))) return;
+  showToast(`「${getTicketStatusLabel(status)}」にしました`);
 }
 
 /**
- * 詳細画面用の画像拡大
+ * 呼び出し中の生徒をもう一度呼ぶ（生徒の端末で再度通知する）
  */
-function openDetailImageModal(src) {
-  const modal = document.getElementById('image-modal');
-  const img = document.getElementById('image-modal-img');
-  img.src = src;
-  modal.classList.remove('hidden');
+async function recallTicket() {
+  if (!requirePermission('tickets.complete')) return;
+  const ticket = getTicketById(currentDetailTicketId);
+  if (!ticket || ticket.status !== 'called') return;
+  
+  await upsertTicket({ ...ticket, calledAt: Date.now(), calledByName: getTeacherSession().displayName || '' });
+  showToast('もう一度呼び出しました');
 }
 
 /**
- * 画像を削除
+ * 詳細画面の質問を削除する（削除記録は残る）
  */
-function removeImage(type, index) {
-  if (type === 'question') {
-    questionImages.splice(index, 1);
-  } else if (type === 'answer') {
-    answerImages.splice(index, 1);
-  }
-  renderImagePreviews(type);
-  updateImageCount(type);
+async function deleteTeacherTicket() {
+  if (!requirePermission('tickets.delete')) return;
+  const ticket = getTicketById(currentDetailTicketId);
+  if (!ticket) return;
+  if (!confirm(`${ticket.className} / ${ticket.initials} の質問（${ticket.subject}）を削除しますか？\n削除した質問はゴミ箱から復元できます。`)) return;
+  
+  await deleteTicket(ticket, 'deleted');
+  showToast('ゴミ箱に移しました');
+  navigateTo('teacher');
 }
 
+// ============================================
+// Teacher - Ticket History
+// ============================================
+
+let ticketHistory = { ticketId: null, entries: [] }; // 詳細画面に表示中の変更履歴（再描画のたびに空に戻さない）
+
 /**
- * フォームバリデーション
+ * 変更履歴を読み込んで詳細画面に表示
  */
-function validateForm() {
-  const subject = document.getElementById('input-subject').value;
-  if (!subject) {
-    showToast('教科を選択してください', 'error');
-    return false;
-  }
-  
-  const purpose = document.getElementById('input-purpose').value;
-  
-  // 質問の場合のみチェックボックス必須
-  if (purpose === 'question') {
-    const checkedMaterials = Array.from(document.querySelectorAll('input[name="checkedMaterials"]:checked')).map(cb => cb.value);
-    if (checkedMaterials.length === 0) {
-      document.getElementById('error-checkedMaterials').classList.remove('hidden');
-      showToast('事前に考えたことを1つ以上選択してください', 'error');
-      return false;
-    } else {
-      document.getElementById('error-checkedMaterials').classList.add('hidden');
-    }
-    
-    const questionReason = document.getElementById('input-questionReason').value.trim();
-    if (!questionReason) {
-      showToast('質問内容を入力してください', 'error');
-      return false;
-    }
+async function loadTicketHistory(ticketId) {
+  let entries;
+  try {
+    entries = await storage.get(`ticketHistory/${ticketId}`);
+  } catch (error) {
+    console.warn('Failed to load ticket history:', error);
+    return;
   }
+  if (currentDetailTicketId !== ticketId) return;
   
-  return true;
+  ticketHistory = {
+    ticketId,
+    entries: Object.values(applyPendingWrites(`ticketHistory/${ticketId}`, entries) || {})
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+  };
+  const container = document.getElementById('teacher-ticket-history');
+  if (container) container.innerHTML = renderTicketHistoryItems(ticketHistory.entries);
 }
 
 /**
- * 3件制限チェック
+ * 変更履歴のタイムラインを描画（古い順）
  */
-function checkTicketLimit(studentId) {
-  const count = getActiveTicketCount(studentId, currentEditingTicketId);
-  if (count >= MAX_TICKETS_PER_STUDENT) {
-    showToast('現在、同時に質問できるのは3件までです。完了後に新しく登録できます。', 'error');
-    return false;
+function renderTicketHistoryItems(entries) {
+  if (entries.length === 0) {
+    return '<div class="history-empty">履歴はまだありません</div>';
   }
-  return true;
+  return entries.map(entry => {
+    let detail = '';
+    if (entry.action === 'status' || entry.action === 'create') {
+      detail = [entry.fromStatus, entry.toStatus].filter(Boolean).map(status => getTicketStatusLabel(status)).join(' → ');
+    } else if (entry.action === 'edit') {
+      detail = (entry.fields || []).filter(field => TICKET_FIELD_LABELS[field]).map(field => TICKET_FIELD_LABELS[field]).join('・');
+    }
+    return `
+      <div class="history-item history-${escapeHtml(entry.actorType)}">
+        <div class="history-time">${formatDateTime(entry.createdAt)}</div>
+        <div class="history-text">
+          <span class="history-actor">${escapeHtml(formatHistoryActor(entry))}</span>
+          ${escapeHtml(TICKET_HISTORY_ACTIONS[entry.action] || entry.action)}
+          ${detail ? `<span class="history-detail">（${escapeHtml(detail)}）</span>` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
 }
 
 /**
- * フォームデータを収集
+ * 変更した人の表示名
  */
-function collectFormData() {
-  const session = getStudentSession();
-  return {
-    id: currentEditingTicketId || generateUUID(),
-    studentId: session.id,
-    className: session.className,
-    initials: session.initials,
-    subject: document.getElementById('input-subject').value,
-    purpose: document.getElementById('input-purpose').value,
-    checkedMaterials: Array.from(document.querySelectorAll('input[name="checkedMaterials"]:checked')).map(cb => cb.value),
-    questionReason: document.getElementById('input-questionReason').value.trim(),
-    questionImages: [...questionImages],
-    answerImages: [...answerImages],
-    myAnswerImages: [...myAnswerImages],
-    teacherMemo: '',
-    doneAt: null
-  };
+function formatHistoryActor(entry) {
+  if (entry.actorType === 'teacher') return entry.actorName || '先生';
+  if (entry.actorType === 'student') return `生徒（${entry.actorName || ''}）`;
+  return 'システム';
 }
 
+// ============================================
+// Teacher - Analytics
+// ============================================
+/*
+  集計
+  ticketsCache の下書き以外のチケットを、送信日時（submittedAt、なければ createdAt）が期間内のものに絞って集計する。
+  - 件数: 日ごと・教科ごと・クラスごと・生徒ごと（生徒は件数の多い順に ANALYTICS_STUDENT_LIMIT 人まで表示）
+  - 完了までの時間: 対応完了のチケットの送信から doneAt まで（中央値・90パーセンタイル）
+  - 曜日×時間帯: 送信した曜日と時刻の件数
+  - 完了した人: 対応完了のうち、生徒が「解決した」としたもの（completedByStudent）と先生が完了したもの
+  CSV は期間内のチケットを1行ずつ書き出す（表計算ソフトで集計し直せるように）。
+*/
 
 /**
- * 確認モーダルを表示
+ * 集計期間の入力欄が空なら、直近 DEFAULT_ANALYTICS_RANGE_DAYS 日を設定
  */
-function showConfirmModal() {
-  if (!validateForm()) return;
-  
-  const session = getStudentSession();
-  if (!checkTicketLimit(session.id)) return;
-  
-  const data = collectFormData();
-  const purposeText = data.purpose === 'question' ? '質問する' : '採点をお願いする';
-  
-  const body = document.getElementById('confirm-modal-body');
-  body.innerHTML = `
-    <div class="confirm-section">
-      <div class="confirm-label">クラス / イニシャル</div>
-      <div class="confirm-value">${escapeHtml(data.className)} / ${escapeHtml(data.initials)}</div>
-    </div>
-    <div class="confirm-section">
-      <div class="confirm-label">教科 / 目的</div>
-      <div class="confirm-value">${escapeHtml(data.subject)} / ${purposeText}</div>
-    </div>
-    ${data.purpose === 'question' ? `
-    <div class="confirm-section">
-      <div class="confirm-label">事前に確認したこと</div>
-      <div class="confirm-value">${data.checkedMaterials.map(m => escapeHtml(m)).join('、')}</div>
-    </div>
-    <div class="confirm-section">
-      <div class="confirm-label">質問内容</div>
-      <div class="confirm-value">${escapeHtml(data.questionReason)}</div>
-    </div>
-    ` : ''}
-    ${data.questionImages.length > 0 ? `
-      <div class="confirm-section">
-        <div class="confirm-label">問題画像（${data.questionImages.length}枚）</div>
-        <div class="confirm-images">
-          ${data.questionImages.map(src => `<img src="${src}" alt="問題画像">`).join('')}
-        </div>
-      </div>
-    ` : ''}
-    ${data.myAnswerImages.length > 0 ? `
-      <div class="confirm-section">
-        <div class="confirm-label">自分の答案（${data.myAnswerImages.length}枚）</div>
-        <div class="confirm-images">
-          ${data.myAnswerImages.map(src => `<img src="${src}" alt="自分の答案">`).join('')}
-        </div>
-      </div>
-    ` : ''}
-    ${data.answerImages.length > 0 ? `
-      <div class="confirm-section">
-        <div class="confirm-label">解答画像（${data.answerImages.length}枚）</div>
-        <div class="confirm-images">
-          ${data.answerImages.map(src => `<img src="${src}" alt="解答画像">`).join('')}
-        </div>
-      </div>
-    ` : ''}
-  `;
+function initAnalyticsRange() {
+  const fromInput = document.getElementById('analytics-from');
+  const toInput = document.getElementById('analytics-to');
+  if (fromInput.value && toInput.value) return;
   
-  document.getElementById('confirm-modal').classList.remove('hidden');
+  const today = new Date();
+  const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (DEFAULT_ANALYTICS_RANGE_DAYS - 1));
+  fromInput.value = formatDateKey(from);
+  toInput.value = formatDateKey(today);
 }
 
 /**
- * 確認モーダルを閉じる
+ * チケットの送信日時（下書きから送信したものは submittedAt）
  */
-function closeConfirmModal() {
-  document.getElementById('confirm-modal').classList.add('hidden');
+function getTicketSubmittedAt(ticket) {
+  return ticket.submittedAt || ticket.createdAt;
 }
 
 /**
- * チケット送信
+ * 対応完了のチケットの、送信から完了までの時間（完了していなければ null）
  */
-async function submitTicket() {
-  const formData = collectFormData();
-  formData.status = 'submitted';
-  
-  await upsertTicket(formData);
-  
-  closeConfirmModal();
-  showToast('送信しました');
-  navigateTo('student-mypage');
+function getTicketCompletionTime(ticket) {
+  if (ticket.status !== 'done' || !ticket.doneAt || !getTicketSubmittedAt(ticket)) return null;
+  return Math.max(0, ticket.doneAt - getTicketSubmittedAt(ticket));
 }
 
-// ============================================
-// Teacher Login
-// ============================================
-
 /**
- * 先生ログイン
+ * 集計期間内に送信されたチケット（送信日時順）
  */
-function teacherLogin() {
-  const password = document.getElementById('teacher-password').value;
-  
-  if (password === getTeacherPassword()) {
-    setTeacherSession(true);
-    showToast('ログインしました');
-    navigateTo('teacher');
-  } else {
-    showToast('パスワードが違います', 'error');
-  }
+function getAnalyticsTickets() {
+  const from = document.getElementById('analytics-from').value;
+  const to = document.getElementById('analytics-to').value;
+  return loadTickets()
+    .filter(ticket => ticket.status !== 'draft' && getTicketSubmittedAt(ticket))
+    .filter(ticket => {
+      const dateKey = formatDateKey(new Date(getTicketSubmittedAt(ticket)));
+      return (!from || dateKey >= from) && (!to || dateKey <= to);
+    })
+    .sort((a, b) => getTicketSubmittedAt(a) - getTicketSubmittedAt(b));
 }
 
 /**
- * 先生ログアウト
+ * チケットをキーごとにまとめ、件数と完了までの時間の中央値を返す（件数の多い順）
  */
-function teacherLogout() {
-  setTeacherSession(false);
-  navigateTo('');
+function groupAnalyticsTickets(tickets, getKey) {
+  const groups = new Map();
+  tickets.forEach(ticket => {
+    const key = getKey(ticket);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(ticket);
+  });
+  return [...groups.entries()]
+    .map(([key, items]) => ({ key, count: items.length, median: getCompletionStats(items).median }))
+    .sort((a, b) => b.count - a.count);
 }
 
-// ============================================
-// Teacher - Student Management
-// ============================================
-
-let deleteStudentId = null;
+/**
+ * 対応完了のチケットの件数と、完了までの時間の中央値・90パーセンタイル
+ */
+function getCompletionStats(tickets) {
+  const durations = tickets.map(getTicketCompletionTime).filter(duration => duration !== null).sort((a, b) => a - b);
+  return {
+    count: durations.length,
+    median: getPercentile(durations, 0.5),
+    p90: getPercentile(durations, 0.9)
+  };
+}
 
 /**
- * 生徒一覧を描画
+ * 集計期間の日付（YYYY-MM-DD）を順に返す
  */
-function renderStudentList() {
-  const students = loadStudents();
-  const classFilter = document.getElementById('filter-student-class').value;
+function getAnalyticsDateKeys(tickets) {
+  const fromValue = document.getElementById('analytics-from').value;
+  const toValue = document.getElementById('analytics-to').value;
+  const first = fromValue || (tickets.length > 0 ? formatDateKey(new Date(getTicketSubmittedAt(tickets[0]))) : null);
+  const last = toValue || (tickets.length > 0 ? formatDateKey(new Date(getTicketSubmittedAt(tickets[tickets.length - 1]))) : null);
+  if (!first || !last) return [];
   
-  let filtered = students;
-  if (classFilter) {
-    filtered = students.filter(s => s.className === classFilter);
+  const keys = [];
+  const [year, month, day] = first.split('-').map(Number);
+  for (let date = new Date(year, month - 1, day); formatDateKey(date) <= last; date.setDate(date.getDate() + 1)) {
+    keys.push(formatDateKey(date));
   }
-  
-  // クラス順、イニシャル順にソート
-  const classOrder = ['4S', '5S', '6S', '1A', '2A', '3A', '4H', '5H', '6H', 'その他'];
-  filtered.sort((a, b) => {
-    const classA = classOrder.indexOf(a.className);
-    const classB = classOrder.indexOf(b.className);
-    if (classA !== classB) return classA - classB;
-    return a.initials.localeCompare(b.initials);
+  return keys;
+}
+
+/**
+ * 件数の横棒グラフの行を描画
+ */
+function renderAnalyticsBars(rows, max) {
+  return rows.map(row => `
+    <div class="analytics-bar-row">
+      <span class="analytics-bar-label">${row.label}</span>
+      <span class="analytics-bar-track"><span class="analytics-bar" style="width: ${max > 0 ? row.count / max * 100 : 0}%"></span></span>
+      <span class="analytics-bar-value">${row.count}${row.median !== undefined ? `<small>${formatDuration(row.median)}</small>` : ''}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * 曜日×時間帯のヒートマップを描画（件数のある時間帯の範囲だけ表示）
+ */
+function renderAnalyticsHeatmap(tickets) {
+  const counts = WEEKDAY_LABELS.map(() => new Array(24).fill(0));
+  tickets.forEach(ticket => {
+    const date = new Date(getTicketSubmittedAt(ticket));
+    counts[date.getDay()][date.getHours()]++;
   });
+  const hours = [...Array(24).keys()].filter(hour => counts.some(row => row[hour] > 0));
+  const max = Math.max(...counts.map(row => Math.max(...row)));
+  if (hours.length === 0) return '';
   
-  const container = document.getElementById('student-manage-list');
+  const visibleHours = [];
+  for (let hour = hours[0]; hour <= hours[hours.length - 1]; hour++) visibleHours.push(hour);
+  return `
+    <table class="analytics-heatmap">
+      <tr><th></th>${visibleHours.map(hour => `<th>${hour}</th>`).join('')}</tr>
+      ${counts.map((row, weekday) => `
+        <tr>
+          <th>${WEEKDAY_LABELS[weekday]}</th>
+          ${visibleHours.map(hour => `<td style="background: rgba(0, 104, 183, ${row[hour] / max});${row[hour] / max > 0.5 ? ' color: #fff;' : ''}" title="${WEEKDAY_LABELS[weekday]} ${hour}時台: ${row[hour]}件">${row[hour] || ''}</td>`).join('')}
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+/**
+ * 集計画面を描画
+ */
+function renderAnalytics() {
+  const container = document.getElementById('analytics-content');
+  const tickets = getAnalyticsTickets();
   
-  if (filtered.length === 0) {
+  if (tickets.length === 0) {
     container.innerHTML = `
       <div class="empty-list">
         <div class="empty-list-icon">-</div>
-        <p>生徒が登録されていません</p>
+        <p>この期間の質問はありません</p>
       </div>
     `;
     return;
   }
   
-  container.innerHTML = filtered.map(student => `
-    <div class="student-card">
-      <div class="student-card-info">
-        <div class="student-card-main">
-          <span class="student-card-class">${escapeHtml(student.className)}</span>
-          <span class="student-card-initials">${escapeHtml(student.initials)}</span>
+  const stats = getCompletionStats(tickets);
+  const byStudent = tickets.filter(ticket => ticket.status === 'done' && ticket.completedByStudent).length;
+  const doneCount = tickets.filter(ticket => ticket.status === 'done').length;
+  const studentShare = doneCount > 0 ? Math.round(byStudent / doneCount * 100) : 0;
+  
+  const dayCounts = groupAnalyticsTickets(tickets, ticket => formatDateKey(new Date(getTicketSubmittedAt(ticket))));
+  const days = getAnalyticsDateKeys(tickets).map(dateKey => {
+    const group = dayCounts.find(row => row.key === dateKey);
+    const [, month, day] = dateKey.split('-').map(Number);
+    return { label: `${month}/${day}`, count: group ? group.count : 0 };
+  });
+  const toRows = (groups) => groups.map(group => ({ label: escapeHtml(group.key), count: group.count, median: group.median }));
+  const subjects = toRows(groupAnalyticsTickets(tickets, ticket => ticket.subject));
+  const classes = toRows(groupAnalyticsTickets(tickets, ticket => ticket.className));
+  const students = groupAnalyticsTickets(tickets, ticket => ticket.studentId).map(group => {
+    const ticket = tickets.find(t => t.studentId === group.key);
+    return { label: `${escapeHtml(ticket.className)} / ${escapeHtml(ticket.initials)}`, count: group.count, median: group.median };
+  });
+  
+  container.innerHTML = `
+    <div class="analytics-summary">
+      <div class="analytics-stat"><div class="analytics-stat-value">${tickets.length}</div><div class="analytics-stat-label">質問</div></div>
+      <div class="analytics-stat"><div class="analytics-stat-value">${doneCount}</div><div class="analytics-stat-label">対応完了</div></div>
+      <div class="analytics-stat"><div class="analytics-stat-value">${formatDuration(stats.median)}</div><div class="analytics-stat-label">完了まで（中央値）</div></div>
+      <div class="analytics-stat"><div class="analytics-stat-value">${formatDuration(stats.p90)}</div><div class="analytics-stat-label">完了まで（90%）</div></div>
+    </div>
+    
+    <div class="form-card analytics-section">
+      <div class="detail-section-title">完了した人</div>
+      ${doneCount > 0 ? `
+        <div class="analytics-share"><span class="analytics-share-student" style="width: ${studentShare}%"></span></div>
+        <div class="analytics-share-legend">
+          <span>生徒が解決 ${byStudent}件（${studentShare}%）</span>
+          <span>先生が完了 ${doneCount - byStudent}件（${100 - studentShare}%）</span>
         </div>
-      </div>
-      <div class="student-card-actions">
-        <button class="student-action-btn" onclick="showEditStudentModal('${student.id}')" title="編集">
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M11 4H4a2 2 0 00-2 2v14a2 2 0 002 2h14a2 2 0 002-2v-7"/>
-            <path d="M18.5 2.5a2.121 2.121 0 013 3L12 15l-4 1 1-4 9.5-9.5z"/>
-          </svg>
-        </button>
-        <button class="student-action-btn delete" onclick="showDeleteStudentModal('${student.id}')" title="削除">
-          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
-          </svg>
-        </button>
-      </div>
+      ` : '<p class="form-hint">対応完了の質問はありません</p>'}
     </div>
-  `).join('');
-}
-
-/**
- * 生徒追加モーダルを表示
- */
-function showAddStudentModal() {
-  document.getElementById('student-modal-title').textContent = '生徒を追加';
-  document.getElementById('edit-student-id').value = '';
-  document.getElementById('edit-student-class').value = '';
-  document.getElementById('edit-student-initials').value = '';
-  document.getElementById('edit-student-birthday').value = '';
-  document.getElementById('student-modal').classList.remove('hidden');
+    
+    <div class="form-card analytics-section">
+      <div class="detail-section-title">日ごとの件数</div>
+      ${renderAnalyticsBars(days, Math.max(...days.map(row => row.count)))}
+    </div>
+    
+    <div class="form-card analytics-section">
+      <div class="detail-section-title">曜日×時間帯（送信）</div>
+      <div class="analytics-heatmap-scroll">${renderAnalyticsHeatmap(tickets)}</div>
+    </div>
+    
+    <div class="form-card analytics-section">
+      <div class="detail-section-title">教科ごと（件数・完了までの中央値）</div>
+      ${renderAnalyticsBars(subjects, subjects[0].count)}
+    </div>
+    
+    <div class="form-card analytics-section">
+      <div class="detail-section-title">クラスごと（件数・完了までの中央値）</div>
+      ${renderAnalyticsBars(classes, classes[0].count)}
+    </div>
+    
+    <div class="form-card analytics-section">
+      <div class="detail-section-title">生徒ごと（件数の多い順）</div>
+      ${renderAnalyticsBars(students.slice(0, ANALYTICS_STUDENT_LIMIT), students[0].count)}
+      ${students.length > ANALYTICS_STUDENT_LIMIT ? `<p class="form-hint">ほか${students.length - ANALYTICS_STUDENT_LIMIT}人（CSV にはすべて含まれます）</p>` : ''}
+    </div>
+  `;
 }
 
 /**
- * 生徒編集モーダルを表示
+ * 集計期間内のチケットを CSV に書き出す
  */
-function showEditStudentModal(studentId) {
-  const student = getStudentById(studentId);
-  if (!student) return;
+function exportAnalyticsCsv() {
+  const tickets = getAnalyticsTickets();
+  if (tickets.length === 0) {
+    showToast('この期間の質問はありません', 'error');
+    return;
+  }
   
-  document.getElementById('student-modal-title').textContent = '生徒を編集';
-  document.getElementById('edit-student-id').value = student.id;
-  document.getElementById('edit-student-class').value = student.className;
-  document.getElementById('edit-student-initials').value = student.initials;
-  document.getElementById('edit-student-birthday').value = student.birthday;
-  document.getElementById('student-modal').classList.remove('hidden');
+  const header = ['ID', '送信日時', '曜日', '教科', 'クラス', 'イニシャル', '目的', '状態', '完了日時', '完了までの時間（分）', '完了した人'];
+  const rows = tickets.map(ticket => {
+    const completionTime = getTicketCompletionTime(ticket);
+    const done = ticket.status === 'done';
+    return [
+      ticket.id,
+      formatDateTime(getTicketSubmittedAt(ticket)),
+      WEEKDAY_LABELS[new Date(getTicketSubmittedAt(ticket)).getDay()],
+      ticket.subject,
+      ticket.className,
+      ticket.initials,
+      ticket.purpose === 'grading' ? '採点' : '質問',
+      TICKET_STATUSES[ticket.status] ? TICKET_STATUSES[ticket.status].label : ticket.status,
+      done ? formatDateTime(ticket.doneAt) : '',
+      completionTime !== null ? Math.round(completionTime / 60000) : '',
+      done ? (ticket.completedByStudent ? '生徒' : '先生') : ''
+    ];
+  });
+  const from = document.getElementById('analytics-from').value;
+  const to = document.getElementById('analytics-to').value;
+  downloadFile(`question-analytics-${from || 'start'}-${to || 'end'}.csv`, toCsv([header, ...rows]), 'text/csv');
 }
 
+// ============================================
+// Call Notification (Student)
+// ============================================
+/*
+  先生が「呼び出し」にすると、生徒のマイページ・詳細画面で音・振動・全画面表示で知らせ、
+  通知が許可されていればシステム通知も出す。生徒が「わかりました」を押すと callAcknowledgedAt を記録する。
+  先生が「もう一度呼ぶ」と calledAt が更新され、確認済みでも再び知らせる。
+*/
+
+let callAlertedAt = {}; // チケットIDごとに知らせた呼び出し時刻（同じ呼び出しで何度も鳴らさない）
+let callBannerTicketId = null;
+let callAudioContext = null;
+let callNotification = null;
+let serviceWorkerRegistration = null;
+
 /**
- * 生徒モーダルを閉じる
+ * 生徒がまだ確認していない呼び出しか
  */
-function closeStudentModal() {
-  document.getElementById('student-modal').classList.add('hidden');
+function isTicketCallPending(ticket) {
+  return !!ticket && ticket.status === 'called' && !!ticket.calledAt && (ticket.callAcknowledgedAt || 0) < ticket.calledAt;
 }
 
 /**
- * 生徒を保存
+ * 自分の質問の呼び出しを確認し、未確認の呼び出しがあれば知らせる
+ * （生徒のマイページ・詳細画面を開いているときのみ）
  */
-async function saveStudent() {
-  const id = document.getElementById('edit-student-id').value;
-  const className = document.getElementById('edit-student-class').value;
-  const initials = document.getElementById('edit-student-initials').value.trim().toUpperCase();
-  const birthday = document.getElementById('edit-student-birthday').value.trim();
-  
-  if (!className) {
-    showToast('クラスを選択してください', 'error');
-    return;
-  }
-  
-  if (!initials) {
-    showToast('イニシャルを入力してください', 'error');
-    return;
-  }
+function checkTicketCalls() {
+  const session = getStudentSession();
+  const { page } = parseHash();
+  const pending = session && (page === 'student-mypage' || page === 'student-detail')
+    ? loadTickets().filter(t => t.studentId === session.id && isTicketCallPending(t)).sort((a, b) => b.calledAt - a.calledAt)
+    : [];
   
-  if (!birthday || !/^\d{4}$/.test(birthday)) {
-    showToast('誕生日は4桁の数字で入力してください', 'error');
+  if (pending.length === 0) {
+    hideCallBanner();
     return;
   }
   
-  // 重複チェック（同じクラス・イニシャルの生徒がいないか）
-  const students = loadStudents();
-  const duplicate = students.find(s => 
-    s.className === className && 
-    s.initials.toUpperCase() === initials && 
-    s.id !== id
-  );
-  
-  if (duplicate) {
-    showToast('同じクラス・イニシャルの生徒が既に登録されています', 'error');
-    return;
+  const ticket = pending[0];
+  showCallBanner(ticket);
+  if (callAlertedAt[ticket.id] !== ticket.calledAt) {
+    callAlertedAt[ticket.id] = ticket.calledAt;
+    playCallSound();
+    if (navigator.vibrate) navigator.vibrate([400, 200, 400, 200, 400]);
+    showCallNotification(ticket);
   }
-  
-  const student = {
-    id: id || generateUUID(),
-    className,
-    initials,
-    birthday
-  };
-  
-  await upsertStudent(student);
-  closeStudentModal();
-  showToast(id ? '更新しました' : '登録しました');
-  renderStudentList();
 }
 
 /**
- * 削除確認モーダルを表示
+ * 呼び出しのメッセージを作成
  */
-function showDeleteStudentModal(studentId) {
-  deleteStudentId = studentId;
-  const student = getStudentById(studentId);
-  if (!student) return;
-  
-  document.getElementById('delete-modal-message').textContent = 
-    `${student.className} / ${student.initials} を削除しますか？`;
-  document.getElementById('delete-modal').classList.remove('hidden');
+function getCallMessage(ticket) {
+  const teacher = ticket.calledByName ? `${ticket.calledByName}先生` : '先生';
+  return `${ticket.subject}の質問です。${teacher}のところへ行ってください`;
 }
 
 /**
- * 削除モーダルを閉じる
+ * 全画面の呼び出し表示を出す
  */
-function closeDeleteModal() {
-  document.getElementById('delete-modal').classList.add('hidden');
-  deleteStudentId = null;
+function showCallBanner(ticket) {
+  callBannerTicketId = ticket.id;
+  document.getElementById('call-banner-message').textContent = getCallMessage(ticket);
+  document.getElementById('call-banner').classList.remove('hidden');
 }
 
 /**
- * 生徒削除を実行
+ * 全画面の呼び出し表示を閉じる
  */
-async function confirmDeleteStudent() {
-  if (!deleteStudentId) return;
-  
-  await deleteStudent(deleteStudentId);
-  closeDeleteModal();
-  showToast('削除しました');
-  renderStudentList();
+function hideCallBanner() {
+  if (!callBannerTicketId) return;
+  callBannerTicketId = null;
+  document.getElementById('call-banner').classList.add('hidden');
+  if (navigator.vibrate) navigator.vibrate(0);
+  if (callNotification) {
+    callNotification.close();
+    callNotification = null;
+  }
+  if (serviceWorkerRegistration) {
+    serviceWorkerRegistration.getNotifications()
+      .then(notifications => notifications.filter(n => n.tag.startsWith('call-')).forEach(n => n.close()))
+      .catch(error => console.warn('Failed to close notifications:', error));
+  }
 }
 
-// ============================================
-// Data Deletion
-// ============================================
-
 /**
- * データ削除モーダルを表示
+ * 生徒が呼び出しを確認する
  */
-function showDeleteAllDataModal() {
-  document.getElementById('delete-all-modal').classList.remove('hidden');
+async function acknowledgeTicketCall() {
+  const ticket = getTicketById(callBannerTicketId);
+  hideCallBanner();
+  if (!ticket) return;
+  
+  await upsertTicket({ ...ticket, callAcknowledgedAt: Date.now() });
+  checkTicketCalls();
 }
 
 /**
- * データ削除モーダルを閉じる
+ * 音声の再生を許可する（ブラウザは操作なしに音を鳴らせないため、最初の操作で準備する）
  */
-function closeDeleteAllDataModal() {
-  document.getElementById('delete-all-modal').classList.add('hidden');
+function unlockCallSound() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !getStudentSession()) return;
+  try {
+    if (!callAudioContext) callAudioContext = new AudioContextClass();
+    if (callAudioContext.state === 'suspended') callAudioContext.resume();
+  } catch (error) {
+    console.warn('Failed to prepare call sound:', error);
+  }
 }
 
 /**
- * 全ての質問データを削除
+ * 呼び出し音を鳴らす（3回のチャイム）
  */
-async function deleteAllTickets() {
-  if (confirm('全ての質問データを削除しますか？')) {
-    if (isFirebaseConfigured() && database) {
-      await database.ref('tickets').remove();
-    }
-    localStorage.removeItem(STORAGE_KEY);
-    ticketsCache = [];
-    closeDeleteAllDataModal();
-    showToast('質問データを削除しました');
-    navigateTo('teacher');
+function playCallSound() {
+  unlockCallSound();
+  if (!callAudioContext) return;
+  try {
+    const start = callAudioContext.currentTime;
+    [880, 880, 1175].forEach((frequency, index) => {
+      const oscillator = callAudioContext.createOscillator();
+      const gain = callAudioContext.createGain();
+      const at = start + index * 0.35;
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.3, at);
+      gain.gain.exponentialRampToValueAtTime(0.01, at + 0.3);
+      oscillator.connect(gain);
+      gain.connect(callAudioContext.destination);
+      oscillator.start(at);
+      oscillator.stop(at + 0.3);
+    });
+  } catch (error) {
+    console.warn('Failed to play call sound:', error);
   }
 }
 
 /**
- * 全ての生徒データを削除
+ * システム通知を出す（通知が許可されている場合のみ）
+ * サービスワーカーがあればそこから出す（スマートフォンではページから直接出せないため）
  */
-async function deleteAllStudents() {
-  if (confirm('全ての生徒データを削除しますか？')) {
-    if (isFirebaseConfigured() && database) {
-      await database.ref('students').remove();
-    }
-    localStorage.removeItem(STUDENTS_KEY);
-    studentsCache = [];
-    closeDeleteAllDataModal();
-    showToast('生徒データを削除しました');
-    navigateTo('teacher');
+function showCallNotification(ticket) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const options = {
+    body: getCallMessage(ticket),
+    tag: `call-${ticket.id}`,
+    requireInteraction: true,
+    data: { ticketId: ticket.id }
+  };
+  if (serviceWorkerRegistration) {
+    serviceWorkerRegistration.showNotification('先生が呼んでいます', options)
+      .catch(error => console.warn('Failed to show notification:', error));
+    return;
+  }
+  try {
+    callNotification = new Notification('先生が呼んでいます', options);
+    callNotification.onclick = () => {
+      window.focus();
+      navigateTo('student-detail', { id: ticket.id });
+    };
+  } catch (error) {
+    console.warn('Failed to show notification:', error);
   }
 }
 
 /**
- * 全てのデータを削除
+ * 通知の許可を求める案内を表示・非表示にする
  */
-async function deleteAllData() {
-  if (confirm('全てのデータを削除しますか？この操作は取り消せません。')) {
-    if (isFirebaseConfigured() && database) {
-      await database.ref('tickets').remove();
-      await database.ref('students').remove();
-    }
-    localStorage.removeItem(STORAGE_KEY);
-    localStorage.removeItem(STUDENTS_KEY);
-    ticketsCache = [];
-    studentsCache = [];
-    closeDeleteAllDataModal();
-    showToast('全てのデータを削除しました');
-    navigateTo('teacher');
+function updateCallNotificationPrompt() {
+  const canAsk = 'Notification' in window && Notification.permission === 'default';
+  document.getElementById('call-notification-prompt').classList.toggle('hidden', !canAsk);
+}
+
+/**
+ * 呼び出しのシステム通知を許可してもらう
+ */
+async function enableCallNotifications() {
+  unlockCallSound();
+  try {
+    const permission = await Notification.requestPermission();
+    showToast(permission === 'granted' ? '呼び出しを通知でお知らせします' : '通知は許可されませんでした', permission === 'granted' ? 'success' : 'warning');
+  } catch (error) {
+    console.warn('Failed to request notification permission:', error);
   }
+  updateCallNotificationPrompt();
 }
 
 // ============================================
-// Teacher List Page
+// Ticket Thread (Replies)
 // ============================================
+/*
+  チケットごとの先生と生徒のやりとり。
+  メッセージは ticketMessages/<チケットID>/<メッセージID> に保存し、詳細画面を開いている間だけ購読する。
+  未読はチケットの lastMessageAt / lastMessageBy と、各側が最後に読んだ時刻
+  （studentReadAt / teacherReadAt）を比べて判定する。
+*/
 
-// 並び順: 'asc' = 古い順（デフォルト）, 'desc' = 新しい順
-let teacherListSortOrder = 'asc';
+let threadTicketId = null;
+let threadSide = null; // 'student' | 'teacher'
+let threadMessages = {};
+let threadReadAt = 0;
+let threadUnsubscribe = null;
+// 既読の書き込みが拒否されたチケット（'<チケットID>/<side>/<lastMessageAt>'）。新しいメッセージが届くまで再送しない
+const rejectedReadMarkers = new Set();
+const threadImages = { student: [], teacher: [] };
 
 /**
- * 並び順を切り替え
+ * 相手からの未読メッセージがあるか（side: 自分の側）
  */
-function toggleSortOrder() {
-  teacherListSortOrder = teacherListSortOrder === 'asc' ? 'desc' : 'asc';
-  updateSortButton();
-  renderTeacherList();
+function hasUnreadMessages(ticket, side) {
+  if (!ticket || !ticket.lastMessageAt || ticket.lastMessageBy === side) return false;
+  return ticket.lastMessageAt > (ticket[`${side}ReadAt`] || 0);
 }
 
 /**
- * 並び順ボタンの表示を更新
+ * 詳細画面のやりとりを開く（同じチケットなら購読を続け、既読だけ更新する）
  */
-function updateSortButton() {
-  const btn = document.getElementById('sort-order-btn');
-  if (btn) {
-    if (teacherListSortOrder === 'asc') {
-      btn.innerHTML = '<span class="sort-icon">↑</span> 古い順';
-    } else {
-      btn.innerHTML = '<span class="sort-icon">↓</span> 新しい順';
-    }
+function openTicketThread(ticket, side) {
+  if (threadTicketId !== ticket.id || threadSide !== side) {
+    closeTicketThread();
+    threadTicketId = ticket.id;
+    threadSide = side;
+    threadMessages = {};
+    // 開いた時点で未読だったメッセージを強調するため、既読時刻を覚えておく
+    threadReadAt = ticket[`${side}ReadAt`] || 0;
+    threadImages[side] = [];
+    document.getElementById(`${side}-thread-input`).value = '';
+    renderThreadImagePreviews(side);
+    
+    threadUnsubscribe = storage.subscribeChildren(`ticketMessages/${ticket.id}`, null, {
+      added: (id, value) => applyThreadMessage(id, value),
+      changed: (id, value) => applyThreadMessage(id, value),
+      removed: (id) => applyThreadMessage(id, null)
+    }, (error) => {
+      console.error('Thread sync error:', error);
+    });
+    renderTicketThread();
+  }
+  
+  const readMarker = `${ticket.id}/${side}/${ticket.lastMessageAt}`;
+  if (hasUnreadMessages(ticket, side) && !rejectedReadMarkers.has(readMarker)) {
+    writeToStorage('set', `tickets/${ticket.id}/${side}ReadAt`, Date.now()).catch(error => {
+      // 削除・取り下げられた質問などで拒否された場合、描画のたびに書き込み直さない
+      console.warn('Failed to mark thread as read:', error);
+      rejectedReadMarkers.add(readMarker);
+    });
   }
 }
 
 /**
- * クラスフィルタ変更時に生徒フィルタを更新
+ * やりとりの購読を止める
  */
-function onTeacherClassFilterChange() {
-  const classFilter = document.getElementById('filter-class').value;
-  const studentSelect = document.getElementById('filter-student');
+function closeTicketThread() {
+  if (threadUnsubscribe) threadUnsubscribe();
+  threadUnsubscribe = null;
+  threadTicketId = null;
+  threadSide = null;
+  threadMessages = {};
+}
+
+/**
+ * 同期されたメッセージ1件を反映
+ */
+function applyThreadMessage(id, value) {
+  if (value) {
+    threadMessages[id] = value;
+  } else {
+    delete threadMessages[id];
+  }
+  renderTicketThread();
+}
+
+/**
+ * やりとりを描画
+ */
+function renderTicketThread() {
+  if (!threadTicketId) return;
+  const side = threadSide;
+  const container = document.getElementById(`${side}-thread-messages`);
   
-  // 生徒フィルタをリセット
-  studentSelect.innerHTML = '<option value="">全生徒</option>';
+  // 未送信のメッセージも表示する
+  const messages = Object.values(applyPendingWrites(`ticketMessages/${threadTicketId}`, threadMessages) || {})
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
   
-  if (classFilter) {
-    // 選択されたクラスの生徒を取得
-    const students = loadStudents().filter(s => s.className === classFilter);
-    students.sort((a, b) => a.initials.localeCompare(b.initials));
-    
-    students.forEach(student => {
-      const option = document.createElement('option');
-      option.value = student.initials;
-      option.textContent = student.initials;
-      studentSelect.appendChild(option);
-    });
+  if (messages.length === 0) {
+    container.innerHTML = `
+      <div class="thread-empty">${side === 'student' ? '先生へのメッセージや質問の補足を送れます' : 'まだメッセージはありません'}</div>
+    `;
+    return;
+  }
+  
+  container.innerHTML = messages.map(message => renderThreadMessage(message, side)).join('');
+  loadLazyImages(container);
+}
+
+/**
+ * メッセージ1件を描画
+ */
+function renderThreadMessage(message, side) {
+  const isOwn = message.authorType === side;
+  const isUnread = !isOwn && (message.createdAt || 0) > threadReadAt;
+  const authorName = message.authorName || (message.authorType === 'teacher' ? '先生' : '生徒');
+  const images = message.images || [];
+  
+  return `
+    <div class="thread-message${isOwn ? ' thread-message-own' : ''}${isUnread ? ' thread-message-unread' : ''}">
+      <div class="thread-message-meta">
+        <span>${escapeHtml(authorName)}</span>
+        <span>${formatDateTime(message.createdAt)}</span>
+      </div>
+      ${message.text ? `<div class="thread-message-text">${escapeHtml(message.text)}</div>` : ''}
+      ${images.length > 0 ? `
+        <div class="thread-message-images">
+          ${images.map(src => `<img ${imageSrcAttrs(src)} alt="添付画像" onclick="openDetailImageModal(this.src)">`).join('')}
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * やりとりに添付する画像を追加（縮小して追加）
+ */
+async function handleThreadImageUpload(files, side) {
+  for (const file of Array.from(files)) {
+    try {
+      threadImages[side].push(await compressImage(file));
+    } catch (error) {
+      console.error('Failed to process image:', file.name, error);
+      showToast(`${file.name} を読み込めませんでした`, 'error');
+      continue;
+    }
+    renderThreadImagePreviews(side);
   }
+}
+
+/**
+ * 添付予定の画像プレビューを描画
+ */
+function renderThreadImagePreviews(side) {
+  const container = document.getElementById(`${side}-thread-previews`);
+  if (!container) return;
   
-  renderTeacherList();
+  container.innerHTML = threadImages[side].map((src, index) => `
+    <div class="image-preview-item">
+      <img ${imageSrcAttrs(src)} alt="画像${index + 1}">
+      <div class="image-preview-actions">
+        <button type="button" class="image-action-btn" onclick="removeThreadImage('${side}', ${index})" title="削除">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M18 6L6 18M6 6l12 12"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `).join('');
 }
 
 /**
- * 先生一覧を描画
+ * 添付予定の画像を外す
  */
-function renderTeacherList() {
-  const tickets = loadTickets();
-  const classFilter = document.getElementById('filter-class').value;
-  const studentFilter = document.getElementById('filter-student').value;
-  const subjectFilter = document.getElementById('filter-subject').value;
-  const statusFilter = document.getElementById('filter-status').value;
+function removeThreadImage(side, index) {
+  threadImages[side].splice(index, 1);
+  renderThreadImagePreviews(side);
+}
+
+/**
+ * メッセージを送信
+ */
+async function postTicketMessage(side) {
+  if (side === 'teacher' && !requirePermission('tickets.reply')) return;
+  const ticket = getTicketById(threadTicketId);
+  if (!ticket || threadSide !== side) return;
   
-  let filtered = tickets.filter(t => {
-    if (classFilter && t.className !== classFilter) return false;
-    if (studentFilter && t.initials !== studentFilter) return false;
-    if (subjectFilter && t.subject !== subjectFilter) return false;
-    if (statusFilter && t.status !== statusFilter) return false;
-    return true;
-  });
+  const input = document.getElementById(`${side}-thread-input`);
+  const text = input.value.trim();
+  const images = [...threadImages[side]];
+  if (!text && images.length === 0) {
+    showToast('メッセージを入力してください', 'error');
+    return;
+  }
   
-  // 並び順: 古い順（asc）または新しい順（desc）
-  filtered.sort((a, b) => {
-    const statusOrder = { submitted: 0, draft: 1, done: 2 };
-    const statusDiff = (statusOrder[a.status] || 2) - (statusOrder[b.status] || 2);
-    if (statusDiff !== 0) return statusDiff;
+  let author;
+  if (side === 'teacher') {
+    const session = getTeacherSession();
+    author = { id: session.teacherId, name: session.displayName || '先生' };
+  } else {
+    const session = getStudentSession();
+    author = { id: session.id, name: session.initials };
+  }
+  
+  // 送信中に二重送信しないよう、書き込みが終わるまで送信ボタンを止める
+  const sendButton = document.getElementById(`${side}-thread-send-btn`);
+  sendButton.disabled = true;
+  try {
+    const now = Date.now();
+    const message = {
+      id: generateUUID(),
+      ticketId: ticket.id,
+      authorType: side,
+      authorId: author.id,
+      authorName: author.name,
+      text,
+      images: await uploadImages(images),
+      createdAt: now
+    };
     
-    if (teacherListSortOrder === 'asc') {
-      return (a.createdAt || 0) - (b.createdAt || 0); // 古い順
-    } else {
-      return (b.createdAt || 0) - (a.createdAt || 0); // 新しい順
+    await writeToStorage('update', '', {
+      [`ticketMessages/${ticket.id}/${message.id}`]: message,
+      [`tickets/${ticket.id}/lastMessageAt`]: now,
+      [`tickets/${ticket.id}/lastMessageBy`]: side,
+      [`tickets/${ticket.id}/${side}ReadAt`]: now
+    });
+  } catch (error) {
+    // 送信できなかった場合は入力内容を残す（権限がない場合は書き込みキューが理由を表示している）
+    console.error('Failed to post message:', error);
+    if (!isPermissionDeniedError(error)) {
+      showToast('メッセージを送信できませんでした。もう一度お試しください', 'error');
     }
-  });
-  
-  const container = document.getElementById('teacher-list');
-  
-  if (filtered.length === 0) {
-    container.innerHTML = `
-      <div class="empty-list">
-        <div class="empty-list-icon">-</div>
-        <p>該当する質問がありません</p>
-      </div>
-    `;
     return;
+  } finally {
+    sendButton.disabled = false;
   }
   
-  container.innerHTML = filtered.map(ticket => {
-    const purposeClass = ticket.purpose === 'grading' ? 'badge-grading' : 'badge-question';
-    const purposeIcon = ticket.purpose === 'grading' 
-      ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/></svg>'
-      : '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r="0.5" fill="currentColor"/></svg>';
-    const purposeText = ticket.purpose === 'grading' ? '採点' : '質問';
-    const statusClass = `badge-${ticket.status}`;
-    const statusText = { submitted: '対応待ち', done: '対応完了' }[ticket.status] || ticket.status;
-    const questionImages = ticket.questionImages || [];
-    const subjectClass = `subject-${ticket.subject}`;
-    const hasImages = questionImages.length > 0;
-    
-    return `
-      <div class="ticket-card" onclick="navigateTo('teacher-detail', { id: '${ticket.id}' })">
-        <div class="${hasImages ? 'ticket-card-with-image' : ''}">
-          <div class="ticket-card-content">
-            <div class="ticket-card-header">
-              <span class="subject-badge ${subjectClass}">${escapeHtml(ticket.subject)}</span>
-              <span class="purpose-badge ${purposeClass}">${purposeIcon}${purposeText}</span>
-              <span class="ticket-badge ${statusClass}">${statusText}</span>
-            </div>
-            <div class="ticket-student">
-              <span class="student-class">${escapeHtml(ticket.className)}</span>
-              <span class="student-name">${escapeHtml(ticket.initials)}</span>
-            </div>
-            <div class="ticket-meta">
-              <span>${formatDateTime(ticket.createdAt)}</span>
-            </div>
-            <div class="ticket-reason">${escapeHtml(ticket.questionReason || (ticket.purpose === 'grading' ? '採点依頼' : ''))}</div>
-          </div>
-          ${hasImages ? `
-          <div class="ticket-card-thumbnail">
-            <img src="${questionImages[0]}" alt="問題画像">
-            ${questionImages.length > 1 ? `<div class="thumbnail-more">+${questionImages.length - 1}</div>` : ''}
-          </div>
-          ` : ''}
-        </div>
-      </div>
-    `;
-  }).join('');
+  // 送信中に書き足された内容や添付された画像は残す
+  if (input.value.trim() === text) input.value = '';
+  threadImages[side] = threadImages[side].filter(image => !images.includes(image));
+  renderThreadImagePreviews(side);
+  renderTicketThread();
 }
 
 // ============================================
-// Teacher Detail Page
+// Utility Functions
 // ============================================
 
-let currentDetailTicketId = null;
-
 /**
- * 先生詳細画面を描画
+ * カード一覧を差分更新する
+ * data-ticket-id でカードを対応付け、新規・変更分だけ作り直して並び順を合わせる。
+ * changedIds が null の場合は全て作り直す。
  */
-function renderTeacherDetail(id) {
-  currentDetailTicketId = id;
-  const ticket = getTicketById(id);
+function patchCardList(container, items, renderCard, changedIds = null) {
+  const existing = new Map();
+  container.querySelectorAll(':scope > [data-ticket-id]').forEach(el => {
+    existing.set(el.dataset.ticketId, el);
+  });
   
-  if (!ticket) {
-    showToast('チケットが見つかりません', 'error');
-    navigateTo('teacher');
+  if (changedIds === null || existing.size === 0) {
+    container.innerHTML = items.map(renderCard).join('');
+    loadLazyImages(container);
     return;
   }
   
-  const isDone = ticket.status === 'done';
-  const purposeText = ticket.purpose === 'grading' ? '採点をお願いする' : '質問する';
-  const purposeClass = ticket.purpose === 'grading' ? 'badge-grading' : 'badge-question';
-  const purposeIcon = ticket.purpose === 'grading' 
-    ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><path d="M9 11l3 3L22 4"/><path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/></svg>'
-    : '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 015.83 1c0 2-3 3-3 3"/><circle cx="12" cy="17" r="0.5" fill="currentColor"/></svg>';
-  const studentDisplay = ticket.initials;
-  const subjectClass = `subject-${ticket.subject}`;
-  
-  const content = document.getElementById('teacher-detail-content');
-  content.innerHTML = `
-    <div class="detail-wrapper">
-      <!-- 基本情報 -->
-      <div class="detail-row">
-        <span class="detail-label">クラス</span>
-        <span class="detail-value">${escapeHtml(ticket.className)}</span>
-      </div>
-      <div class="detail-row">
-        <span class="detail-label">生徒</span>
-        <span class="detail-value">${escapeHtml(studentDisplay)}</span>
-      </div>
-      <div class="detail-row">
-        <span class="detail-label">教科</span>
-        <span class="subject-badge ${subjectClass}">${escapeHtml(ticket.subject)}</span>
-      </div>
-      <div class="detail-row">
-        <span class="detail-label">目的</span>
-        <span class="purpose-badge ${purposeClass}">${purposeIcon}${purposeText}</span>
-      </div>
-      <div class="detail-row">
-        <span class="detail-label">受付日時</span>
-        <span class="detail-value">${formatDateTime(ticket.createdAt)}</span>
-      </div>
-      ${isDone ? `
-        <div class="detail-row">
-          <span class="detail-label">完了日時</span>
-          <span class="detail-value">${formatDateTime(ticket.doneAt)}</span>
-        </div>
-      ` : ''}
-      
-      ${ticket.purpose === 'question' ? `
-        <!-- 確認事項 -->
-        <div class="detail-divider"></div>
-        <div class="detail-section-title">確認したこと</div>
-        <div class="detail-checks">
-          ${(ticket.checkedMaterials || []).map(m => `<span class="detail-check-item">${escapeHtml(m)}</span>`).join('')}
-        </div>
-        
-        <!-- 質問内容 -->
-        <div class="detail-section-title" style="margin-top: 16px;">質問内容</div>
-        <div class="detail-highlight-content">${escapeHtml(ticket.questionReason || '')}</div>
-      ` : ''}
-      
-      <!-- 問題画像 -->
-      ${(ticket.questionImages || []).length > 0 ? `
-        <div class="detail-divider"></div>
-        <div class="detail-section-title">問題画像（${ticket.questionImages.length}枚）</div>
-        <div class="detail-gallery">
-          ${ticket.questionImages.map(src => `
-            <div class="detail-gallery-item">
-              <img src="${src}" alt="問題画像" data-full="${src}" onclick="openDetailImageModal(this.dataset.full)">
-            </div>
-          `).join('')}
-        </div>
-      ` : ''}
-      
-      <!-- 自分の答案画像 -->
-      ${(ticket.myAnswerImages || []).length > 0 ? `
-        <div class="detail-divider"></div>
-        <div class="detail-section-title">自分の答案（${ticket.myAnswerImages.length}枚）</div>
-        <div class="detail-gallery">
-          ${ticket.myAnswerImages.map(src => `
-            <div class="detail-gallery-item">
-              <img src="${src}" alt="自分の答案" data-full="${src}" onclick="openDetailImageModal(this.dataset.full)">
-            </div>
-          `).join('')}
-        </div>
-      ` : ''}
-      
-      <!-- 解答画像 -->
-      ${(ticket.answerImages || []).length > 0 ? `
-        <div class="detail-divider"></div>
-        <div class="detail-section-title">解答・解説画像（${ticket.answerImages.length}枚）</div>
-        <div class="detail-gallery">
-          ${ticket.answerImages.map(src => `
-            <div class="detail-gallery-item">
-              <img src="${src}" alt="解答画像" data-full="${src}" onclick="openDetailImageModal(this.dataset.full)">
-            </div>
-          `).join('')}
-        </div>
-      ` : ''}
-      
-      <!-- 先生メモ -->
-      <div class="detail-divider"></div>
-      <div class="detail-section-title">先生用メモ</div>
-      <textarea id="input-teacherMemo" class="form-textarea" rows="3" 
-        placeholder="先生用メモを入力" ${isDone ? 'readonly' : ''}>${escapeHtml(ticket.teacherMemo || '')}</textarea>
-      ${!isDone ? `
-      <button class="btn btn-memo-save" onclick="saveTeacherMemoWithToast()">先生用メモを保存</button>
-      ` : ''}
-    </div>
-  `;
+  // 空表示などカード以外の要素を取り除く
+  container.querySelectorAll(':scope > :not([data-ticket-id])').forEach(el => el.remove());
   
-  // メモの自動保存（入力中に保存）
-  if (!isDone) {
-    const memoInput = document.getElementById('input-teacherMemo');
-    if (memoInput) {
-      let saveTimeout;
-      memoInput.oninput = function() {
-        clearTimeout(saveTimeout);
-        saveTimeout = setTimeout(() => {
-          saveTeacherMemo();
-        }, 1000);
-      };
+  const template = document.createElement('template');
+  const elements = items.map(item => {
+    let el = existing.get(item.id);
+    existing.delete(item.id);
+    if (!el || changedIds.has(item.id)) {
+      template.innerHTML = renderCard(item).trim();
+      const fresh = template.content.firstElementChild;
+      if (el) el.replaceWith(fresh);
+      el = fresh;
     }
-  }
+    return el;
+  });
   
-  const footer = document.getElementById('teacher-detail-footer');
-  if (isDone) {
-    footer.innerHTML = `
-      <button class="btn btn-outline" onclick="navigateTo('teacher')">一覧へ戻る</button>
-    `;
-  } else {
-    footer.innerHTML = `
-      <button class="btn btn-outline" onclick="navigateTo('teacher')">戻る</button>
-      <button class="btn btn-primary" onclick="completeTicket()">対応完了</button>
-    `;
-  }
+  existing.forEach(el => el.remove());
+  elements.forEach((el, index) => {
+    const current = container.children[index];
+    if (current !== el) container.insertBefore(el, current || null);
+  });
+  
+  loadLazyImages(container);
 }
 
 /**
- * 先生メモを保存（自動保存用）
+ * 文字列をファイルとしてダウンロード
  */
-async function saveTeacherMemo() {
-  const ticket = getTicketById(currentDetailTicketId);
-  if (!ticket) return;
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * CSV の文字列をセルの配列の配列にする（ダブルクォート・セル内の改行・先頭の BOM に対応）
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  text = text.replace(/^\uFEFF/, '');
   
-  const memoInput = document.getElementById('input-teacherMemo');
-  if (memoInput) {
-    ticket.teacherMemo = memoInput.value;
-    await upsertTicket(ticket);
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell || record.length > 0) {
+    record.push(cell);
+    records.push(record);
   }
+  return records;
 }
 
 /**
- * メモを保存（ボタン用・トースト付き）
+ * 行の配列を CSV の文字列にする（Excel で文字化けしないよう BOM を付ける）
  */
-async function saveTeacherMemoWithToast() {
-  await saveTeacherMemo();
-  showToast('先生用メモを保存しました');
+function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
 }
 
 /**
- * チケットを完了（この質問への対応を完了）
+ * HTML エスケープ（属性値にも埋め込めるよう引用符もエスケープする）
  */
-async function completeTicket() {
-  const ticket = getTicketById(currentDetailTicketId);
-  if (!ticket) return;
+function escapeHtml(str) {
+  if (!str) return '';
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// ============================================
+// Service Worker
+// ============================================
+/*
+  sw.js がアプリシェルと外部ライブラリをキャッシュし、オフラインでもアプリを開けるようにする。
+  新しいバージョンのサービスワーカーは待機状態になり、利用者が「更新する」を押すと切り替えて再読み込みする。
+  file:// で開いた場合など、サービスワーカーを使えない環境では何もしない。
+*/
+
+let waitingServiceWorker = null;
+let serviceWorkerUpdateAccepted = false;
+
+/**
+ * サービスワーカーを登録し、新しいバージョンを監視する
+ */
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
   
-  const memoInput = document.getElementById('input-teacherMemo');
-  if (memoInput) {
-    ticket.teacherMemo = memoInput.value;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    // 利用者が更新を選んだときだけ再読み込みする（初回の登録では再読み込みしない）
+    if (serviceWorkerUpdateAccepted) window.location.reload();
+  });
+  
+  try {
+    serviceWorkerRegistration = await navigator.serviceWorker.register('sw.js');
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return;
   }
-  ticket.status = 'done';
-  ticket.doneAt = Date.now();
   
-  await upsertTicket(ticket);
-  showToast('対応完了しました');
-  navigateTo('teacher');
+  const registration = serviceWorkerRegistration;
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+    });
+  });
+  
+  // 開きっぱなしの端末でも、画面に戻ったときに新しいバージョンを確認する
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      registration.update().catch(error => console.warn('Service worker update check failed:', error));
+    }
+  });
 }
 
-// ============================================
-// Utility Functions
-// ============================================
+/**
+ * 新しいバージョンの案内を表示
+ */
+function showUpdatePrompt(worker) {
+  waitingServiceWorker = worker;
+  document.getElementById('update-banner').classList.remove('hidden');
+}
 
 /**
- * HTML エスケープ
+ * 新しいバージョンに切り替える（切り替わると再読み込みされる）
  */
-function escapeHtml(str) {
-  if (!str) return '';
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+function applyServiceWorkerUpdate() {
+  if (!waitingServiceWorker) return;
+  serviceWorkerUpdateAccepted = true;
+  document.getElementById('update-banner').classList.add('hidden');
+  waitingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+/**
+ * 新しいバージョンの案内を閉じる（アプリを全て閉じて開き直すと切り替わる）
+ */
+function dismissUpdatePrompt() {
+  document.getElementById('update-banner').classList.add('hidden');
 }
 
 // ============================================
@@ -2060,9 +8857,16 @@ function escapeHtml(str) {
 // ============================================
 
 window.addEventListener('hashchange', handleRouting);
+window.addEventListener('online', () => replayWriteQueue());
+// アプリを閉じる・切り替える前に入力中の下書きを保存する
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') flushFormDraft();
+});
+document.addEventListener('pointerdown', unlockCallSound);
 
 document.addEventListener('DOMContentLoaded', () => {
-  initializeFirebaseData();
+  registerServiceWorker();
+  initializeData();
   waitForData(() => {
     handleRouting();
   });
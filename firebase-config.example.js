@@ -5,6 +5,8 @@
   1. このファイルを「firebase-config.js」としてコピー
   2. https://console.firebase.google.com/ でプロジェクト設定を取得
   3. 下記の値を実際の設定に置き換える
+  4. 同梱の database.rules.json をデプロイ（firebase deploy --only database）
+  5. コンソールの Realtime Database で settings/bootstrapAdminEmail に最初の管理者のメールアドレス（小文字）を登録
 */
 
 const firebaseConfig = {
@@ -17,14 +19,76 @@ const firebaseConfig = {
   appId: "YOUR_APP_ID"
 };
 
+/*
+  ストレージ設定
+  backend:
+    'auto'     … Firebase が設定されていれば Firebase、なければ localStorage（デフォルト）
+    'firebase' … Firebase Realtime Database
+    'local'    … ブラウザの localStorage（この端末のみ）
+    'memory'   … メモリ上のみ（デモ・テスト用。再読み込みで消える）
+    'rest'     … 自前の REST/JSON サーバー（restBaseUrl に
+                 GET/PUT/PATCH/DELETE {path}.json を受け付けるURLを指定。
+                 添付画像は {restBaseUrl}/images/{id} に PUT/GET/DELETE する）
+  imageStore（添付画像の保存先）:
+    'auto'      … Firebase 使用時は Firebase Storage、REST 使用時は REST サーバー、それ以外は IndexedDB（デフォルト）
+    'firebase'  … Firebase Storage
+    'rest'      … REST サーバーの {restBaseUrl}/images/{id}
+    'indexeddb' … この端末の IndexedDB
+    'inline'    … チケット内に data URL として保存（旧方式）
+  teacherAuth（先生アカウントの認証）:
+    'auto'      … Firebase 使用時は Firebase Authentication、それ以外はローカル認証（デフォルト）
+    'firebase'  … Firebase Authentication（メールアドレス/パスワード）
+    'local'     … ソルト付きハッシュをデータベースに保存して照合
+  authEmulatorUrl … Auth エミュレータのURL（例: 'http://localhost:9099'）。空なら本番を使用
+  databaseEmulatorHost … Database エミュレータのホスト（例: 'localhost:9000'）。空なら本番を使用
+*/
+const storageConfig = {
+  backend: 'auto',
+  restBaseUrl: '',
+  pollInterval: 5000,
+  imageStore: 'auto',
+  teacherAuth: 'auto',
+  authEmulatorUrl: '',
+  databaseEmulatorHost: ''
+};
+
+/*
+  画像の設定（添付画像はアップロード前に縮小・再エンコードされる）
+    maxSize … 長辺の最大ピクセル数
+    quality … 再エンコードの画質（0〜1）
+    format  … 変換後の形式（'image/jpeg' または 'image/webp'）
+*/
+const imageConfig = {
+  maxSize: 1600,
+  quality: 0.8,
+  format: 'image/jpeg'
+};
+
 // Firebase初期化
 let firebaseApp = null;
 let database = null;
+let firebaseStorage = null;
+let firebaseAuth = null;
 
 function initFirebase() {
   try {
     firebaseApp = firebase.initializeApp(firebaseConfig);
     database = firebase.database();
+    if (storageConfig.databaseEmulatorHost) {
+      const [host, port] = storageConfig.databaseEmulatorHost.split(':');
+      database.useEmulator(host, Number(port));
+    }
+    if (firebase.storage) {
+      firebaseStorage = firebase.storage();
+    }
+    if (firebase.auth) {
+      firebaseAuth = firebase.auth();
+      if (storageConfig.authEmulatorUrl) {
+        firebaseAuth.useEmulator(storageConfig.authEmulatorUrl);
+      }
+      // 先生のログイン状態はタブを閉じるまで保持（sessionStorage のセッションと揃える）
+      firebaseAuth.setPersistence(firebase.auth.Auth.Persistence.SESSION);
+    }
     console.log('Firebase initialized successfully');
     return true;
   } catch (error) {
@@ -10,13 +10,16 @@
   6. 下記の firebaseConfig を取得した値に置き換える
   
   【セキュリティルール（本番用）】
-  Realtime Database → ルール で以下を設定:
-  {
-    "rules": {
-      ".read": true,
-      ".write": true
-    }
-  }
+  同梱の database.rules.json をデプロイする（Firebase CLI: firebase deploy --only database）。
+  - 事前に Authentication で「メール/パスワード」と「匿名」のログインを有効にする
+  - 先生は Firebase Authentication でログインする前提（storageConfig.teacherAuth を 'local' にしない）
+  - 生徒の誕生日は先生が一度ログインすると studentCredentials へ移行され、他の生徒から読めなくなる
+    （移行が済むまで生徒一覧は先生以外から読めないため、デプロイ後に先生が一度ログインする）
+  - 最初の管理者アカウントは、コンソールの Realtime Database で settings/bootstrapAdminEmail に
+    そのメールアドレス（小文字）を登録してから作成する（ルールは他のアドレスでの作成を拒否する）
+  ローカルで試す場合は firebase emulators:start でエミュレータを起動し、
+  storageConfig.authEmulatorUrl / databaseEmulatorHost を設定する。
+  ルールを変えたら npm ci → npm test でエミュレータ上のテスト（tests/）を実行する（Java が必要）。
 */
 
 const firebaseConfig = {
@@ -29,14 +32,76 @@ const firebaseConfig = {
   appId: "1:523122800307:web:b1cd137884eeb9aab6a2c6"
 };
 
+/*
+  ストレージ設定
+  backend:
+    'auto'     … Firebase が設定されていれば Firebase、なければ localStorage（デフォルト）
+    'firebase' … Firebase Realtime Database
+    'local'    … ブラウザの localStorage（この端末のみ）
+    'memory'   … メモリ上のみ（デモ・テスト用。再読み込みで消える）
+    'rest'     … 自前の REST/JSON サーバー（restBaseUrl に
+                 GET/PUT/PATCH/DELETE {path}.json を受け付けるURLを指定。
+                 添付画像は {restBaseUrl}/images/{id} に PUT/GET/DELETE する）
+  imageStore（添付画像の保存先）:
+    'auto'      … Firebase 使用時は Firebase Storage、REST 使用時は REST サーバー、それ以外は IndexedDB（デフォルト）
+    'firebase'  … Firebase Storage
+    'rest'      … REST サーバーの {restBaseUrl}/images/{id}
+    'indexeddb' … この端末の IndexedDB
+    'inline'    … チケット内に data URL として保存（旧方式）
+  teacherAuth（先生アカウントの認証）:
+    'auto'      … Firebase 使用時は Firebase Authentication、それ以外はローカル認証（デフォルト）
+    'firebase'  … Firebase Authentication（メールアドレス/パスワード）
+    'local'     … ソルト付きハッシュをデータベースに保存して照合
+  authEmulatorUrl … Auth エミュレータのURL（例: 'http://localhost:9099'）。空なら本番を使用
+  databaseEmulatorHost … Database エミュレータのホスト（例: 'localhost:9000'）。空なら本番を使用
+*/
+const storageConfig = {
+  backend: 'auto',
+  restBaseUrl: '',
+  pollInterval: 5000,
+  imageStore: 'auto',
+  teacherAuth: 'auto',
+  authEmulatorUrl: '',
+  databaseEmulatorHost: ''
+};
+
+/*
+  画像の設定（添付画像はアップロード前に縮小・再エンコードされる）
+    maxSize … 長辺の最大ピクセル数
+    quality … 再エンコードの画質（0〜1）
+    format  … 変換後の形式（'image/jpeg' または 'image/webp'）
+*/
+const imageConfig = {
+  maxSize: 1600,
+  quality: 0.8,
+  format: 'image/jpeg'
+};
+
 // Firebase初期化
 let firebaseApp = null;
 let database = null;
+let firebaseStorage = null;
+let firebaseAuth = null;
 
 function initFirebase() {
   try {
     firebaseApp = firebase.initializeApp(firebaseConfig);
     database = firebase.database();
+    if (storageConfig.databaseEmulatorHost) {
+      const [host, port] = storageConfig.databaseEmulatorHost.split(':');
+      database.useEmulator(host, Number(port));
+    }
+    if (firebase.storage) {
+      firebaseStorage = firebase.storage();
+    }
+    if (firebase.auth) {
+      firebaseAuth = firebase.auth();
+      if (storageConfig.authEmulatorUrl) {
+        firebaseAuth.useEmulator(storageConfig.authEmulatorUrl);
+      }
+      // 先生のログイン状態はタブを閉じるまで保持（sessionStorage のセッションと揃える）
+      firebaseAuth.setPersistence(firebase.auth.Auth.Persistence.SESSION);
+    }
     console.log('Firebase initialized successfully');
     return true;
   } catch (error) {
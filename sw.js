@@ -0,0 +1,149 @@
+/*
+  質問受付予約Web - sw.js
+  サービスワーカー。
+  - アプリシェル（index.html / app.js / styles.css など）と外部ライブラリ（Firebase SDK・QRコード）をプリキャッシュ
+  - アプリシェル（同じオリジンのファイル）はネットワーク優先で取得してキャッシュを更新し、オフライン時だけキャッシュを返す
+    （デプロイで変えたファイルが古いキャッシュのまま残らない）。外部ライブラリは URL にバージョンを含むためキャッシュ優先
+  - オフライン時もキャッシュからアプリを開けるようにする（データの読み書きは app.js の書き込みキューが扱う）
+  - キャッシュはバージョンごとに分け、新しいバージョンはページから指示（SKIP_WAITING）があるまで待機させる
+  - 呼び出し通知のクリックでアプリを開く
+  sw.js やキャッシュするファイルの一覧を変更したら CACHE_VERSION を上げる（利用者に「新しいバージョンがあります」と表示される）。
+*/
+
+// ============================================
+// Constants
+// ============================================
+const CACHE_VERSION = 'v2';
+const CACHE_PREFIX = 'question-reservation-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// 必ずキャッシュするファイル（1つでも取得できなければインストールしない）
+const APP_SHELL = [
+  './',
+  './index.html',
+  './app.js',
+  './styles.css',
+  './manifest.json'
+];
+
+// 取得できなくてもインストールを続けるファイル（index.html の script タグと合わせる）
+const OPTIONAL_ASSETS = [
+  './firebase-config.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-app-compat.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-database-compat.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage-compat.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth-compat.js',
+  'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.min.js'
+];
+
+const PRECACHED_URLS = new Set([...APP_SHELL, ...OPTIONAL_ASSETS].map(url => new URL(url, self.location).href));
+
+// ============================================
+// Lifecycle
+// ============================================
+
+/**
+ * インストール時にアプリシェルと外部ライブラリをキャッシュ
+ */
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    // ブラウザの HTTP キャッシュに残った古いファイルを使わないよう、サーバーから取り直す
+    await cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+    await Promise.all(OPTIONAL_ASSETS.map(url => cache.add(url).catch(error => {
+      console.warn('Failed to cache:', url, error);
+    })));
+  })());
+});
+
+/**
+ * 有効化時に古いバージョンのキャッシュを削除
+ */
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+  })());
+});
+
+/**
+ * ページからの指示で待機中の新しいバージョンに切り替える
+ */
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// ============================================
+// Fetch
+// ============================================
+
+/**
+ * ページの読み込みと同じオリジンのプリキャッシュしたファイルはネットワーク優先（オフラインならキャッシュ）、
+ * 外部ライブラリはキャッシュ優先で返す
+ * データベース・画像などそれ以外のリクエストには関与しない
+ */
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  
+  if (request.mode === 'navigate') {
+    event.respondWith(respondFromNetwork(request, './index.html'));
+  } else if (PRECACHED_URLS.has(request.url)) {
+    event.respondWith(new URL(request.url).origin === self.location.origin
+      ? respondFromNetwork(request, request)
+      : respondFromCache(request, request));
+  }
+});
+
+/**
+ * ネットワークから取得してキャッシュを更新し、取得できなければキャッシュ（fallbackKey）を返す
+ */
+async function respondFromNetwork(request, fallbackKey) {
+  try {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok && PRECACHED_URLS.has(request.url)) {
+      const cache = await caches.open(CACHE_NAME);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(fallbackKey, { cacheName: CACHE_NAME });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * キャッシュにあれば返し、なければネットワークから取得
+ */
+async function respondFromCache(key, request) {
+  const cached = await caches.match(key, { cacheName: CACHE_NAME });
+  return cached || fetch(request);
+}
+
+// ============================================
+// Notifications
+// ============================================
+
+/**
+ * 通知のクリックで、開いているアプリを前面に出すか新しく開く
+ */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const ticketId = event.notification.data && event.notification.data.ticketId;
+  const url = new URL(ticketId ? `./index.html#student-detail?id=${ticketId}` : './index.html', self.location).href;
+  
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    const client = windows.find(c => c.url.startsWith(self.registration.scope));
+    if (client) {
+      await client.focus();
+      return client.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
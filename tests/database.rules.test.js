@@ -0,0 +1,575 @@
+/*
+  database.rules.json のテスト（Firebase エミュレータ上で実行）
+
+  npm test で Database エミュレータを起動してから実行する（Java が必要）。
+  データの準備はルールを無効にした状態で行い、各テストでは先生・生徒・未ログインの立場で読み書きを試す。
+*/
+
+const { readFileSync } = require('node:fs');
+const path = require('node:path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds
+} = require('@firebase/rules-unit-testing');
+
+const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+// 生徒1人あたりの受付中チケットの枠（ルールの activeTickets/$studentId と同じ値でなければならない）
+const MAX_TICKETS_PER_STUDENT = Number(
+  /const MAX_TICKETS_PER_STUDENT = (\d+);/.exec(readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8'))[1]
+);
+
+// 先生アカウント（uid = teachers のキー）
+const TEACHERS = {
+  'teacher-admin': { id: 'teacher-admin', loginId: 'admin@example.com', displayName: '管理者', role: 'admin', createdAt: 1 },
+  'teacher-editor': { id: 'teacher-editor', loginId: 'teacher@example.com', displayName: '先生', role: 'teacher', createdAt: 1 },
+  'teacher-assistant': { id: 'teacher-assistant', loginId: 'assistant@example.com', displayName: 'アシスタント', role: 'assistant', createdAt: 1 }
+};
+
+// 生徒のログイン済みセッション（uid = studentSessions のキー）
+const STUDENT_UIDS = { s1: 'student-uid-1', s2: 'student-uid-2' };
+
+let testEnv;
+
+/**
+ * テスト用の質問を作成
+ */
+function createTicket(id, studentId, overrides = {}) {
+  return {
+    id,
+    studentId,
+    className: '1A',
+    initials: studentId.toUpperCase(),
+    subject: '数学',
+    purpose: 'question',
+    status: 'submitted',
+    createdAt: 1000,
+    submittedAt: 1000,
+    ...overrides
+  };
+}
+
+/**
+ * ルールを無効にしてデータを用意
+ */
+async function seed(data) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await context.database().ref().update(data);
+  });
+}
+
+/**
+ * 各立場のデータベースを取得
+ */
+function asTeacher(teacherId) {
+  return testEnv.authenticatedContext(teacherId, { firebase: { sign_in_provider: 'password' } }).database();
+}
+
+function asStudent(studentId) {
+  return testEnv.authenticatedContext(STUDENT_UIDS[studentId], { firebase: { sign_in_provider: 'anonymous' } }).database();
+}
+
+function asAnonymous(uid = 'anonymous-uid') {
+  return testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous' } }).database();
+}
+
+function asGuest() {
+  return testEnv.unauthenticatedContext().database();
+}
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-question-reservation',
+    database: { rules: readFileSync(path.join(__dirname, '..', 'database.rules.json'), 'utf8') }
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearDatabase();
+  await seed({
+    teachers: TEACHERS,
+    students: {
+      s1: { id: 's1', className: '1A', initials: 'AB' },
+      s2: { id: 's2', className: '1B', initials: 'CD' }
+    },
+    studentCredentials: {
+      s1: { birthday: 'birthday-hash-1' },
+      s2: { birthday: 'birthday-hash-2' }
+    },
+    studentSessions: {
+      [STUDENT_UIDS.s1]: { studentId: 's1', method: 'birthday', proof: 'birthday-hash-1', createdAt: 1 },
+      [STUDENT_UIDS.s2]: { studentId: 's2', method: 'birthday', proof: 'birthday-hash-2', createdAt: 1 }
+    },
+    'settings/studentCredentialsMigrated': true
+  });
+});
+
+describe('生徒と認証情報', () => {
+  it('誕生日などの認証情報は生徒にも未ログインの利用者にも読めない', async () => {
+    await assertFails(asGuest().ref('studentCredentials').get());
+    await assertFails(asStudent('s1').ref('studentCredentials/s1').get());
+    await assertFails(asTeacher('teacher-assistant').ref('studentCredentials/s1').get());
+    await assertSucceeds(asTeacher('teacher-editor').ref('studentCredentials/s1').get());
+  });
+
+  it('移行前の生徒一覧（誕生日が残っている可能性がある）は先生以外に読めない', async () => {
+    await seed({
+      'students/s3': { id: 's3', className: '1A', initials: 'EF', birthday: '2010-04-01' },
+      'settings/studentCredentialsMigrated': null
+    });
+    await assertFails(asGuest().ref('students').get());
+    await assertSucceeds(asTeacher('teacher-assistant').ref('students').get());
+
+    await seed({ 'settings/studentCredentialsMigrated': true });
+    await assertSucceeds(asGuest().ref('students').get());
+  });
+
+  it('生徒レコードに誕生日などの余分な項目は書けない', async () => {
+    const db = asTeacher('teacher-editor');
+    await assertFails(db.ref('students/s1').set({ id: 's1', className: '1A', initials: 'AB', birthday: '2010-04-01' }));
+    await assertSucceeds(db.ref('students/s1').set({ id: 's1', className: '1A', initials: 'AB', hasPin: false }));
+  });
+
+  it('生徒は生徒レコードを書き換えられない', async () => {
+    await assertFails(asStudent('s1').ref('students/s1/className').set('3C'));
+    await assertFails(asTeacher('teacher-assistant').ref('students/s1/className').set('3C'));
+  });
+});
+
+describe('生徒ログインの試行制限', () => {
+  /**
+   * ログイン試行を記録
+   */
+  function recordAttempt(db, uid, count, proof = 'birthday-hash-1') {
+    return db.ref('studentLoginAttempts/s1').set({
+      id: 's1',
+      count,
+      lastAttemptAt: SERVER_TIMESTAMP,
+      uid,
+      method: 'birthday',
+      proof
+    });
+  }
+
+  it('試行を記録してからでないとセッションを作れない', async () => {
+    const db = asAnonymous();
+    const session = { studentId: 's1', method: 'birthday', proof: 'birthday-hash-1', createdAt: 1 };
+    await assertFails(db.ref('studentSessions/anonymous-uid').set(session));
+
+    await assertSucceeds(recordAttempt(db, 'anonymous-uid', 1));
+    await assertSucceeds(db.ref('studentSessions/anonymous-uid').set(session));
+  });
+
+  it('誕生日が違えばセッションを作れない', async () => {
+    const db = asAnonymous();
+    await assertSucceeds(recordAttempt(db, 'anonymous-uid', 1, 'wrong-hash'));
+    await assertFails(db.ref('studentSessions/anonymous-uid').set({ studentId: 's1', method: 'birthday', proof: 'wrong-hash', createdAt: 1 }));
+  });
+
+  it('続けて試すと待ち時間の間は記録できない', async () => {
+    const db = asAnonymous();
+    await assertSucceeds(recordAttempt(db, 'anonymous-uid', 1));
+    await assertFails(recordAttempt(db, 'anonymous-uid', 2));
+  });
+
+  it('回数の上限に達するとロック中は試行を記録できず、回数を戻すこともできない', async () => {
+    await seed({
+      'studentLoginAttempts/s1': { id: 's1', count: 5, lastAttemptAt: Date.now() - 60 * 1000, uid: 'anonymous-uid', method: 'birthday', proof: 'wrong-hash' }
+    });
+    const db = asAnonymous();
+    await assertFails(recordAttempt(db, 'anonymous-uid', 6));
+    await assertFails(recordAttempt(db, 'anonymous-uid', 1));
+    await assertFails(db.ref('studentLoginAttempts/s1').remove());
+
+    await assertSucceeds(asTeacher('teacher-editor').ref('studentLoginAttempts/s1').remove());
+  });
+
+  it('記録のない利用者の名前で試行を記録できない', async () => {
+    const db = asAnonymous();
+    await assertFails(recordAttempt(db, 'other-uid', 1));
+  });
+});
+
+describe('質問', () => {
+  beforeEach(async () => {
+    await seed({
+      'tickets/t2': createTicket('t2', 's2'),
+      'activeTickets/s2/t2': true
+    });
+  });
+
+  it('生徒は自分の質問だけを読める', async () => {
+    const db = asStudent('s1');
+    await assertFails(db.ref('tickets').get());
+    await assertFails(db.ref('tickets/t2').get());
+    await assertFails(db.ref('tickets').orderByChild('studentId').equalTo('s2').get());
+    await assertSucceeds(db.ref('tickets').orderByChild('studentId').equalTo('s1').get());
+    await assertSucceeds(asStudent('s2').ref('tickets/t2').get());
+  });
+
+  it('枠を確保した生徒は自分の質問を送信できる', async () => {
+    const db = asStudent('s1');
+    await assertSucceeds(db.ref('activeTickets/s1/t1').set(true));
+    await assertSucceeds(db.ref('tickets/t1').set(createTicket('t1', 's1')));
+  });
+
+  it('枠を確保していない質問は送信できない', async () => {
+    await assertFails(asStudent('s1').ref('tickets/t1').set(createTicket('t1', 's1')));
+  });
+
+  it('生徒は枠をまとめて書き換えられず、受付中の質問の枠も外せない', async () => {
+    await assertFails(asStudent('s2').ref('activeTickets/s2').set({ t9: true }));
+    await assertFails(asStudent('s2').ref('activeTickets/s2/t2').remove());
+    await assertSucceeds(asStudent('s2').ref().update({
+      'tickets/t2/status': 'cancelled',
+      'tickets/t2/cancelledAt': 2000,
+      'activeTickets/s2/t2': null
+    }));
+  });
+
+  it('枠は生徒1人につき app.js の MAX_TICKETS_PER_STUDENT 件まで', async () => {
+    const db = asStudent('s1');
+    const slots = {};
+    for (let i = 1; i <= MAX_TICKETS_PER_STUDENT; i++) slots[`slot${i}`] = true;
+    await assertSucceeds(db.ref('activeTickets/s1').update(slots));
+    await assertFails(db.ref(`activeTickets/s1/slot${MAX_TICKETS_PER_STUDENT + 1}`).set(true));
+  });
+
+  it('他の生徒の名前では質問を作れない', async () => {
+    const db = asStudent('s1');
+    await assertFails(db.ref('tickets/t1').set(createTicket('t1', 's2', { status: 'draft' })));
+    await assertFails(db.ref('tickets/t2/questionReason').set('書き換え'));
+  });
+
+  it('必須項目の欠けた質問や定義外の項目は書けない', async () => {
+    const db = asTeacher('teacher-editor');
+    const { subject, ...withoutSubject } = createTicket('t3', 's1', { status: 'draft' });
+    await assertFails(db.ref('tickets/t3').set(withoutSubject));
+    await assertFails(db.ref('tickets/t3').set(createTicket('t3', 's1', { status: 'draft', unknownField: 1 })));
+    await assertFails(db.ref('tickets/t3').set(createTicket('t3', 's1', { status: 'draft', purpose: 'chat' })));
+    await assertSucceeds(db.ref('tickets/t3').set(createTicket('t3', 's1', { status: 'draft' })));
+  });
+
+  it('画像は参照か base64 の data URL だけを書ける', async () => {
+    const db = asTeacher('teacher-editor');
+    const withImage = (image) => createTicket('t3', 's1', { status: 'draft', questionImages: [image] });
+    await assertFails(db.ref('tickets/t3').set(withImage('data:image/x" onerror="alert(1)')));
+    await assertFails(db.ref('tickets/t3').set(withImage('image:abc" onerror="alert(1)')));
+    await assertFails(db.ref('tickets/t3').set(withImage('https://example.com/a.png')));
+    await assertSucceeds(db.ref('tickets/t3').set(withImage('data:image/png;base64,iVBORw0KGgo=')));
+    await assertSucceeds(db.ref('tickets/t3').set(withImage('image:0f8fad5b-d9cb-469f-a165-70867728950e')));
+  });
+
+    it('既読の記録はそれぞれの側だけが書ける', async () => {
+    await assertFails(asStudent('s2').ref('tickets/t2/teacherReadAt').set(2000));
+    await assertSucceeds(asStudent('s2').ref('tickets/t2/studentReadAt').set(2000));
+    await assertFails(asTeacher('teacher-editor').ref('tickets/t2/studentReadAt').set(2000));
+    await assertSucceeds(asTeacher('teacher-editor').ref('tickets/t2/teacherReadAt').set(2000));
+  });
+
+  it('生徒は対応中・呼び出し中に進められない', async () => {
+    await assertFails(asStudent('s2').ref('tickets/t2/status').set('in_progress'));
+    await assertSucceeds(asTeacher('teacher-assistant').ref('tickets/t2/status').set('in_progress'));
+  });
+
+  it('先生が完了にすると質問・待ち行列・枠を同じ書き込みで更新できる', async () => {
+    await seed({ 'ticketQueue/t2': { id: 't2', subject: '数学', status: 'submitted', createdAt: 1000 } });
+    const db = asTeacher('teacher-assistant');
+    await assertSucceeds(db.ref().update({
+      'tickets/t2': createTicket('t2', 's2', { status: 'done', statusChangedAt: 2000, doneAt: 2000 }),
+      'ticketQueue/t2': { id: 't2', subject: '数学', status: 'done', createdAt: 1000, queuedAt: 1000, doneAt: 2000 },
+      'activeTickets/s2/t2': null
+    }));
+    await assertFails(db.ref('ticketQueue/t2/doneAt').set(3000));
+  });
+
+  it('対応中・呼び出し中の質問を対応待ちに戻せるのは先生だけ', async () => {
+    for (const status of ['in_progress', 'called']) {
+      await seed({ 'tickets/t2/status': status });
+      await assertFails(asStudent('s2').ref('tickets/t2/status').set('submitted'));
+      await assertSucceeds(asTeacher('teacher-assistant').ref('tickets/t2/status').set('submitted'));
+    }
+  });
+});
+
+describe('変更履歴', () => {
+  beforeEach(async () => {
+    await seed({ 'tickets/t1': createTicket('t1', 's1', { status: 'draft' }) });
+  });
+
+  /**
+   * 変更履歴の項目を作成
+   */
+  function createHistoryEntry(actorType, actorId, overrides = {}) {
+    return { id: 'h1', ticketId: 't1', actorType, actorId, actorName: '', action: 'edit', createdAt: Date.now(), ...overrides };
+  }
+
+  it('生徒は自分の立場の履歴だけを書ける', async () => {
+    const db = asStudent('s1');
+    await assertFails(db.ref('ticketHistory/t1/h1').set(createHistoryEntry('system', '')));
+    await assertFails(db.ref('ticketHistory/t1/h1').set(createHistoryEntry('teacher', 'teacher-editor')));
+    await assertSucceeds(db.ref('ticketHistory/t1/h1').set(createHistoryEntry('student', 's1')));
+  });
+
+  it('先生は生徒の履歴を書けない', async () => {
+    const db = asTeacher('teacher-editor');
+    await assertFails(db.ref('ticketHistory/t1/h1').set(createHistoryEntry('student', 's1')));
+    await assertSucceeds(db.ref('ticketHistory/t1/h1').set(createHistoryEntry('system', '')));
+  });
+
+  it('端末の時計が少し進んでいても記録できるが、先の日時は書けない', async () => {
+    const db = asStudent('s1');
+    await assertSucceeds(db.ref('ticketHistory/t1/h1').set(createHistoryEntry('student', 's1', { createdAt: Date.now() + 30 * 1000 })));
+    await assertFails(db.ref('ticketHistory/t1/h2').set(createHistoryEntry('student', 's1', { id: 'h2', createdAt: Date.now() + 60 * 60 * 1000 })));
+  });
+});
+
+describe('予約枠', () => {
+  beforeEach(async () => {
+    await seed({
+      'timeSlots/slot1': { id: 'slot1', subject: '数学', date: '2026-10-20', startTime: '15:00', endTime: '15:30', capacity: 1 },
+      'tickets/t1': createTicket('t1', 's1', { status: 'draft' }),
+      'tickets/t2': createTicket('t2', 's2', { status: 'draft' })
+    });
+  });
+
+  it('生徒は保存済みの自分の質問だけを予約できる', async () => {
+    const db = asStudent('s1');
+    await assertFails(db.ref('timeSlots/slot1/reservations/t9').set('s1'));
+    await assertFails(db.ref('timeSlots/slot1/reservations/t2').set('s1'));
+    await assertSucceeds(db.ref('timeSlots/slot1/reservations/t1').set('s1'));
+  });
+
+  it('生徒は予約をまとめて書き換えられない', async () => {
+    await seed({ 'timeSlots/slot1/reservations/t2': 's2' });
+    await assertFails(asStudent('s1').ref('timeSlots/slot1/reservations').set({ t1: 's1' }));
+    await assertFails(asStudent('s1').ref('timeSlots/slot1/reservations/t2').remove());
+  });
+
+  it('定員を超えて予約できない', async () => {
+    await seed({ 'timeSlots/slot1/reservations/t2': 's2' });
+    await assertFails(asStudent('s1').ref('timeSlots/slot1/reservations/t1').set('s1'));
+  });
+});
+
+describe('やり取り', () => {
+  beforeEach(async () => {
+    await seed({
+      'tickets/t1': createTicket('t1', 's1'),
+      'ticketMessages/t1/m1': createMessage('m1', 'teacher', 'teacher-editor')
+    });
+  });
+
+  /**
+   * やり取りのメッセージを作成
+   */
+  function createMessage(id, authorType, authorId) {
+    return { id, ticketId: 't1', authorType, authorId, text: '確認します', createdAt: Date.now() };
+  }
+
+  it('やり取りは質問した生徒と先生だけが読める', async () => {
+    await assertSucceeds(asStudent('s1').ref('ticketMessages/t1').get());
+    await assertSucceeds(asTeacher('teacher-assistant').ref('ticketMessages/t1').get());
+    await assertFails(asStudent('s2').ref('ticketMessages/t1').get());
+    await assertFails(asStudent('s1').ref('ticketMessages').get());
+  });
+
+  it('それぞれ自分の立場でだけ送信できる', async () => {
+    await assertSucceeds(asStudent('s1').ref('ticketMessages/t1/m2').set(createMessage('m2', 'student', 's1')));
+    await assertSucceeds(asTeacher('teacher-assistant').ref('ticketMessages/t1/m3').set(createMessage('m3', 'teacher', 'teacher-assistant')));
+    await assertFails(asStudent('s2').ref('ticketMessages/t1/m4').set(createMessage('m4', 'student', 's2')));
+    await assertFails(asStudent('s1').ref('ticketMessages/t1/m4').set(createMessage('m4', 'teacher', 'teacher-editor')));
+    await assertFails(asTeacher('teacher-assistant').ref('ticketMessages/t1/m4').set(createMessage('m4', 'student', 's1')));
+    await assertFails(asTeacher('teacher-editor').ref('ticketMessages/t1/m4').set(createMessage('m4', 'teacher', 'teacher-admin')));
+  });
+
+  it('送信済みのメッセージは書き換えられない', async () => {
+    await assertFails(asStudent('s1').ref('ticketMessages/t1/m1/text').set('書き換え'));
+    await assertFails(asTeacher('teacher-editor').ref('ticketMessages/t1/m1').set(createMessage('m1', 'teacher', 'teacher-editor')));
+  });
+
+  it('やり取りは削除の記録がある質問のものだけを、先生（アシスタント以外）が削除できる', async () => {
+    await assertFails(asTeacher('teacher-editor').ref('ticketMessages/t1').remove());
+    await seed({ 'deletedTickets/t1': { id: 't1', studentId: 's1', status: 'submitted', reason: 'deleted', deletedAt: 2000, deletedBy: 'teacher', deletedById: 'teacher-editor' } });
+    await assertFails(asTeacher('teacher-assistant').ref('ticketMessages/t1').remove());
+    await assertFails(asStudent('s2').ref('ticketMessages/t1').remove());
+    await assertSucceeds(asTeacher('teacher-editor').ref('ticketMessages/t1').remove());
+  });
+});
+
+describe('削除の記録', () => {
+  beforeEach(async () => {
+    await seed({
+      'tickets/t1': createTicket('t1', 's1'),
+      'tickets/t2': createTicket('t2', 's2')
+    });
+  });
+
+  /**
+   * 削除の記録を作成
+   */
+  function createDeletionRecord(ticketId, studentId, deletedBy, deletedById, overrides = {}) {
+    return {
+      id: ticketId,
+      studentId,
+      status: 'submitted',
+      reason: deletedBy === 'teacher' ? 'deleted' : 'withdrawn',
+      deletedAt: Date.now(),
+      deletedBy,
+      deletedById,
+      ...overrides
+    };
+  }
+
+  it('削除の記録は先生だけが読める', async () => {
+    await assertSucceeds(asTeacher('teacher-assistant').ref('deletedTickets').get());
+    await assertFails(asStudent('s1').ref('deletedTickets').get());
+    await assertFails(asStudent('s1').ref('deletedTickets/t1').get());
+  });
+
+  it('先生（アシスタント以外）は削除の記録を書ける', async () => {
+    await assertSucceeds(asTeacher('teacher-editor').ref('deletedTickets/t1').set(createDeletionRecord('t1', 's1', 'teacher', 'teacher-editor')));
+    await assertFails(asTeacher('teacher-assistant').ref('deletedTickets/t2').set(createDeletionRecord('t2', 's2', 'teacher', 'teacher-assistant')));
+    await assertFails(asTeacher('teacher-editor').ref('deletedTickets/t2').set(createDeletionRecord('t2', 's2', 'teacher', 'teacher-admin')));
+  });
+
+  it('生徒は自分の質問の取り下げだけを記録できる', async () => {
+    await assertFails(asStudent('s1').ref('deletedTickets/t2').set(createDeletionRecord('t2', 's2', 'student', 's1')));
+    await assertFails(asStudent('s1').ref('deletedTickets/t1').set(createDeletionRecord('t1', 's1', 'teacher', 'teacher-editor')));
+    await assertSucceeds(asStudent('s1').ref('deletedTickets/t1').set(createDeletionRecord('t1', 's1', 'student', 's1')));
+  });
+
+  it('記録は書き換えられず、先の日時も書けない', async () => {
+    await assertFails(asTeacher('teacher-editor').ref('deletedTickets/t1').set(createDeletionRecord('t1', 's1', 'teacher', 'teacher-editor', { deletedAt: Date.now() + 10 * 60 * 1000 })));
+    await seed({ 'deletedTickets/t1': createDeletionRecord('t1', 's1', 'teacher', 'teacher-admin') });
+    await assertFails(asTeacher('teacher-editor').ref('deletedTickets/t1').set(createDeletionRecord('t1', 's1', 'teacher', 'teacher-editor')));
+  });
+});
+
+describe('ゴミ箱', () => {
+  /**
+   * ゴミ箱の項目を作成
+   */
+  function createTrashItem(deletedById) {
+    return { id: 'x1', type: 'ticket', targetId: 't1', label: '1A AB 数学', deletedAt: Date.now(), deletedById };
+  }
+
+  it('ゴミ箱は先生（アシスタント以外）だけが読み書きできる', async () => {
+    await assertSucceeds(asTeacher('teacher-editor').ref('trash').get());
+    await assertFails(asTeacher('teacher-assistant').ref('trash').get());
+    await assertFails(asStudent('s1').ref('trash').get());
+    await assertFails(asTeacher('teacher-assistant').ref('trash/x1').set(createTrashItem('teacher-assistant')));
+    await assertFails(asStudent('s1').ref('trash/x1').set(createTrashItem('s1')));
+    await assertSucceeds(asTeacher('teacher-editor').ref('trash/x1').set(createTrashItem('teacher-editor')));
+  });
+
+  it('他の先生の名前では捨てられない', async () => {
+    await assertFails(asTeacher('teacher-editor').ref('trash/x1').set(createTrashItem('teacher-admin')));
+  });
+});
+
+describe('生徒メモ', () => {
+  /**
+   * 生徒メモを作成
+   */
+  function createNote(studentId, updatedById) {
+    return { studentId, text: '数列が苦手', updatedAt: Date.now(), updatedById };
+  }
+
+  it('生徒メモは先生だけが読み書きできる', async () => {
+    await assertSucceeds(asTeacher('teacher-assistant').ref('studentNotes').get());
+    await assertFails(asStudent('s1').ref('studentNotes/s1').get());
+    await assertFails(asStudent('s1').ref('studentNotes/s1').set(createNote('s1', 's1')));
+    await assertSucceeds(asTeacher('teacher-assistant').ref('studentNotes/s1').set(createNote('s1', 'teacher-assistant')));
+  });
+
+  it('アシスタントは他の先生の名前で書けない', async () => {
+    await assertFails(asTeacher('teacher-assistant').ref('studentNotes/s1').set(createNote('s1', 'teacher-editor')));
+    await assertFails(asTeacher('teacher-assistant').ref('studentNotes/s1').set(createNote('s2', 'teacher-assistant')));
+  });
+});
+
+describe('選択肢', () => {
+  it('選択肢は誰でも読めるが、書けるのは管理者だけ', async () => {
+    const option = { id: 'o1', name: '1C', order: 0 };
+    await assertSucceeds(asGuest().ref('classOptions').get());
+    await assertFails(asStudent('s1').ref('classOptions/o1').set(option));
+    await assertFails(asTeacher('teacher-assistant').ref('classOptions/o1').set(option));
+    await assertFails(asTeacher('teacher-editor').ref('materialOptions/o1').set(option));
+    await assertSucceeds(asTeacher('teacher-admin').ref('classOptions/o1').set(option));
+    await assertSucceeds(asTeacher('teacher-admin').ref('materialOptions/o1').set({ ...option, archived: true }));
+  });
+
+  it('色は教科だけに、#rrggbb 形式で書ける', async () => {
+    const db = asTeacher('teacher-admin');
+    const subject = { id: 'o1', name: '数学', order: 0 };
+    await assertFails(db.ref('subjectOptions/o1').set({ ...subject, color: 'red" onclick="alert(1)' }));
+    await assertFails(db.ref('classOptions/o1').set({ ...subject, color: '#ff0000' }));
+    await assertSucceeds(db.ref('subjectOptions/o1').set({ ...subject, color: '#ff0000' }));
+  });
+
+  it('ID は英数字とハイフンだけ', async () => {
+    const db = asTeacher('teacher-admin');
+    const id = "o1'),alert(1),('";
+    await assertFails(db.ref(`classOptions/${id}`).set({ id, name: '1C', order: 0 }));
+    await assertSucceeds(db.ref('classOptions/default-0').set({ id: 'default-0', name: '1C', order: 0 }));
+  });
+});
+
+describe('削除できる範囲', () => {
+  beforeEach(async () => {
+    await seed({ 'tickets/t2': createTicket('t2', 's2', { status: 'done', doneAt: 2000 }) });
+  });
+
+  it('全件の削除は管理者だけができる', async () => {
+    await assertFails(asStudent('s2').ref('tickets').remove());
+    await assertFails(asTeacher('teacher-editor').ref('tickets').remove());
+    await assertFails(asTeacher('teacher-editor').ref('students').remove());
+    await assertSucceeds(asTeacher('teacher-admin').ref('tickets').remove());
+  });
+
+  it('アシスタントは質問や生徒を削除できない', async () => {
+    const db = asTeacher('teacher-assistant');
+    await assertFails(db.ref('tickets/t2').remove());
+    await assertFails(db.ref('students/s1').remove());
+    await assertSucceeds(asTeacher('teacher-editor').ref('students/s1').remove());
+  });
+
+  it('生徒は他の生徒の質問を削除できない', async () => {
+    await assertFails(asStudent('s1').ref('tickets/t2').remove());
+  });
+});
+
+describe('最初の管理者', () => {
+  // Firebase Authentication に自分で登録しただけの利用者
+  const asRegisteredUser = (uid, email) => testEnv.authenticatedContext(uid, { email, firebase: { sign_in_provider: 'password' } }).database();
+  const createAdmin = (uid, loginId) => ({ id: uid, loginId, displayName: '管理者', role: 'admin', createdAt: 1 });
+
+  it('登録されたメールアドレス以外では最初の管理者を作成できない', async () => {
+    const db = asRegisteredUser('new-uid', 'someone@example.com');
+    await assertFails(db.ref('teachers/new-uid').set(createAdmin('new-uid', 'someone@example.com')));
+    await seed({ 'settings/bootstrapAdminEmail': 'owner@example.com' });
+    await assertFails(db.ref('teachers/new-uid').set(createAdmin('new-uid', 'someone@example.com')));
+    await assertFails(db.ref('teachers/new-uid').set(createAdmin('new-uid', 'owner@example.com')));
+    const owner = asRegisteredUser('owner-uid', 'owner@example.com');
+    await assertFails(owner.ref('teachers/new-uid').set(createAdmin('new-uid', 'owner@example.com')));
+    await assertSucceeds(owner.ref('teachers/owner-uid').set(createAdmin('owner-uid', 'owner@example.com')));
+  });
+
+  it('先生アカウントの作成後は登録されたメールアドレスでも作成できない', async () => {
+    await seed({ settings: { bootstrapAdminEmail: 'owner@example.com', teacherAccountsInitialized: true, studentCredentialsMigrated: true } });
+    const owner = asRegisteredUser('owner-uid', 'owner@example.com');
+    await assertFails(owner.ref('teachers/owner-uid').set(createAdmin('owner-uid', 'owner@example.com')));
+  });
+
+  it('管理者以外はメールアドレスを登録できない', async () => {
+    await assertFails(asStudent('s1').ref('settings/bootstrapAdminEmail').set('someone@example.com'));
+    await assertFails(asTeacher('teacher-editor').ref('settings/bootstrapAdminEmail').set('someone@example.com'));
+  });
+});